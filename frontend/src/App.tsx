@@ -1,6 +1,44 @@
 import { useState, useEffect } from 'react';
-import { useMissions, createMission, fetchMission } from './api';
-import { Mission } from './types';
+import {
+  useMissions,
+  useTemplates,
+  createMission,
+  fetchMission,
+  cancelMission,
+  pauseMission,
+  resumeMission,
+  fetchMissionPlan,
+  updateMissionPlan,
+  executeMission,
+  saveMissionAsTemplate,
+  forkMission,
+  answerQuestion,
+  fetchAgentDiff,
+  promoteMission,
+  cleanupMissionWorktree,
+  rollbackMission,
+  missionReportUrl,
+  ReportFormat,
+  ResumeOptions,
+} from './api';
+import {
+  Agent,
+  AgentChanges,
+  AgentHandoff,
+  CodexSettings,
+  Mission,
+  MissionGraph,
+  MissionPlan,
+  MissionSummary,
+  PlanAgent,
+  PlanCodexSettings,
+  PlanCritique,
+  PlanSelection,
+  ReasoningEffort,
+  SandboxMode,
+  TokenUsage,
+  VerificationRun,
+} from './types';
 import { useOrchestratorFeed } from './useOrchestratorFeed';
 
 type FeedEvent = {
@@ -11,10 +49,27 @@ type FeedEvent = {
 
 export default function App() {
   const { missions, isLoading, isError, mutate } = useMissions();
+  const { templates, mutate: mutateTemplates } = useTemplates();
   const [selectedMissionId, setSelectedMissionId] = useState<string | null>(null);
   const [selectedMission, setSelectedMission] = useState<Mission | null>(null);
   const [goal, setGoal] = useState('');
   const [context, setContext] = useState('');
+  const [supervised, setSupervised] = useState(false);
+  const [approvalPattern, setApprovalPattern] = useState('');
+  const [reviewPlan, setReviewPlan] = useState(false);
+  const [critiquePlan, setCritiquePlan] = useState(false);
+  const [isolated, setIsolated] = useState(false);
+  const [rollbackPolicy, setRollbackPolicy] = useState<'none' | 'on_failure' | 'on_retry'>('none');
+  const [verifyCommands, setVerifyCommands] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [adaptTemplate, setAdaptTemplate] = useState(false);
+  const [tokenBudget, setTokenBudget] = useState('');
+  const [agentTimeoutMinutes, setAgentTimeoutMinutes] = useState('');
+  const [deadlineMinutes, setDeadlineMinutes] = useState('');
+  const [codexModel, setCodexModel] = useState('');
+  const [reasoningEffort, setReasoningEffort] = useState<ReasoningEffort | ''>('');
+  const [planCandidates, setPlanCandidates] = useState('');
+  const [planJudge, setPlanJudge] = useState(false);
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [feedEvents, setFeedEvents] = useState<FeedEvent[]>([]);
@@ -58,7 +113,35 @@ export default function App() {
     setCreating(true);
     setError(null);
     try {
-      const { mission } = await createMission(goal.trim(), context.trim() || undefined);
+      const { mission } = await createMission(goal.trim(), context.trim() || undefined, {
+        mode: supervised ? 'supervised' : 'autonomous',
+        approvalPattern: supervised && approvalPattern.trim() ? approvalPattern.trim() : undefined,
+        reviewPlan,
+        critiquePlan: critiquePlan || undefined,
+        isolation: isolated ? 'worktree' : undefined,
+        rollbackPolicy: rollbackPolicy !== 'none' ? rollbackPolicy : undefined,
+        verification: verifyCommands.trim()
+          ? verifyCommands
+              .split('\n')
+              .map((line) => line.trim())
+              .filter(Boolean)
+              .map((command) => ({ command }))
+          : undefined,
+        template: templateName || undefined,
+        adaptTemplate: templateName ? adaptTemplate : undefined,
+        tokenBudget: Number(tokenBudget) > 0 ? Math.floor(Number(tokenBudget)) : undefined,
+        agentTimeoutMinutes: Number(agentTimeoutMinutes) > 0 ? Number(agentTimeoutMinutes) : undefined,
+        deadlineMinutes: Number(deadlineMinutes) > 0 ? Number(deadlineMinutes) : undefined,
+        codex:
+          codexModel.trim() || reasoningEffort
+            ? {
+                ...(codexModel.trim() ? { model: codexModel.trim() } : {}),
+                ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}),
+              }
+            : undefined,
+        planCandidates: Number(planCandidates) > 1 ? Math.floor(Number(planCandidates)) : undefined,
+        planJudge: Number(planCandidates) > 1 && planJudge ? true : undefined,
+      });
       await mutate();
       setGoal('');
       setContext('');
@@ -115,6 +198,188 @@ export default function App() {
                 rows={2}
               />
             </label>
+            <label className="block text-sm text-slate-300">
+              Verification commands (optional, one per line, run when all agents finish)
+              <textarea
+                value={verifyCommands}
+                onChange={(e) => setVerifyCommands(e.target.value)}
+                placeholder={'npm test\nnpm run lint'}
+                className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-3 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-primary"
+                rows={2}
+              />
+            </label>
+            {templates.length > 0 && (
+              <label className="block text-sm text-slate-300">
+                Template (optional)
+                <select
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                >
+                  <option value="">Plan a new team</option>
+                  {templates.map((template) => (
+                    <option key={template.name} value={template.name}>
+                      {template.name} (v{template.version}, {template.agentCount} agents)
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {templateName && (
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={adaptTemplate}
+                  onChange={(e) => setAdaptTemplate(e.target.checked)}
+                  className="rounded border-slate-700 bg-slate-900"
+                />
+                Let the planner adapt template instructions to this goal
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={supervised}
+                onChange={(e) => setSupervised(e.target.checked)}
+                className="rounded border-slate-700 bg-slate-900"
+              />
+              Supervised (approve agents before hand-off)
+            </label>
+            {supervised && (
+              <label className="block text-sm text-slate-300">
+                Approval pattern (optional)
+                <input
+                  value={approvalPattern}
+                  onChange={(e) => setApprovalPattern(e.target.value)}
+                  placeholder="implement|refactor (blank = every agent)"
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={reviewPlan}
+                onChange={(e) => setReviewPlan(e.target.checked)}
+                className="rounded border-slate-700 bg-slate-900"
+              />
+              Review plan before execution
+            </label>
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={critiquePlan}
+                onChange={(e) => setCritiquePlan(e.target.checked)}
+                className="rounded border-slate-700 bg-slate-900"
+              />
+              Critique and amend the plan before execution
+            </label>
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={isolated}
+                onChange={(e) => setIsolated(e.target.checked)}
+                className="rounded border-slate-700 bg-slate-900"
+              />
+              Run in its own git worktree (branch mission/&lt;id&gt;)
+            </label>
+            <label className="block text-sm text-slate-300">
+              Automatic rollback
+              <select
+                value={rollbackPolicy}
+                onChange={(e) => setRollbackPolicy(e.target.value as 'none' | 'on_failure' | 'on_retry')}
+                className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="none">Never (manual only)</option>
+                <option value="on_failure">When an agent fails</option>
+                <option value="on_retry">Before every retry and when an agent fails</option>
+              </select>
+            </label>
+            <label className="block text-sm text-slate-300">
+              Token budget (optional)
+              <input
+                type="number"
+                min={1}
+                value={tokenBudget}
+                onChange={(e) => setTokenBudget(e.target.value)}
+                placeholder="Unlimited"
+                className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="block text-sm text-slate-300">
+                Agent timeout (min)
+                <input
+                  type="number"
+                  min={1}
+                  value={agentTimeoutMinutes}
+                  onChange={(e) => setAgentTimeoutMinutes(e.target.value)}
+                  placeholder="Planner decides"
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+              <label className="block text-sm text-slate-300">
+                Deadline (min from now)
+                <input
+                  type="number"
+                  min={1}
+                  value={deadlineMinutes}
+                  onChange={(e) => setDeadlineMinutes(e.target.value)}
+                  placeholder="None"
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="block text-sm text-slate-300">
+                Codex model
+                <input
+                  value={codexModel}
+                  onChange={(e) => setCodexModel(e.target.value)}
+                  placeholder="Profile default"
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+              <label className="block text-sm text-slate-300">
+                Reasoning effort
+                <select
+                  value={reasoningEffort}
+                  onChange={(e) => setReasoningEffort(e.target.value as ReasoningEffort | '')}
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                >
+                  <option value="">Profile default</option>
+                  {REASONING_EFFORTS.map((effort) => (
+                    <option key={effort} value={effort}>
+                      {effort}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="grid grid-cols-2 gap-2 items-end">
+              <label className="block text-sm text-slate-300">
+                Plan candidates
+                <input
+                  type="number"
+                  min={1}
+                  max={5}
+                  value={planCandidates}
+                  onChange={(e) => setPlanCandidates(e.target.value)}
+                  placeholder="1"
+                  className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-300 pb-2">
+                <input
+                  type="checkbox"
+                  checked={planJudge}
+                  disabled={!(Number(planCandidates) > 1)}
+                  onChange={(e) => setPlanJudge(e.target.checked)}
+                  className="rounded border-slate-700 bg-slate-900"
+                />
+                Judge plans with Codex
+              </label>
+            </div>
             {error && <p className="text-sm text-rose-400">{error}</p>}
             <button
               type="submit"
@@ -146,8 +411,10 @@ export default function App() {
                       className={`text-xs uppercase tracking-wide ${
                         mission.status === 'completed'
                           ? 'text-emerald-400'
-                          : mission.status === 'failed'
+                          : FAILURE_STATUSES.has(mission.status)
                           ? 'text-rose-400'
+                          : mission.status === 'cancelled'
+                          ? 'text-slate-400'
                           : 'text-amber-300'
                       }`}
                     >
@@ -156,7 +423,15 @@ export default function App() {
                   </div>
                   <p className="text-xs text-slate-500 mt-1">
                     {new Date(mission.updatedAt).toLocaleTimeString()} · {mission.agentCount} agents
+                    {mission.usage && mission.usage.totalTokens > 0 && ` · ${formatTokens(mission.usage.totalTokens)} tokens`}
+                    {mission.template && ` · template ${mission.template.name} v${mission.template.version}`}
+                    {mission.branch && ` · ${mission.branch.slice(0, 16)}…`}
                   </p>
+                  {mission.forkedFrom && (
+                    <p className="text-xs text-sky-300/80 mt-1">
+                      ↳ fork of {mission.forkedFrom.missionId.slice(0, 8)}… at {mission.forkedFrom.agentName}
+                    </p>
+                  )}
                 </button>
               ))}
               {!missions.length && (
@@ -164,11 +439,21 @@ export default function App() {
               )}
             </div>
           </div>
+
+          <QuestionInbox missions={missions} onSelect={setSelectedMissionId} onAnswered={() => mutate()} />
         </section>
 
         <section className="col-span-12 md:col-span-8 space-y-6">
           {selectedMission ? (
-            <MissionDetail mission={selectedMission} feedEvents={feedEvents} />
+            <MissionDetail
+              mission={selectedMission}
+              feedEvents={feedEvents}
+              onTemplateSaved={() => mutateTemplates()}
+              onForked={(missionId) => {
+                mutate();
+                setSelectedMissionId(missionId);
+              }}
+            />
           ) : (
             <div className="h-full flex items-center justify-center text-slate-500 border border-dashed border-slate-800 rounded-xl">
               <p>Select a mission to inspect its orchestrated sub-agents and outputs.</p>
@@ -180,7 +465,17 @@ export default function App() {
   );
 }
 
-function MissionDetail({ mission, feedEvents }: { mission: Mission; feedEvents: FeedEvent[] }) {
+function MissionDetail({
+  mission,
+  feedEvents,
+  onTemplateSaved,
+  onForked,
+}: {
+  mission: Mission;
+  feedEvents: FeedEvent[];
+  onTemplateSaved: () => void;
+  onForked: (missionId: string) => void;
+}) {
   const relevantEvents = feedEvents.filter((event) => {
     const missionId = event.payload?.missionId || event.payload?.mission?.id;
     if (missionId) {
@@ -188,19 +483,255 @@ function MissionDetail({ mission, feedEvents }: { mission: Mission; feedEvents:
     }
     return !missionId;
   });
+  const [pendingAction, setPendingAction] = useState<string | null>(null);
+  const [reportFormat, setReportFormat] = useState<ReportFormat>('md');
+  const [actionError, setActionError] = useState<string | null>(null);
+  const active = ['planning', 'executing'].includes(mission.status);
+  const halted = ['interrupted', 'paused', 'awaiting_approval'].includes(mission.status);
+
+  const runAction = async (label: string, action: () => Promise<unknown>) => {
+    setPendingAction(label);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleSaveTemplate = () => {
+    const name = window.prompt('Template name (lowercase letters, digits, "-" or "_")');
+    if (!name) return;
+    runAction('template', async () => {
+      await saveMissionAsTemplate(name.trim(), mission.id);
+      onTemplateSaved();
+    });
+  };
+
+  const handleRaiseBudget = () => {
+    const answer = window.prompt('New token budget (blank removes the budget)', String((mission.tokenBudget ?? 0) * 2));
+    if (answer === null) return;
+    const budget = answer.trim() ? Math.floor(Number(answer)) : null;
+    runAction('resume', () => resumeMission(mission.id, { tokenBudget: budget }));
+  };
+
+  const worktree = mission.worktree ?? null;
+  const canPromote = Boolean(worktree && mission.status === 'completed' && !worktree.promoted && !worktree.branchDeletedAt);
+  const canCleanup = Boolean(
+    worktree && !active && !halted && !['queued', 'plan_ready', 'awaiting_input', 'budget_exhausted'].includes(mission.status)
+      && (!worktree.removedAt || !worktree.branchDeletedAt),
+  );
+
+  const handleCleanup = () => {
+    const deleteBranch = window.confirm(
+      `Also delete branch ${worktree?.branch}? Cancel keeps the branch and only removes the worktree.`,
+    );
+    runAction('cleanup', () => cleanupMissionWorktree(mission.id, deleteBranch));
+  };
+
+  const handleRollback = (agent: Agent) => {
+    if (!window.confirm(`Restore the workspace to its state before ${agent.id}? Later changes are discarded.`)) return;
+    runAction('rollback', () => rollbackMission(mission.id, agent.id));
+  };
+
+  const handleFork = (agent: Agent) => {
+    const instructions = window.prompt(`Instructions for ${agent.name} in the fork`, agent.instructions);
+    if (instructions === null) return;
+    runAction('fork', async () => {
+      const edited = instructions.trim() && instructions.trim() !== agent.instructions.trim();
+      const { mission: fork } = await forkMission(mission.id, agent.id, edited ? instructions : undefined);
+      onForked(fork.id);
+    });
+  };
 
   return (
     <div className="bg-slate-900/40 border border-slate-800 rounded-xl shadow-lg overflow-hidden">
       <div className="px-6 py-4 border-b border-slate-800">
-        <h2 className="text-xl font-semibold text-slate-100">Mission Overview</h2>
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="text-xl font-semibold text-slate-100">Mission Overview</h2>
+          <div className="flex items-center gap-2">
+            {mission.agents.length > 0 && (
+              <button
+                type="button"
+                onClick={handleSaveTemplate}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-700/60 text-slate-200 hover:bg-slate-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'template' ? 'Saving...' : 'Save as Template'}
+              </button>
+            )}
+            <div className="flex items-center rounded-lg bg-slate-700/60 text-sm text-slate-200">
+              <a
+                href={missionReportUrl(mission.id, reportFormat)}
+                download
+                className="px-3 py-1 rounded-l-lg font-medium hover:bg-slate-700 transition"
+              >
+                Download report
+              </a>
+              <select
+                value={reportFormat}
+                onChange={(e) => setReportFormat(e.target.value as ReportFormat)}
+                aria-label="Report format"
+                className="bg-transparent border-l border-slate-600 px-1 py-1 text-xs focus:outline-none"
+              >
+                <option value="md">Markdown</option>
+                <option value="html">HTML</option>
+                <option value="json">JSON</option>
+              </select>
+            </div>
+            {active && (
+              <button
+                type="button"
+                onClick={() => runAction('pause', () => pauseMission(mission.id))}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-amber-500/20 text-amber-200 hover:bg-amber-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'pause' ? 'Pausing...' : 'Pause'}
+              </button>
+            )}
+            {(mission.status === 'interrupted' || mission.status === 'paused') && (
+              <button
+                type="button"
+                onClick={() => runAction('resume', () => resumeMission(mission.id))}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'resume' ? 'Resuming...' : 'Resume'}
+              </button>
+            )}
+            {mission.status === 'budget_exhausted' && (
+              <button
+                type="button"
+                onClick={handleRaiseBudget}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'resume' ? 'Resuming...' : 'Raise budget & resume'}
+              </button>
+            )}
+            {canPromote && (
+              <button
+                type="button"
+                onClick={() => runAction('promote', () => promoteMission(mission.id, true))}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'promote' ? 'Merging...' : 'Merge branch'}
+              </button>
+            )}
+            {canCleanup && (
+              <button
+                type="button"
+                onClick={handleCleanup}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-700/60 text-slate-200 hover:bg-slate-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'cleanup' ? 'Removing...' : 'Remove worktree'}
+              </button>
+            )}
+            {(active || halted || mission.status === 'queued' || mission.status === 'plan_ready') && (
+              <button
+                type="button"
+                onClick={() => runAction('cancel', () => cancelMission(mission.id))}
+                disabled={pendingAction !== null}
+                className="px-3 py-1 rounded-lg text-sm font-medium bg-rose-500/20 text-rose-300 hover:bg-rose-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'cancel' ? 'Cancelling...' : 'Cancel Mission'}
+              </button>
+            )}
+          </div>
+        </div>
         <p className="text-sm text-slate-400 mt-2 whitespace-pre-line">{mission.goal}</p>
+        {mission.forkedFrom && (
+          <p className="text-xs text-sky-300/80 mt-2">
+            Forked from {mission.forkedFrom.missionId.slice(0, 8)}… at agent {mission.forkedFrom.agentId}
+          </p>
+        )}
+        {mission.forks && mission.forks.length > 0 && (
+          <p className="text-xs text-slate-500 mt-1">
+            Forks: {mission.forks.map((forkId) => `${forkId.slice(0, 8)}…`).join(', ')}
+          </p>
+        )}
         {mission.summary && (
           <p className="text-sm text-slate-300 mt-3">
             <span className="font-semibold text-slate-200">Summary:</span> {mission.summary}
           </p>
         )}
+        {worktree && (
+          <p className={`text-xs mt-2 ${worktree.error ? 'text-rose-300' : 'text-slate-400'}`}>
+            Branch <code>{worktree.branch}</code>
+            {worktree.finalCommit && ` · commit ${worktree.finalCommit.slice(0, 10)}`}
+            {worktree.promoted && ` · merged into ${worktree.promoted.into} (${worktree.promoted.commit.slice(0, 10)})`}
+            {worktree.removedAt ? ' · worktree removed' : ` · ${worktree.path}`}
+            {worktree.error && ` · ${worktree.error}`}
+          </p>
+        )}
+        {mission.rollbacks && mission.rollbacks.length > 0 && (
+          <ul className="text-xs text-amber-200/80 mt-2 space-y-0.5">
+            {mission.rollbacks.map((rollback) => (
+              <li key={rollback.at}>
+                {new Date(rollback.at).toLocaleTimeString()} · rolled back to before {rollback.agentId} ({rollback.trigger},{' '}
+                {rollback.files.length} files)
+              </li>
+            ))}
+          </ul>
+        )}
+        {mission.deadline && (
+          <p className={`text-xs mt-2 ${mission.deadlineExceeded ? 'text-rose-300' : 'text-slate-400'}`}>
+            Deadline: {new Date(mission.deadline).toLocaleString()}
+          </p>
+        )}
+        {mission.usage && <UsageSummary mission={mission} />}
+        {mission.planSelection && <PlanCandidates selection={mission.planSelection} />}
+        {mission.planCritique && <PlanCritiquePanel critique={mission.planCritique} />}
+        {mission.triageRuleHits && Object.keys(mission.triageRuleHits).length > 0 && (
+          <p className="text-xs text-slate-400 mt-2">
+            Triage rules:{' '}
+            {Object.entries(mission.triageRuleHits)
+              .map(([rule, hits]) => `${rule} ×${hits}`)
+              .join(', ')}
+          </p>
+        )}
+        {mission.verificationRuns && mission.verificationRuns.length > 0 && (
+          <VerificationRuns runs={mission.verificationRuns} />
+        )}
+        {mission.questions && mission.questions.some((question) => question.answeredAt) && (
+          <ul className="text-xs text-slate-400 mt-3 space-y-1">
+            {mission.questions
+              .filter((question) => question.answeredAt)
+              .map((question) => (
+                <li key={question.id}>
+                  <span className="text-slate-300">{question.agentName} asked:</span> {question.question}{' '}
+                  <span className="text-emerald-300/80">→ {question.answer}</span>
+                </li>
+              ))}
+          </ul>
+        )}
         {mission.error && <p className="text-sm text-rose-400 mt-3">Error: {mission.error}</p>}
+        {mission.iterationLimitExceeded?.cycle && (
+          <ol className="text-xs text-rose-300/80 mt-2 list-decimal list-inside space-y-1">
+            {mission.iterationLimitExceeded.cycle.map((entry) => (
+              <li key={entry.at}>
+                {mission.iterationLimitExceeded?.requester} → {mission.iterationLimitExceeded?.target}:{' '}
+                {entry.instructions || '(no instructions)'}
+              </li>
+            ))}
+          </ol>
+        )}
+        {actionError && <p className="text-sm text-rose-400 mt-3">{actionError}</p>}
       </div>
+      {mission.status === 'plan_ready' && (
+        <PlanEditor
+          mission={mission}
+          disabled={pendingAction !== null}
+          onExecute={() => runAction('execute', () => executeMission(mission.id))}
+        />
+      )}
+      {mission.graph && mission.graph.levels.length > 0 && (
+        <GraphPanel graph={mission.graph} agents={mission.agents} />
+      )}
       <div className="grid grid-cols-1 xl:grid-cols-4 divide-y xl:divide-y-0 xl:divide-x divide-slate-800">
         <div className="xl:col-span-1 max-h-[320px] overflow-y-auto">
           <FeedPanel events={relevantEvents} />
@@ -212,18 +743,69 @@ function MissionDetail({ mission, feedEvents }: { mission: Mission; feedEvents:
                 <div>
                   <h3 className="text-lg font-semibold text-accent">{agent.name}</h3>
                   <p className="text-sm text-slate-400">{agent.role}</p>
+                  {agent.dependsOn && agent.dependsOn.length > 0 && (
+                    <p className="text-xs text-slate-500 mt-1">depends on: {agent.dependsOn.join(', ')}</p>
+                  )}
+                  {agent.spawnedBy && <p className="text-xs text-sky-300/80 mt-1">spawned by {agent.spawnedBy}</p>}
+                  {agent.skippedBy && <p className="text-xs text-slate-500 mt-1">skipped by {agent.skippedBy}</p>}
+                  {agent.timeoutMinutes && (
+                    <p className="text-xs text-slate-500 mt-1">timeout: {agent.timeoutMinutes} min</p>
+                  )}
+                  {describeCodexSettings(agent.result?.settings ?? agent.codex) && (
+                    <p className="text-xs text-slate-500 mt-1">
+                      codex: {describeCodexSettings(agent.result?.settings ?? agent.codex)}
+                    </p>
+                  )}
+                  {agent.failureClass && (
+                    <p className="text-xs text-rose-300/80 mt-1">failure: {agent.failureClass}</p>
+                  )}
+                  {agent.rolledBack && (
+                    <p className="text-xs text-amber-200/80 mt-1">
+                      rolled back to before {agent.rolledBack.to} ({agent.rolledBack.files} files)
+                    </p>
+                  )}
+                  {agent.usage && (
+                    <p className="text-xs text-slate-500 mt-1">
+                      tokens: {describeUsage(agent.usage)}
+                      {agent.triageUsage && ` · triage ${formatTokens(agent.triageUsage.totalTokens)}`}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  {!active && mission.status !== 'queued' && agent.checkpoint && !worktree?.removedAt && (
+                    <button
+                      type="button"
+                      onClick={() => handleRollback(agent)}
+                      disabled={pendingAction !== null}
+                      className="px-2 py-1 rounded text-xs bg-amber-500/20 text-amber-200 hover:bg-amber-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+                    >
+                      Roll back to here
+                    </button>
+                  )}
+                  {!active && mission.status !== 'queued' && (
+                    <button
+                      type="button"
+                      onClick={() => handleFork(agent)}
+                      disabled={pendingAction !== null}
+                      className="px-2 py-1 rounded text-xs bg-sky-500/20 text-sky-300 hover:bg-sky-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+                    >
+                      Fork from here
+                    </button>
+                  )}
+                  <span
+                    className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                      agent.status === 'completed'
+                        ? 'bg-emerald-500/20 text-emerald-300'
+                        : agent.status === 'failed'
+                        ? 'bg-rose-500/20 text-rose-300'
+                        : agent.status === 'skipped' || agent.status === 'cancelled'
+                        ? 'bg-slate-500/20 text-slate-300'
+                        : 'bg-amber-500/20 text-amber-200'
+                    }`}
+                  >
+                    {agent.status}
+                  </span>
                 </div>
-                <span
-                  className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                    agent.status === 'completed'
-                      ? 'bg-emerald-500/20 text-emerald-300'
-                      : agent.status === 'failed'
-                      ? 'bg-rose-500/20 text-rose-300'
-                      : 'bg-amber-500/20 text-amber-200'
-                  }`}
-                >
-                  {agent.status}
-                </span>
               </div>
               <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm text-slate-400">
                 <div>
@@ -249,6 +831,17 @@ function MissionDetail({ mission, feedEvents }: { mission: Mission; feedEvents:
                   </div>
                 </div>
               )}
+              {agent.handoff && <HandoffPanel handoff={agent.handoff} />}
+              {agent.result?.changes && (
+                <DiffViewer missionId={mission.id} agentId={agent.id} changes={agent.result.changes} />
+              )}
+              {mission.status === 'awaiting_approval' && mission.pendingApproval?.agentId === agent.id && (
+                <ApprovalPanel
+                  nextAgent={mission.agents.find((a) => a.id === mission.pendingApproval?.nextAgentId) ?? null}
+                  disabled={pendingAction !== null}
+                  onDecision={(options) => runAction('approval', () => resumeMission(mission.id, options))}
+                />
+              )}
             </article>
           ))}
         </div>
@@ -257,6 +850,720 @@ function MissionDetail({ mission, feedEvents }: { mission: Mission; feedEvents:
   );
 }
 
+function HandoffPanel({ handoff }: { handoff: AgentHandoff }) {
+  const sections = [
+    {
+      label: 'Artifacts',
+      items: handoff.artifacts.map((item) => (item.description ? `${item.path} — ${item.description}` : item.path)),
+    },
+    {
+      label: 'Commands',
+      items: handoff.commands.map((item) => (item.purpose ? `${item.command} — ${item.purpose}` : item.command)),
+    },
+    { label: 'Assumptions', items: handoff.assumptions },
+    { label: 'Open risks', items: handoff.openRisks },
+  ].filter((section) => section.items.length > 0);
+  if (!sections.length) return null;
+  return (
+    <div className="mt-4 text-sm text-slate-300">
+      <span className="uppercase text-xs text-slate-500 block mb-1">Handoff</span>
+      <div className="bg-slate-900/80 border border-slate-800 rounded-lg p-3 space-y-2">
+        {sections.map((section) => (
+          <div key={section.label}>
+            <span className="text-xs font-semibold text-slate-400">{section.label}</span>
+            <ul className="list-disc list-inside text-slate-200">
+              {section.items.map((item, index) => (
+                <li key={index} className="break-words">
+                  {item}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const FAILURE_STATUSES = new Set([
+  'failed',
+  'aborted',
+  'iteration_limit_exceeded',
+  'budget_exhausted',
+  'deadline_exceeded',
+]);
+
+function formatTokens(value: number) {
+  return value >= 10_000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+}
+
+function describeUsage(usage: TokenUsage) {
+  return `${formatTokens(usage.inputTokens)} in (${formatTokens(usage.cachedInputTokens)} cached) · ${formatTokens(
+    usage.outputTokens,
+  )} out`;
+}
+
+function UsageSummary({ mission }: { mission: Mission }) {
+  const usage = mission.usage!;
+  return (
+    <div className="mt-3 text-xs text-slate-400 space-y-1">
+      <p>
+        <span className="font-semibold text-slate-300">Tokens:</span> {formatTokens(usage.total.totalTokens)}
+        {mission.tokenBudget ? ` of ${formatTokens(mission.tokenBudget)} budget` : ''} · {describeUsage(usage.total)}
+      </p>
+      <p>
+        planning {formatTokens(usage.planning.totalTokens)} ({Object.keys(usage.planAttempts).length} attempts) · agents{' '}
+        {formatTokens(usage.agents.totalTokens)} · triage {formatTokens(usage.triage.totalTokens)}
+      </p>
+    </div>
+  );
+}
+
+const CHECK_STATUS_STYLES: Record<string, string> = {
+  passed: 'text-emerald-300',
+  failed: 'text-rose-300',
+  timed_out: 'text-rose-300',
+  error: 'text-rose-300',
+  cancelled: 'text-slate-400',
+};
+
+const SEVERITY_STYLES: Record<string, string> = {
+  high: 'text-rose-300',
+  medium: 'text-amber-200',
+  low: 'text-slate-300',
+};
+
+function PlanCritiquePanel({ critique }: { critique: PlanCritique }) {
+  const diff = critique.diff;
+  return (
+    <div className="mt-3 text-xs">
+      <p className="font-semibold text-slate-300">
+        Plan critique · {critique.applied ? 'plan amended' : 'plan unchanged'}
+      </p>
+      {critique.error && <p className="mt-1 text-rose-300/80">{critique.error}</p>}
+      {critique.violations && critique.violations.length > 0 && (
+        <p className="mt-1 text-rose-300/80">
+          Amended plan rejected: {critique.violations.map((violation) => `${violation.path} ${violation.message}`).join('; ')}
+        </p>
+      )}
+      <ul className="mt-1 space-y-1 text-slate-400">
+        {critique.findings.map((finding, index) => (
+          <li key={index}>
+            <span className={SEVERITY_STYLES[finding.severity] ?? 'text-slate-300'}>{finding.severity}</span>
+            {finding.agent && ` · ${finding.agent}`}: {finding.issue}
+            {finding.fix && <span className="text-slate-500"> → {finding.fix}</span>}
+          </li>
+        ))}
+      </ul>
+      {critique.applied && diff && (
+        <div className="mt-1 text-slate-400 space-y-1">
+          {diff.added.length > 0 && <p className="text-emerald-300/80">added: {diff.added.join(', ')}</p>}
+          {diff.removed.length > 0 && <p className="text-rose-300/80">removed: {diff.removed.join(', ')}</p>}
+          {diff.changed.map((entry) => (
+            <details key={entry.agent}>
+              <summary className="cursor-pointer">
+                {entry.agent}: {entry.fields.map((field) => field.field).join(', ')}
+              </summary>
+              {entry.fields.map((field) => (
+                <div key={field.field} className="pl-3 font-mono whitespace-pre-wrap">
+                  <p className="text-rose-300/80">- {field.field}: {JSON.stringify(field.before)}</p>
+                  <p className="text-emerald-300/80">+ {field.field}: {JSON.stringify(field.after)}</p>
+                </div>
+              ))}
+            </details>
+          ))}
+          {diff.reordered && <p>agents reordered</p>}
+          {diff.summaryChanged && <p>mission summary changed</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PlanCandidates({ selection }: { selection: PlanSelection }) {
+  return (
+    <div className="mt-3 text-xs">
+      <p className="font-semibold text-slate-300">
+        Plan candidates ({selection.candidates}
+        {selection.judge ? ', judged' : ''})
+      </p>
+      <ul className="mt-1 space-y-1">
+        {selection.entries.map((entry) => (
+          <li key={entry.label}>
+            <details>
+              <summary className="cursor-pointer text-slate-400">
+                <span className={entry.label === selection.winner ? 'text-emerald-300' : 'text-slate-300'}>
+                  {entry.label}
+                </span>{' '}
+                ({entry.focus}){' '}
+                {entry.valid ? `score ${entry.score}` : 'invalid'}
+                {entry.judge && ` · judge ${entry.judge.score}/10`}
+                {entry.label === selection.winner && ' · selected'}
+              </summary>
+              <div className="mt-1 pl-3 space-y-1 text-slate-400">
+                {entry.breakdown?.map((item) => (
+                  <p key={item.criterion}>
+                    {item.criterion}: {item.score}/{item.max} – {item.detail}
+                  </p>
+                ))}
+                {entry.judge?.reason && <p>judge: {entry.judge.reason}</p>}
+                {entry.failure && <p className="text-rose-300/80">{entry.failure}</p>}
+                {entry.plan && (
+                  <p>agents: {entry.plan.agents.map((agent) => `${agent.name} (${agent.role})`).join(', ')}</p>
+                )}
+              </div>
+            </details>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function VerificationRuns({ runs }: { runs: VerificationRun[] }) {
+  return (
+    <div className="mt-3 text-xs">
+      <p className="font-semibold text-slate-300">Verification</p>
+      <ul className="mt-1 space-y-1">
+        {runs.map((run) => (
+          <li key={run.id}>
+            <details>
+              <summary className="cursor-pointer text-slate-400">
+                <span className={CHECK_STATUS_STYLES[run.status] ?? 'text-slate-300'}>{run.status}</span>{' '}
+                <code>{run.command}</code> after {run.agentId ?? 'all agents'}
+                {run.exitCode !== null && ` · exit ${run.exitCode}`} · {(run.durationMs / 1000).toFixed(1)}s
+                {run.iterationAgentId && ` · fix queued as ${run.iterationAgentId}`}
+              </summary>
+              <pre className="mt-1 bg-slate-900/80 border border-slate-800 rounded-lg p-2 max-h-60 overflow-auto whitespace-pre-wrap font-mono text-slate-300">
+                {run.outputTruncated && '…\n'}
+                {run.output || run.error || '(no output)'}
+              </pre>
+            </details>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const FILE_STATUS_STYLES: Record<string, string> = {
+  added: 'text-emerald-300',
+  deleted: 'text-rose-300',
+  renamed: 'text-sky-300',
+  copied: 'text-sky-300',
+  modified: 'text-amber-200',
+};
+
+function diffLineClass(line: string) {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-slate-400';
+  if (line.startsWith('+')) return 'text-emerald-300 bg-emerald-500/10';
+  if (line.startsWith('-')) return 'text-rose-300 bg-rose-500/10';
+  if (line.startsWith('@@')) return 'text-sky-300';
+  if (line.startsWith('diff ')) return 'text-slate-200 font-semibold pt-2';
+  return 'text-slate-400';
+}
+
+function DiffViewer({ missionId, agentId, changes }: { missionId: string; agentId: string; changes: AgentChanges }) {
+  const [open, setOpen] = useState(false);
+  const [diff, setDiff] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    fetchAgentDiff(missionId, agentId)
+      .then(({ changes: loaded }) => {
+        if (!cancelled) setDiff(loaded?.diff ?? '');
+      })
+      .catch((err: Error) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, missionId, agentId, changes.capturedAt]);
+
+  if (!changes.files.length) {
+    return <p className="mt-4 text-xs text-slate-500">No file changes</p>;
+  }
+  return (
+    <div className="mt-4 text-sm">
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        className="uppercase text-xs text-slate-500 hover:text-slate-300 transition"
+      >
+        {open ? '▾' : '▸'} Changes ({changes.files.length} {changes.files.length === 1 ? 'file' : 'files'})
+      </button>
+      <ul className="mt-1 text-xs space-y-0.5">
+        {changes.files.map((file) => (
+          <li key={file.path} className={FILE_STATUS_STYLES[file.status] ?? 'text-slate-300'}>
+            {file.status} {file.previousPath ? `${file.previousPath} → ` : ''}
+            {file.path}
+          </li>
+        ))}
+      </ul>
+      {open && (
+        <div className="mt-2 bg-slate-900/80 border border-slate-800 rounded-lg p-3 max-h-[480px] overflow-auto">
+          {error && <p className="text-xs text-rose-300">{error}</p>}
+          {!error && diff === null && <p className="text-xs text-slate-500">Loading diff…</p>}
+          {diff !== null && (
+            <pre className="text-xs font-mono">
+              {diff.split('\n').map((line, index) => (
+                <div key={index} className={`whitespace-pre ${diffLineClass(line)}`}>
+                  {line || ' '}
+                </div>
+              ))}
+            </pre>
+          )}
+          {changes.truncated && <p className="text-xs text-amber-200 mt-2">Diff truncated</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GraphPanel({ graph, agents }: { graph: MissionGraph; agents: Agent[] }) {
+  const statusById = new Map(agents.map((agent) => [agent.id, agent.status]));
+  return (
+    <div className="px-6 py-4 border-b border-slate-800">
+      <div className="flex items-center justify-between mb-2">
+        <span className="uppercase text-xs text-slate-500">Execution graph</span>
+        <span className="text-xs text-slate-500">up to {graph.maxParallelAgents} agents in parallel</span>
+      </div>
+      <div className="flex items-start gap-3 overflow-x-auto">
+        {graph.levels.map((level, index) => (
+          <div key={index} className="flex items-center gap-3">
+            {index > 0 && <span className="text-slate-600">→</span>}
+            <div className="flex flex-col gap-1">
+              {level.map((agentId) => {
+                const status = statusById.get(agentId) ?? 'pending';
+                return (
+                  <span
+                    key={agentId}
+                    className={`px-2 py-1 rounded text-xs whitespace-nowrap ${
+                      status === 'completed'
+                        ? 'bg-emerald-500/20 text-emerald-300'
+                        : status === 'failed'
+                        ? 'bg-rose-500/20 text-rose-300'
+                        : status === 'running'
+                        ? 'bg-amber-500/20 text-amber-200'
+                        : 'bg-slate-800 text-slate-300'
+                    }`}
+                  >
+                    {agentId}
+                  </span>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const REASONING_EFFORTS: ReasoningEffort[] = ['minimal', 'low', 'medium', 'high'];
+const SANDBOX_MODES: SandboxMode[] = ['read-only', 'workspace-write', 'danger-full-access'];
+
+function describeCodexSettings(settings: CodexSettings | null | undefined) {
+  if (!settings) return null;
+  const parts = [
+    settings.profile && `profile ${settings.profile}`,
+    settings.model,
+    settings.reasoningEffort && `${settings.reasoningEffort} effort`,
+    settings.sandbox && `${settings.sandbox} sandbox`,
+    ...Object.entries(settings.config ?? {}).map(([key, value]) => `${key}=${value}`),
+  ].filter(Boolean);
+  return parts.length ? parts.join(' · ') : null;
+}
+
+const EMPTY_PLAN_AGENT: PlanAgent = {
+  name: '',
+  role: '',
+  expertise: '',
+  objective: '',
+  instructions: '',
+  depends_on: [],
+};
+
+function PlanEditor({
+  mission,
+  disabled,
+  onExecute,
+}: {
+  mission: Mission;
+  disabled: boolean;
+  onExecute: () => void;
+}) {
+  const [draft, setDraft] = useState<MissionPlan | null>(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [planError, setPlanError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchMissionPlan(mission.id)
+      .then(({ plan }) => {
+        setDraft(plan);
+        setDirty(false);
+      })
+      .catch((err) => setPlanError(err.message));
+  }, [mission.id, mission.planRevision]);
+
+  if (!draft) {
+    return <div className="px-6 py-4 border-b border-slate-800 text-sm text-slate-500">Loading plan...</div>;
+  }
+
+  const edit = (agents: PlanAgent[]) => {
+    setDraft({ ...draft, agents });
+    setDirty(true);
+  };
+  const updateAgent = (index: number, changes: Partial<PlanAgent>) =>
+    edit(draft.agents.map((agent, i) => (i === index ? { ...agent, ...changes } : agent)));
+  // Blank fields fall back to the mission's settings and then the Codex profile.
+  const updateCodex = (index: number, changes: PlanCodexSettings) => {
+    const codex = Object.fromEntries(
+      Object.entries({ ...draft.agents[index].codex, ...changes }).filter(([, value]) => value),
+    ) as PlanCodexSettings;
+    updateAgent(index, { codex: Object.keys(codex).length ? codex : undefined });
+  };
+  const moveAgent = (index: number, offset: number) => {
+    const agents = [...draft.agents];
+    const [moved] = agents.splice(index, 1);
+    agents.splice(index + offset, 0, moved);
+    edit(agents);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setPlanError(null);
+    try {
+      const { plan } = await updateMissionPlan(mission.id, draft);
+      setDraft(plan);
+      setDirty(false);
+      return true;
+    } catch (err) {
+      setPlanError((err as Error).message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    if (dirty && !(await save())) return;
+    onExecute();
+  };
+
+  const inputClass =
+    'mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className="px-6 py-4 border-b border-slate-800 space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="uppercase text-xs text-sky-300">Plan ready for review</span>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={save}
+            disabled={disabled || saving || !dirty}
+            className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-700/60 text-slate-200 hover:bg-slate-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save plan'}
+          </button>
+          <button
+            type="button"
+            onClick={handleExecute}
+            disabled={disabled || saving}
+            className="px-3 py-1 rounded-lg text-sm font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            Execute
+          </button>
+        </div>
+      </div>
+      {planError && <p className="text-sm text-rose-400">{planError}</p>}
+      {draft.agents.map((agent, index) => (
+        <div key={index} className="border border-slate-800 rounded-lg p-3 space-y-2 text-sm text-slate-300">
+          <div className="flex items-center gap-2">
+            <input
+              value={agent.name}
+              onChange={(e) => updateAgent(index, { name: e.target.value })}
+              placeholder="agent_name"
+              className={`${inputClass} font-semibold text-accent`}
+            />
+            <button
+              type="button"
+              onClick={() => moveAgent(index, -1)}
+              disabled={index === 0}
+              className="px-2 py-1 rounded bg-slate-800 text-slate-300 disabled:opacity-40"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => moveAgent(index, 1)}
+              disabled={index === draft.agents.length - 1}
+              className="px-2 py-1 rounded bg-slate-800 text-slate-300 disabled:opacity-40"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              onClick={() => edit(draft.agents.filter((_, i) => i !== index))}
+              className="px-2 py-1 rounded bg-rose-500/20 text-rose-300"
+            >
+              Remove
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <label className="block">
+              <span className="text-xs text-slate-500">Role</span>
+              <input value={agent.role} onChange={(e) => updateAgent(index, { role: e.target.value })} className={inputClass} />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Expertise</span>
+              <input
+                value={agent.expertise}
+                onChange={(e) => updateAgent(index, { expertise: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Objective</span>
+              <input
+                value={agent.objective}
+                onChange={(e) => updateAgent(index, { objective: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Depends on (comma separated)</span>
+              <input
+                value={agent.depends_on.join(', ')}
+                onChange={(e) =>
+                  updateAgent(index, {
+                    depends_on: e.target.value.split(',').map((name) => name.trimStart()),
+                  })
+                }
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Timeout (minutes, blank for default)</span>
+              <input
+                type="number"
+                min={1}
+                value={agent.timeout_minutes ?? ''}
+                onChange={(e) =>
+                  updateAgent(index, { timeout_minutes: e.target.value ? Number(e.target.value) : undefined })
+                }
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Codex profile</span>
+              <input
+                value={agent.codex?.profile ?? ''}
+                onChange={(e) => updateCodex(index, { profile: e.target.value })}
+                placeholder="Mission default"
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Codex model</span>
+              <input
+                value={agent.codex?.model ?? ''}
+                onChange={(e) => updateCodex(index, { model: e.target.value })}
+                placeholder="Mission default"
+                className={inputClass}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Reasoning effort</span>
+              <select
+                value={agent.codex?.reasoning_effort ?? ''}
+                onChange={(e) => updateCodex(index, { reasoning_effort: (e.target.value || undefined) as ReasoningEffort })}
+                className={inputClass}
+              >
+                <option value="">Mission default</option>
+                {REASONING_EFFORTS.map((effort) => (
+                  <option key={effort} value={effort}>
+                    {effort}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs text-slate-500">Sandbox</span>
+              <select
+                value={agent.codex?.sandbox ?? ''}
+                onChange={(e) => updateCodex(index, { sandbox: (e.target.value || undefined) as SandboxMode })}
+                className={inputClass}
+              >
+                <option value="">Mission default</option>
+                {SANDBOX_MODES.map((mode) => (
+                  <option key={mode} value={mode}>
+                    {mode}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-xs text-slate-500">Instructions</span>
+            <textarea
+              value={agent.instructions}
+              onChange={(e) => updateAgent(index, { instructions: e.target.value })}
+              className={inputClass}
+              rows={3}
+            />
+          </label>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => edit([...draft.agents, { ...EMPTY_PLAN_AGENT }])}
+        className="px-3 py-1 rounded-lg text-sm font-medium bg-slate-800 text-slate-200 hover:bg-slate-700 transition"
+      >
+        Add agent
+      </button>
+    </div>
+  );
+}
+
+function QuestionInbox({
+  missions,
+  onSelect,
+  onAnswered,
+}: {
+  missions: MissionSummary[];
+  onSelect: (missionId: string) => void;
+  onAnswered: () => void;
+}) {
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [pending, setPending] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const entries = missions.flatMap((mission) =>
+    (mission.questions ?? []).map((question) => ({ mission, question })),
+  );
+  if (!entries.length) return null;
+
+  const handleAnswer = async (missionId: string, questionId: string) => {
+    setPending(questionId);
+    setError(null);
+    try {
+      await answerQuestion(missionId, questionId, drafts[questionId] ?? '');
+      setDrafts((prev) => ({ ...prev, [questionId]: '' }));
+      onAnswered();
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  return (
+    <div className="bg-slate-900/40 border border-amber-500/40 rounded-xl overflow-hidden shadow-lg">
+      <div className="px-4 py-3 border-b border-slate-800 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-100">Inbox</h2>
+        <span className="text-xs text-amber-300">{entries.length} open</span>
+      </div>
+      <div className="divide-y divide-slate-800">
+        {entries.map(({ mission, question }) => (
+          <div key={question.id} className="px-4 py-3 space-y-2 text-sm">
+            <button
+              type="button"
+              onClick={() => onSelect(mission.id)}
+              className="text-xs text-slate-500 hover:text-slate-300 transition"
+            >
+              {mission.goal.slice(0, 40)}… · {question.agentName}
+            </button>
+            <p className="text-slate-200">{question.question}</p>
+            {question.context && <p className="text-xs text-slate-500">{question.context}</p>}
+            <textarea
+              value={drafts[question.id] ?? ''}
+              onChange={(e) => setDrafts((prev) => ({ ...prev, [question.id]: e.target.value }))}
+              className="w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+              rows={2}
+            />
+            <button
+              type="button"
+              onClick={() => handleAnswer(mission.id, question.id)}
+              disabled={pending !== null || !(drafts[question.id] ?? '').trim()}
+              className="px-3 py-1 rounded-lg font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {pending === question.id ? 'Sending...' : 'Answer'}
+            </button>
+          </div>
+        ))}
+      </div>
+      {error && <p className="px-4 pb-3 text-sm text-rose-400">{error}</p>}
+    </div>
+  );
+}
+
+function ApprovalPanel({
+  nextAgent,
+  disabled,
+  onDecision,
+}: {
+  nextAgent: Agent | null;
+  disabled: boolean;
+  onDecision: (options: ResumeOptions) => void;
+}) {
+  const [instructions, setInstructions] = useState(nextAgent?.instructions ?? '');
+  const [feedback, setFeedback] = useState('');
+
+  const handleApprove = () => {
+    const edited = nextAgent && instructions.trim() !== nextAgent.instructions.trim();
+    onDecision({ decision: 'approve', instructions: edited ? instructions : undefined });
+  };
+
+  return (
+    <div className="mt-4 text-sm text-slate-300 border border-amber-500/40 bg-amber-500/5 rounded-lg p-3 space-y-3">
+      <span className="uppercase text-xs text-amber-200 block">Awaiting approval</span>
+      {nextAgent && (
+        <label className="block">
+          <span className="text-xs text-slate-400">Next agent ({nextAgent.name}) instructions</span>
+          <textarea
+            value={instructions}
+            onChange={(e) => setInstructions(e.target.value)}
+            className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            rows={4}
+          />
+        </label>
+      )}
+      <label className="block">
+        <span className="text-xs text-slate-400">Rejection feedback (used when re-running this agent)</span>
+        <textarea
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          className="mt-1 w-full rounded-lg bg-slate-900 border border-slate-700 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+          rows={2}
+        />
+      </label>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleApprove}
+          disabled={disabled}
+          className="px-3 py-1 rounded-lg font-medium bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          Approve
+        </button>
+        <button
+          type="button"
+          onClick={() => onDecision({ decision: 'reject', feedback: feedback.trim() || undefined })}
+          disabled={disabled}
+          className="px-3 py-1 rounded-lg font-medium bg-rose-500/20 text-rose-300 hover:bg-rose-500/30 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          Reject &amp; re-run
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function FeedPanel({ events }: { events: FeedEvent[] }) {
   if (!events.length) {
     return (
@@ -1,5 +1,14 @@
 import useSWR from 'swr';
-import { Mission } from './types';
+import {
+  AgentChanges,
+  Mission,
+  MissionRollback,
+  MissionPlan,
+  MissionSummary,
+  PlanCodexSettings,
+  PlanViolation,
+  TemplateSummary,
+} from './types';
 
 const fetcher = (url: string) => fetch(url).then((res) => {
   if (!res.ok) {
@@ -9,7 +18,7 @@ const fetcher = (url: string) => fetch(url).then((res) => {
 });
 
 export function useMissions() {
-  const { data, error, mutate } = useSWR<{ missions: Mission[] }>('/api/missions', fetcher, {
+  const { data, error, mutate } = useSWR<{ missions: MissionSummary[] }>('/api/missions', fetcher, {
     refreshInterval: 10_000,
   });
   return {
@@ -20,19 +29,46 @@ export function useMissions() {
   };
 }
 
-export async function createMission(goal: string, context?: string) {
+export function useTemplates() {
+  const { data, error, mutate } = useSWR<{ templates: TemplateSummary[] }>('/api/templates', fetcher);
+  return {
+    templates: data?.templates ?? [],
+    isError: error,
+    mutate,
+  };
+}
+
+export type MissionOptions = {
+  mode?: 'autonomous' | 'supervised';
+  approvalPattern?: string;
+  reviewPlan?: boolean;
+  template?: string;
+  adaptTemplate?: boolean;
+  tokenBudget?: number;
+  agentTimeoutMinutes?: number;
+  deadlineMinutes?: number;
+  isolation?: 'none' | 'worktree';
+  rollbackPolicy?: 'none' | 'on_failure' | 'on_retry';
+  verification?: { command: string; name?: string; after?: string | string[]; agent?: string; timeoutSeconds?: number }[];
+  codex?: PlanCodexSettings;
+  planCandidates?: number;
+  planJudge?: boolean;
+  critiquePlan?: boolean;
+};
+
+export async function createMission(goal: string, context?: string, options: MissionOptions = {}) {
   const res = await fetch('/api/missions', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ goal, context }),
+    body: JSON.stringify({ goal, context, ...options }),
   });
   if (!res.ok) {
     const body = await res.json().catch(() => ({}));
     throw new Error(body.error ?? 'Failed to create mission');
   }
-  return res.json() as Promise<{ mission: Mission }>;
+  return res.json() as Promise<{ mission: MissionSummary; missionUrl: string; statusUrl: string }>;
 }
 
 export async function fetchMission(id: string) {
@@ -43,3 +79,176 @@ export async function fetchMission(id: string) {
   }
   return res.json() as Promise<{ mission: Mission }>;
 }
+
+export type ReportFormat = 'md' | 'html' | 'json';
+
+export function missionReportUrl(id: string, format: ReportFormat) {
+  return `/api/missions/${id}/report?format=${format}&download=1`;
+}
+
+export async function fetchAgentDiff(id: string, agentId: string) {
+  const res = await fetch(`/api/missions/${id}/agents/${encodeURIComponent(agentId)}/diff`);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to load diff');
+  }
+  return res.json() as Promise<{ agentId: string; changes: AgentChanges | null }>;
+}
+
+export async function cancelMission(id: string) {
+  const res = await fetch(`/api/missions/${id}/cancel`, { method: 'POST' });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to cancel mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function pauseMission(id: string) {
+  const res = await fetch(`/api/missions/${id}/pause`, { method: 'POST' });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to pause mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export type ResumeOptions = {
+  decision?: 'approve' | 'reject';
+  instructions?: string;
+  feedback?: string;
+  tokenBudget?: number | null;
+};
+
+export async function resumeMission(id: string, options: ResumeOptions = {}) {
+  const res = await fetch(`/api/missions/${id}/resume`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(options),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to resume mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function answerQuestion(id: string, questionId: string, answer: string) {
+  const res = await fetch(`/api/missions/${id}/answers`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ questionId, answer }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to answer question');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function rollbackMission(id: string, agentId: string) {
+  const res = await fetch(`/api/missions/${id}/rollback?to=${encodeURIComponent(agentId)}`, { method: 'POST' });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to roll back');
+  }
+  return res.json() as Promise<{ rollback: MissionRollback; mission: MissionSummary }>;
+}
+
+export async function promoteMission(id: string, cleanup = false) {
+  const res = await fetch(`/api/missions/${id}/promote`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ cleanup }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to promote mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function cleanupMissionWorktree(id: string, deleteBranch = false) {
+  const res = await fetch(`/api/missions/${id}/cleanup`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ deleteBranch }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to remove worktree');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function forkMission(id: string, agentId: string, instructions?: string) {
+  const res = await fetch(`/api/missions/${id}/fork`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ agentId, instructions }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to fork mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary; missionUrl: string; statusUrl: string }>;
+}
+
+export async function updateMissionPlan(id: string, plan: Partial<MissionPlan>) {
+  const res = await fetch(`/api/missions/${id}/plan`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(plan),
+  });
+  if (!res.ok) {
+    const body: { error?: string; violations?: PlanViolation[] } = await res.json().catch(() => ({}));
+    const details = body.violations?.map((violation) => `${violation.path} ${violation.message}`).join('; ');
+    throw new Error(details ? `Plan rejected: ${details}` : body.error ?? 'Failed to update plan');
+  }
+  return res.json() as Promise<{ mission: Mission; plan: MissionPlan }>;
+}
+
+export async function executeMission(id: string) {
+  const res = await fetch(`/api/missions/${id}/execute`, { method: 'POST' });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to execute mission');
+  }
+  return res.json() as Promise<{ mission: MissionSummary }>;
+}
+
+export async function fetchMissionPlan(id: string) {
+  const res = await fetch(`/api/missions/${id}/plan`);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to load plan');
+  }
+  return res.json() as Promise<{ plan: MissionPlan }>;
+}
+
+export async function saveMissionAsTemplate(name: string, missionId: string, description?: string) {
+  const res = await fetch('/api/templates', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ name, missionId, description }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error ?? 'Failed to save template');
+  }
+  return res.json() as Promise<{ template: TemplateSummary }>;
+}
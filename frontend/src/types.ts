@@ -1,8 +1,120 @@
+export type TokenUsage = {
+  inputTokens: number;
+  cachedInputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  runs: number;
+};
+
+export type MissionUsage = {
+  total: TokenUsage;
+  planning: TokenUsage;
+  planAttempts: Record<string, TokenUsage>;
+  agents: TokenUsage;
+  triage: TokenUsage;
+  byAgent: Record<string, TokenUsage & { triage: TokenUsage }>;
+};
+
+export type MissionQuestion = {
+  id: string;
+  agentId: string;
+  agentName: string;
+  question: string;
+  context: string | null;
+  askedAt: string;
+  answer: string | null;
+  answeredAt: string | null;
+  cancelledAt?: string;
+};
+
+export type FileChange = {
+  path: string;
+  status: 'added' | 'modified' | 'deleted' | 'renamed' | 'copied';
+  previousPath?: string;
+};
+
+export type AgentChanges = {
+  mode: 'git' | 'hash';
+  files: FileChange[];
+  diff: string;
+  truncated: boolean;
+  capturedAt: string;
+};
+
+export type ReasoningEffort = 'minimal' | 'low' | 'medium' | 'high';
+export type SandboxMode = 'read-only' | 'workspace-write' | 'danger-full-access';
+
+// Normalized Codex CLI settings as stored on agents and results.
+export type CodexSettings = {
+  profile?: string;
+  model?: string;
+  reasoningEffort?: ReasoningEffort;
+  sandbox?: SandboxMode;
+  config?: Record<string, string>;
+};
+
+// The same settings in plan/API form.
+export type PlanCodexSettings = Omit<CodexSettings, 'reasoningEffort'> & { reasoning_effort?: ReasoningEffort };
+
 export type AgentResult = {
   summary: string | null;
   usage?: unknown;
   completion?: string | null;
   command?: string[] | null;
+  settings?: CodexSettings | null;
+  changes?: AgentChanges;
+};
+
+export type AgentCheckpoint = {
+  mode: 'git' | 'hash';
+  createdAt: string;
+  tree?: string;
+  ref?: string;
+  manifest?: string;
+  truncated?: boolean;
+};
+
+export type MissionRollback = {
+  at: string;
+  trigger: 'failure' | 'retry' | 'triage' | 'manual';
+  agentId: string;
+  agentName: string;
+  checkpointAt: string;
+  files: { path: string; status: 'reverted' | 'restored' | 'removed' }[];
+  revertedAgents: string[];
+};
+
+export type VerificationCheck = {
+  name: string;
+  command: string;
+  after: string[];
+  agent: string | null;
+  timeoutSeconds: number;
+};
+
+export type VerificationRun = {
+  id: string;
+  check: string;
+  command: string;
+  trigger: 'agent' | 'mission_end';
+  agentId: string | null;
+  responsibleAgentId: string | null;
+  startedAt: string;
+  status: 'passed' | 'failed' | 'timed_out' | 'cancelled' | 'error';
+  exitCode: number | null;
+  signal: string | null;
+  error: string | null;
+  durationMs: number;
+  output: string;
+  outputTruncated: boolean;
+  iterationAgentId: string | null;
+};
+
+export type AgentHandoff = {
+  artifacts: { path: string; description: string | null }[];
+  commands: { command: string; purpose: string | null }[];
+  assumptions: string[];
+  openRisks: string[];
 };
 
 export type Agent = {
@@ -13,6 +125,17 @@ export type Agent = {
   objective: string;
   instructions: string;
   status: string;
+  dependsOn?: string[];
+  timeoutMinutes?: number | null;
+  codex?: CodexSettings | null;
+  failureClass?: string | null;
+  spawnedBy?: string;
+  skippedBy?: string;
+  checkpoint?: AgentCheckpoint;
+  rolledBack?: { at: string; trigger: string; to: string; files: number };
+  handoff?: AgentHandoff | null;
+  usage?: TokenUsage;
+  triageUsage?: TokenUsage;
   result: AgentResult | null;
   sessionId: string | null;
   logs?: unknown[];
@@ -20,10 +143,183 @@ export type Agent = {
   completedAt?: string;
 };
 
+export type MissionGraph = {
+  maxParallelAgents: number;
+  edges: { from: string; to: string }[];
+  levels: string[][];
+};
+
+export type PendingApproval = {
+  agentId: string;
+  agentName: string;
+  nextAgentId: string | null;
+  requestedAt: string;
+};
+
+export type PlanViolation = {
+  path: string;
+  rule: string;
+  message: string;
+};
+
+export type PlanValidation = {
+  attempt: string;
+  at: string;
+  valid: boolean;
+  violations: PlanViolation[];
+};
+
+export type PlanScore = {
+  criterion: 'phases' | 'duplicates' | 'specificity' | 'verification';
+  score: number;
+  max: number;
+  detail: string;
+};
+
+export type PlanCandidate = {
+  label: string;
+  focus: string;
+  valid: boolean;
+  score: number | null;
+  heuristicScore?: number;
+  breakdown?: PlanScore[];
+  judge?: { score: number; reason: string | null } | null;
+  failure?: string;
+  // Kept for rejected candidates only; the winner is the mission's plan.
+  plan?: { mission_summary?: string; summary?: string; agents: { name: string; role: string; objective: string }[] };
+};
+
+export type PlanSelection = {
+  at: string;
+  candidates: number;
+  judge: boolean;
+  winner: string | null;
+  entries: PlanCandidate[];
+};
+
+export type PlanCritiqueFinding = {
+  severity: 'high' | 'medium' | 'low';
+  agent: string | null;
+  issue: string;
+  fix: string | null;
+};
+
+export type PlanCritique = {
+  at: string;
+  findings: PlanCritiqueFinding[];
+  applied: boolean;
+  diff: {
+    added: string[];
+    removed: string[];
+    changed: { agent: string; fields: { field: string; before: unknown; after: unknown }[] }[];
+    reordered: boolean;
+    summaryChanged: boolean;
+  } | null;
+  violations?: PlanViolation[];
+  error?: string;
+};
+
+export type PlanAgent = {
+  name: string;
+  role: string;
+  expertise: string;
+  objective: string;
+  instructions: string;
+  depends_on: string[];
+  timeout_minutes?: number;
+  codex?: PlanCodexSettings;
+};
+
+export type MissionPlan = {
+  mission_summary: string;
+  agents: PlanAgent[];
+};
+
+export type MissionTemplateRef = {
+  name: string;
+  version: number;
+  adapted: boolean;
+};
+
+export type TemplateSummary = {
+  name: string;
+  version: number;
+  description: string | null;
+  agentCount: number;
+  updatedAt: string | null;
+};
+
+export type ForkOrigin = {
+  missionId: string;
+  agentId: string;
+  agentName: string;
+  agentIndex: number;
+};
+
+export type IterationLimitExceeded = {
+  kind: 'mission_cap' | 'agent_cap' | 'loop';
+  requester: string;
+  target: string;
+  message: string;
+  at: string;
+  cycle?: { at: string; instructions: string }[];
+};
+
+export type MissionWorktree = {
+  repository: string;
+  sourceDirectory: string;
+  path: string;
+  branch: string;
+  baseCommit: string;
+  finalCommit: string | null;
+  createdAt: string;
+  committedAt?: string;
+  error?: string;
+  promoted?: { at: string; into: string; commit: string };
+  removedAt?: string;
+  branchDeletedAt?: string;
+};
+
 export type Mission = {
   id: string;
   goal: string;
   context?: unknown;
+  mode?: 'autonomous' | 'supervised';
+  approvalPattern?: string | null;
+  pendingApproval?: PendingApproval | null;
+  maxParallelAgents?: number | null;
+  graph?: MissionGraph | null;
+  planValidation?: PlanValidation[];
+  planCandidates?: number;
+  planJudge?: boolean;
+  planSelection?: PlanSelection | null;
+  critiquePlan?: boolean;
+  planCritique?: PlanCritique | null;
+  reviewPlan?: boolean;
+  planRevision?: number;
+  planApprovedAt?: string | null;
+  template?: MissionTemplateRef | null;
+  parentId?: string | null;
+  forkedFrom?: ForkOrigin | null;
+  forks?: string[];
+  iterationLimits?: { mission: number; agent: number };
+  iterationLimitExceeded?: IterationLimitExceeded | null;
+  usage?: MissionUsage;
+  tokenBudget?: number | null;
+  budgetExhausted?: { at: string; used: number; budget: number } | null;
+  agentTimeoutMinutes?: number | null;
+  codex?: CodexSettings | null;
+  deadline?: string | null;
+  deadlineExceeded?: { at: string; deadline: string } | null;
+  aborted?: { at: string; agent: string; reason: string } | null;
+  questions?: MissionQuestion[];
+  triageRuleHits?: Record<string, number>;
+  isolation?: 'none' | 'worktree';
+  worktree?: MissionWorktree | null;
+  rollbackPolicy?: 'none' | 'on_failure' | 'on_retry';
+  rollbacks?: MissionRollback[];
+  verification?: VerificationCheck[] | null;
+  verificationRuns?: VerificationRun[];
   status: string;
   createdAt: string;
   updatedAt: string;
@@ -33,3 +329,21 @@ export type Mission = {
   results: { agentId: string; output: AgentResult | null }[];
   error?: string;
 };
+
+export type MissionSummary = {
+  id: string;
+  goal: string;
+  status: string;
+  createdAt: string;
+  updatedAt: string;
+  agentCount: number;
+  summary: string | null;
+  template?: MissionTemplateRef | null;
+  parentId?: string | null;
+  forkedFrom?: ForkOrigin | null;
+  usage?: TokenUsage;
+  tokenBudget?: number | null;
+  deadline?: string | null;
+  questions?: MissionQuestion[];
+  branch?: string | null;
+};
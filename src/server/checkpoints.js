@@ -0,0 +1,134 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { debugLog } from './config.js';
+import { runGit } from './git.js';
+import { snapshotWorkspace } from './workspaceSnapshot.js';
+
+const CHECKPOINT_REF_PREFIX = 'refs/codex-orchestrator/checkpoints';
+const CHECKOUT_BATCH_SIZE = 200;
+
+// Hash snapshots store their blobs per mission, so a mission's checkpoints go away with one directory.
+export function checkpointBlobDir(storeDir, missionId) {
+  return path.join(storeDir, missionId, 'objects');
+}
+
+// Checkpoints are workspace snapshots kept restorable: git trees are pinned by a ref so
+// `git gc` keeps them, and hash snapshots get a manifest next to their stored blobs.
+export async function saveCheckpoint(snapshot, { storeDir, missionId, agentId }) {
+  const createdAt = new Date().toISOString();
+  if (snapshot.mode === 'git') {
+    const ref = `${CHECKPOINT_REF_PREFIX}/${missionId}/${agentId}`;
+    await runGit(snapshot.workingDirectory, ['update-ref', ref, snapshot.tree]);
+    return { mode: 'git', tree: snapshot.tree, ref, createdAt };
+  }
+  const manifest = path.join(storeDir, missionId, `${agentId}.json`);
+  await fs.mkdir(path.dirname(manifest), { recursive: true });
+  await fs.writeFile(
+    manifest,
+    JSON.stringify({ files: Object.fromEntries(Array.from(snapshot.files, ([file, { hash }]) => [file, hash])) }),
+  );
+  return {
+    mode: 'hash',
+    manifest,
+    blobDir: checkpointBlobDir(storeDir, missionId),
+    truncated: Boolean(snapshot.truncated),
+    createdAt,
+  };
+}
+
+async function restoreGitCheckpoint(checkpoint, workingDirectory) {
+  const current = await snapshotWorkspace(workingDirectory);
+  if (current?.mode !== 'git') {
+    throw new Error(`${workingDirectory} is no longer a git work tree`);
+  }
+  const fields = (
+    await runGit(workingDirectory, ['diff', '--relative', '--no-renames', '--name-status', '-z', current.tree, checkpoint.tree])
+  )
+    .split('\0')
+    .filter(Boolean);
+  const files = [];
+  for (let index = 0; index < fields.length; index += 2) {
+    // Statuses read from the current state towards the checkpoint.
+    const status = fields[index] === 'A' ? 'restored' : fields[index] === 'D' ? 'removed' : 'reverted';
+    files.push({ path: fields[index + 1], status });
+  }
+  const toCheckout = files.filter((file) => file.status !== 'removed').map((file) => file.path);
+  if (toCheckout.length) {
+    // Write the files from a throwaway index so the user's index is left alone.
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-checkpoint-'));
+    const env = { GIT_INDEX_FILE: path.join(tempDir, 'index') };
+    try {
+      await runGit(workingDirectory, ['read-tree', checkpoint.tree], { env });
+      for (let start = 0; start < toCheckout.length; start += CHECKOUT_BATCH_SIZE) {
+        const batch = toCheckout.slice(start, start + CHECKOUT_BATCH_SIZE);
+        await runGit(workingDirectory, ['checkout-index', '--force', '--', ...batch], { env });
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+  await Promise.all(
+    files
+      .filter((file) => file.status === 'removed')
+      .map((file) => fs.rm(path.join(workingDirectory, file.path), { force: true })),
+  );
+  return files;
+}
+
+async function restoreHashCheckpoint(checkpoint, workingDirectory, blobDir) {
+  const { files: manifest } = JSON.parse(await fs.readFile(checkpoint.manifest, 'utf8'));
+  const current = await snapshotWorkspace(workingDirectory);
+  if (current?.mode !== 'hash') {
+    throw new Error(`${workingDirectory} cannot be restored from a file snapshot`);
+  }
+  const files = [];
+  for (const [file, hash] of Object.entries(manifest)) {
+    const existing = current.files.get(file);
+    if (existing?.hash === hash) continue;
+    const target = path.join(workingDirectory, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(blobDir, hash), target);
+    files.push({ path: file, status: existing ? 'reverted' : 'restored' });
+  }
+  // A truncated checkpoint does not know every file, so nothing it lacks is deleted.
+  if (!checkpoint.truncated && !current.truncated) {
+    for (const file of current.files.keys()) {
+      if (file in manifest) continue;
+      await fs.rm(path.join(workingDirectory, file), { force: true });
+      files.push({ path: file, status: 'removed' });
+    }
+  }
+  return files;
+}
+
+// Puts the workspace back to the checkpointed state and returns the files that changed
+// (`reverted`, `restored` or `removed`).
+// `blobDir` is only used for checkpoints saved before blobs were kept per mission.
+export async function restoreCheckpoint(checkpoint, workingDirectory, { blobDir = null } = {}) {
+  const files =
+    checkpoint.mode === 'git'
+      ? await restoreGitCheckpoint(checkpoint, workingDirectory)
+      : await restoreHashCheckpoint(checkpoint, workingDirectory, checkpoint.blobDir ?? blobDir);
+  debugLog('Checkpoint restored', { workingDirectory, mode: checkpoint.mode, files: files.length });
+  return files;
+}
+
+// Deletes the refs pinning a mission's git checkpoints.
+export async function dropGitCheckpoints(repository, missionId) {
+  const refs = (await runGit(repository, ['for-each-ref', '--format=%(refname)', `${CHECKPOINT_REF_PREFIX}/${missionId}/`]))
+    .split('\n')
+    .filter(Boolean);
+  for (const ref of refs) {
+    await runGit(repository, ['update-ref', '-d', ref]);
+  }
+  return refs.length;
+}
+
+// Deletes all of a mission's checkpoints: the refs pinning git trees in `repository` (when
+// given) and the manifests and blobs under the store. Returns the number of refs dropped.
+export async function dropCheckpoints({ storeDir, missionId, repository = null }) {
+  const refs = repository ? await dropGitCheckpoints(repository, missionId) : 0;
+  await fs.rm(path.join(storeDir, missionId), { recursive: true, force: true });
+  return refs;
+}
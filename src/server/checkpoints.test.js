@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { checkpointBlobDir, dropCheckpoints, restoreCheckpoint, saveCheckpoint } from './checkpoints.js';
+import { snapshotWorkspace } from './workspaceSnapshot.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+let root;
+let workspace;
+let storeDir;
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-orchestrator-checkpoints-'));
+  workspace = path.join(root, 'workspace');
+  storeDir = path.join(root, 'checkpoints');
+  fs.mkdirSync(workspace);
+});
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+  fs.writeFileSync(path.join(workspace, file), content);
+};
+const read = (file) => fs.readFileSync(path.join(workspace, file), 'utf8');
+const statuses = (files) => files.map((file) => `${file.path}=${file.status}`).sort();
+
+async function checkpoint(agentId = 'designer__iter0') {
+  const snapshot = await snapshotWorkspace(workspace, { blobDir: checkpointBlobDir(storeDir, 'm1') });
+  return saveCheckpoint(snapshot, { storeDir, missionId: 'm1', agentId });
+}
+
+function makeChanges() {
+  write('app.js', 'broken\n');
+  fs.rmSync(path.join(workspace, 'docs/guide.md'));
+  write('junk.tmp', 'x');
+}
+
+test('restores a file snapshot and reports what it put back', async () => {
+  write('app.js', 'original\n');
+  write('docs/guide.md', 'guide\n');
+  const saved = await checkpoint();
+  assert.equal(saved.mode, 'hash');
+  assert.equal(saved.blobDir, checkpointBlobDir(storeDir, 'm1'));
+  makeChanges();
+
+  const files = await restoreCheckpoint(saved, workspace);
+  assert.deepEqual(statuses(files), ['app.js=reverted', 'docs/guide.md=restored', 'junk.tmp=removed']);
+  assert.equal(read('app.js'), 'original\n');
+  assert.equal(read('docs/guide.md'), 'guide\n');
+  assert.equal(fs.existsSync(path.join(workspace, 'junk.tmp')), false);
+  assert.deepEqual(await restoreCheckpoint(saved, workspace), []);
+});
+
+test('restores a git checkpoint without touching the index and drops its refs', async () => {
+  write('app.js', 'original\n');
+  write('docs/guide.md', 'guide\n');
+  git(workspace, 'init', '-q');
+  git(workspace, 'add', 'app.js');
+  git(workspace, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+  const saved = await checkpoint();
+  assert.equal(saved.mode, 'git');
+  assert.equal(git(workspace, 'rev-parse', saved.ref), saved.tree);
+  makeChanges();
+
+  const files = await restoreCheckpoint(saved, workspace);
+  assert.deepEqual(statuses(files), ['app.js=reverted', 'docs/guide.md=restored', 'junk.tmp=removed']);
+  assert.equal(read('app.js'), 'original\n');
+  assert.equal(read('docs/guide.md'), 'guide\n');
+  assert.equal(git(workspace, 'status', '--porcelain'), '?? docs/');
+
+  assert.equal(await dropCheckpoints({ storeDir, missionId: 'm1', repository: workspace }), 1);
+  assert.equal(git(workspace, 'for-each-ref', 'refs/codex-orchestrator'), '');
+});
+
+test('dropping a mission\'s checkpoints leaves other missions alone', async () => {
+  write('app.js', 'original\n');
+  const saved = await checkpoint();
+  const other = await saveCheckpoint(await snapshotWorkspace(workspace, { blobDir: checkpointBlobDir(storeDir, 'm2') }), {
+    storeDir,
+    missionId: 'm2',
+    agentId: 'designer__iter0',
+  });
+  await dropCheckpoints({ storeDir, missionId: 'm1' });
+  assert.equal(fs.existsSync(saved.manifest), false);
+  await assert.rejects(restoreCheckpoint(saved, workspace));
+
+  write('app.js', 'changed\n');
+  assert.deepEqual(statuses(await restoreCheckpoint(other, workspace)), ['app.js=reverted']);
+  assert.equal(read('app.js'), 'original\n');
+});
+
+test('falls back to the shared blob store for checkpoints saved before blobs were kept per mission', async () => {
+  write('app.js', 'original\n');
+  const legacyBlobDir = path.join(storeDir, 'objects');
+  const snapshot = await snapshotWorkspace(workspace, { blobDir: legacyBlobDir });
+  const { blobDir: _blobDir, ...legacy } = await saveCheckpoint(snapshot, { storeDir, missionId: 'm1', agentId: 'designer__iter0' });
+  write('app.js', 'changed\n');
+  assert.deepEqual(statuses(await restoreCheckpoint(legacy, workspace, { blobDir: legacyBlobDir })), ['app.js=reverted']);
+  assert.equal(read('app.js'), 'original\n');
+});
@@ -5,6 +5,9 @@ import crossSpawn from 'cross-spawn';
 import { v4 as uuidv4 } from 'uuid';
 import { config, debugLog } from './config.js';
 import { sanitizePrompt } from '../promptUtils.js';
+import { mergeCodexSettings } from './codexSettings.js';
+
+const BYPASS_SANDBOX_FLAG = '--dangerously-bypass-approvals-and-sandbox';
 
 const COMPLETION_EVENTS = new Set([
   'turn.completed',
@@ -25,18 +28,22 @@ export class CodexRunner extends EventEmitter {
     this.execArgs = Array.isArray(options.execArgs)
       ? [...options.execArgs]
       : [...config.execArgs];
+    this.profile = options.profile ?? config.profile;
     this.activeChild = null;
+    this.activeChildren = new Set();
   }
 
   async ensureInactive() {
-    const child = this.activeChild;
-    if (!child) {
-      return;
+    const children = new Set(this.activeChildren);
+    if (this.activeChild) {
+      children.add(this.activeChild);
     }
+    await Promise.all(Array.from(children, (child) => this.#terminate(child)));
+  }
+
+  async #terminate(child) {
     if (child.exitCode !== null || child.signalCode !== null) {
-      if (this.activeChild === child) {
-        this.activeChild = null;
-      }
+      this.#release(child);
       return;
     }
     await new Promise((resolve) => {
@@ -44,9 +51,7 @@ export class CodexRunner extends EventEmitter {
       const cleanup = () => {
         if (resolved) return;
         resolved = true;
-        if (this.activeChild === child) {
-          this.activeChild = null;
-        }
+        this.#release(child);
         resolve();
       };
       child.once('exit', cleanup);
@@ -68,10 +73,18 @@ export class CodexRunner extends EventEmitter {
     });
   }
 
+  #release(child) {
+    this.activeChildren.delete(child);
+    if (this.activeChild === child) {
+      this.activeChild = null;
+    }
+  }
+
   async runOnce({
     prompt,
     command,
     extraArgs = [],
+    settings = null,
     sessionId,
     resumeLast = false,
     timeoutMs = 5 * 60_000,
@@ -80,7 +93,12 @@ export class CodexRunner extends EventEmitter {
     const invocationId = uuidv4();
     const args = ['exec'];
     // Flags must come before "resume"
-    const flags = [...this.execArgs, ...this.globalArgs];
+    const effectiveSettings = mergeCodexSettings(this.profile ? { profile: this.profile } : null, settings);
+    // An explicit sandbox only takes effect without the global bypass flag.
+    const globalArgs = effectiveSettings.sandbox
+      ? this.globalArgs.filter((arg) => arg !== BYPASS_SANDBOX_FLAG)
+      : this.globalArgs;
+    const flags = [...this.execArgs, ...globalArgs, ...settingsArgs(effectiveSettings)];
     if (Array.isArray(extraArgs) && extraArgs.length) {
       flags.push(...extraArgs);
     }
@@ -111,6 +129,7 @@ export class CodexRunner extends EventEmitter {
       stdio: ['pipe', 'pipe', 'pipe'],
     });
     this.activeChild = child;
+    this.activeChildren.add(child);
 
     const rl = createInterface({
       input: child.stdout,
@@ -137,7 +156,10 @@ export class CodexRunner extends EventEmitter {
       completion: null,
       lastAgentMessage: null,
       usage: null,
+      timedOut: false,
+      timeoutMs: timeoutMs || null,
       command: [this.codexBin, ...args],
+      settings: effectiveSettings,
     };
 
     let completionTimer = null;
@@ -210,6 +232,7 @@ export class CodexRunner extends EventEmitter {
     const timer =
       timeoutMs &&
       setTimeout(() => {
+        result.timedOut = true;
         this.emit('timeout', { invocationId, timeoutMs });
         try {
           child.kill('SIGTERM');
@@ -228,9 +251,7 @@ export class CodexRunner extends EventEmitter {
       }, timeoutMs).unref();
 
     const [code, signal] = await once(child, 'exit');
-    if (this.activeChild === child) {
-      this.activeChild = null;
-    }
+    this.#release(child);
 
     if (timer) {
       clearTimeout(timer);
@@ -269,3 +290,15 @@ export class CodexRunner extends EventEmitter {
     return result;
   }
 }
+
+function settingsArgs(settings) {
+  const args = [];
+  if (settings.profile) args.push('--profile', settings.profile);
+  if (settings.model) args.push('--model', settings.model);
+  if (settings.sandbox) args.push('--sandbox', settings.sandbox);
+  if (settings.reasoningEffort) args.push('-c', `model_reasoning_effort=${settings.reasoningEffort}`);
+  Object.entries(settings.config ?? {}).forEach(([key, value]) => {
+    args.push('-c', `${key}=${value}`);
+  });
+  return args;
+}
@@ -0,0 +1,90 @@
+import { z } from 'zod';
+
+// Per-run Codex CLI settings. Plans, templates and the API use the snake_case form
+// (`reasoning_effort`); blueprints, agents and runners keep the normalized camelCase one.
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+export const SANDBOX_MODES = ['read-only', 'workspace-write', 'danger-full-access'];
+
+const CONFIG_KEY_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+const name = z.string().trim().min(1).max(200);
+const configValue = z
+  .union([z.string(), z.number(), z.boolean()], {
+    errorMap: () => ({ message: 'must be a string, number or boolean ("key=value" in the array form)' }),
+  })
+  .transform((value) => String(value));
+
+const configEntries = z
+  .preprocess(
+    // The CLI's own `key=value` form is accepted as an array.
+    (value) => (Array.isArray(value)
+      ? Object.fromEntries(value.map((entry) => {
+        const separator = `${entry}`.indexOf('=');
+        return separator > 0
+          ? [`${entry}`.slice(0, separator).trim(), `${entry}`.slice(separator + 1).trim()]
+          : [`${entry}`, undefined];
+      }))
+      : value),
+    z.record(configValue),
+  )
+  .superRefine((entries, ctx) => {
+    Object.keys(entries).forEach((key) => {
+      if (!CONFIG_KEY_PATTERN.test(key)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: 'is not a valid config key' });
+      }
+    });
+  });
+
+export const codexSettingsSchema = z
+  .object({
+    profile: name.optional(),
+    model: name.optional(),
+    reasoning_effort: z.enum(REASONING_EFFORTS).optional(),
+    sandbox: z.enum(SANDBOX_MODES).optional(),
+    config: configEntries.optional(),
+  })
+  .strict()
+  .transform((settings) => compactSettings({
+    profile: settings.profile,
+    model: settings.model,
+    reasoningEffort: settings.reasoning_effort,
+    sandbox: settings.sandbox,
+    config: settings.config,
+  }));
+
+function compactSettings(settings) {
+  const compacted = Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== undefined && value !== null),
+  );
+  if (compacted.config && !Object.keys(compacted.config).length) delete compacted.config;
+  return compacted;
+}
+
+export function parseCodexSettings(value, subject = 'codex') {
+  const validation = codexSettingsSchema.safeParse(value);
+  if (!validation.success) {
+    const details = validation.error.issues
+      .map((issue) => `${[subject, ...issue.path].join('.')} ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid Codex settings: ${details}`);
+  }
+  return validation.data;
+}
+
+// Later layers win field by field; `config` entries are merged key by key.
+export function mergeCodexSettings(...layers) {
+  return layers.filter(Boolean).reduce(
+    (merged, layer) => compactSettings({
+      ...merged,
+      ...layer,
+      config: { ...merged.config, ...layer.config },
+    }),
+    {},
+  );
+}
+
+// Back to the plan form, for getPlan() and templates.
+export function toPlanCodexSettings(settings) {
+  if (!settings || !Object.keys(settings).length) return undefined;
+  const { reasoningEffort, ...rest } = settings;
+  return { ...rest, ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}) };
+}
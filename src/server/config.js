@@ -1,9 +1,11 @@
+import os from 'node:os';
 import path from 'node:path';
 
 const DEFAULT_CODEX_BIN = process.env.CODEX_BIN || 'codex';
 const DEFAULT_WORKDIR = process.env.CODEX_WORKDIR || process.cwd();
 
-const profileArg = process.env.CODEX_PROFILE || 'gpt-oss-20b-lms';
+// Default `--profile` for every Codex run; plans and missions can override it per agent.
+const profileArg = process.env.CODEX_PROFILE || null;
 const globalCliArgs = [
   '--json',
 
@@ -14,6 +16,24 @@ const execCliArgs = [
   '--skip-git-repo-check',
 ];
 
+const DEFAULT_DATA_DIR = process.env.CODEX_ORCHESTRATOR_DATA_DIR
+  || path.join(os.homedir(), '.codex-orchestrator');
+
+// Templates default to the workspace so they can be committed alongside the code they describe.
+const DEFAULT_TEMPLATES_DIR = process.env.CODEX_ORCHESTRATOR_TEMPLATES_DIR
+  || path.join(DEFAULT_WORKDIR, '.codex-orchestrator', 'templates');
+
+// Machine-wide triage rules (JSON or a JS module); a workspace's own `.codex-orchestrator/triage-rules.json` takes precedence.
+const DEFAULT_TRIAGE_RULES_FILE = process.env.CODEX_ORCHESTRATOR_TRIAGE_RULES
+  || path.join(DEFAULT_DATA_DIR, 'triage-rules.json');
+
+// Machine-wide verification checks; a workspace's own `.codex-orchestrator/verification.json` replaces them.
+const DEFAULT_VERIFICATION_FILE = process.env.CODEX_ORCHESTRATOR_VERIFICATION
+  || path.join(DEFAULT_DATA_DIR, 'verification.json');
+
+const DEFAULT_WORKTREES_DIR = process.env.CODEX_ORCHESTRATOR_WORKTREES_DIR
+  || path.join(DEFAULT_DATA_DIR, 'worktrees');
+
 const debugFlag = process.env.CODEX_DEBUG ?? process.env.DEBUG;
 const debugEnabled = debugFlag ? debugFlag !== '0' : true;
 
@@ -22,10 +42,23 @@ export const config = {
   workingDirectory: path.resolve(DEFAULT_WORKDIR),
   globalArgs: globalCliArgs,
   execArgs: execCliArgs,
+  profile: profileArg,
   debug: debugEnabled,
   orchestrator: {
     planningPrompt: process.env.CODEX_ORCHESTRATOR_PLANNING_PROMPT
       ?? 'You are Codex Mission Control. Return a JSON plan with keys "mission_summary" and "agents". Do not output any other text. NEVER output code.',
+    store: process.env.CODEX_ORCHESTRATOR_STORE || 'file',
+    dataDir: path.resolve(DEFAULT_DATA_DIR),
+    templatesDir: path.resolve(DEFAULT_TEMPLATES_DIR),
+    triageRulesFile: path.resolve(DEFAULT_TRIAGE_RULES_FILE),
+    verificationFile: path.resolve(DEFAULT_VERIFICATION_FILE),
+    worktreesDir: path.resolve(DEFAULT_WORKTREES_DIR),
+    isolation: process.env.CODEX_ORCHESTRATOR_ISOLATION || 'none',
+    resumeInterrupted: process.env.CODEX_ORCHESTRATOR_RESUME_INTERRUPTED === '1',
+    maxConcurrentRuns: Number(process.env.CODEX_ORCHESTRATOR_MAX_CONCURRENT_RUNS ?? 4),
+    maxActiveMissions: Number(process.env.CODEX_ORCHESTRATOR_MAX_ACTIVE_MISSIONS ?? 2),
+    planCandidates: Number(process.env.CODEX_ORCHESTRATOR_PLAN_CANDIDATES ?? 1),
+    maxPlanCandidates: Number(process.env.CODEX_ORCHESTRATOR_MAX_PLAN_CANDIDATES ?? 5),
   },
   server: {
     port: Number(process.env.PORT || 4300),
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Stand-in for the Codex CLI in tests. Reads the prompt from stdin and answers from the
+// JSON scenario named by FAKE_CODEX_SCENARIO:
+//   { "plan": {...}, "replies": [{ "when": [...], "unless": [...], "text": "...",
+//     "files": { "path": "content" }, "stderr": "...", "exitCode": 1, "delayMs": 0 }], "log": "calls.ndjson" }
+// The first reply whose `when` strings all occur in the prompt (and no `unless` string does)
+// is used; planner prompts get `plan`, anything else finishes with `continue`.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_TEXT = 'Done.\nCONTROL_JSON: {"action":"continue"}';
+
+let prompt = '';
+process.stdin.on('data', (chunk) => {
+  prompt += chunk;
+});
+process.stdin.on('end', async () => {
+  const args = process.argv.slice(2);
+  const scenario = JSON.parse(fs.readFileSync(process.env.FAKE_CODEX_SCENARIO, 'utf8'));
+  const resumeIndex = args.indexOf('resume');
+  const thread = resumeIndex !== -1 ? args[resumeIndex + 1] : `thread-${process.pid}-${Date.now()}`;
+  if (scenario.log) fs.appendFileSync(scenario.log, `${JSON.stringify({ args, prompt })}\n`);
+
+  const reply = (scenario.replies ?? []).find(
+    (candidate) =>
+      (candidate.when ?? []).every((needle) => prompt.includes(needle))
+      && !(candidate.unless ?? []).some((needle) => prompt.includes(needle)),
+  );
+  const planning = prompt.includes('Codex Mission Control');
+  const text = reply?.text ?? (planning && scenario.plan ? JSON.stringify(scenario.plan) : DEFAULT_TEXT);
+  Object.entries(reply?.files ?? {}).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  if (reply?.delayMs) await new Promise((resolve) => setTimeout(resolve, reply.delayMs));
+
+  const emit = (event) => process.stdout.write(`${JSON.stringify(event)}\n`);
+  emit({ type: 'thread.started', thread_id: thread });
+  if (reply?.stderr) process.stderr.write(`${reply.stderr}\n`);
+  if (reply?.exitCode) {
+    process.exitCode = reply.exitCode;
+    return;
+  }
+  emit({ type: 'item.completed', item: { type: 'agent_message', text } });
+  emit({ type: 'turn.completed', usage: { input_tokens: 100, cached_input_tokens: 0, output_tokens: 20 } });
+});
@@ -0,0 +1,71 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config } from '../config.js';
+import { MemoryMissionStore } from '../missionStore.js';
+import { Orchestrator } from '../orchestrator.js';
+import { TemplateStore } from '../templateStore.js';
+import { TriageRuleRegistry } from '../triageRules.js';
+
+// Debug output drowns the test report; CODEX_DEBUG=1 brings it back.
+if (!process.env.CODEX_DEBUG) config.debug = false;
+
+export const FAKE_CODEX_BIN = fileURLToPath(new URL('./fakeCodex.js', import.meta.url));
+
+export const agent = (name, extra = {}) => ({
+  name,
+  role: `${name.replace(/_/g, ' ')} role`,
+  expertise: 'general',
+  objective: `Handle the ${name} part of the mission`,
+  instructions: `Do the ${name} work`,
+  ...extra,
+});
+
+export const control = (directive) => `Done.\nCONTROL_JSON: ${JSON.stringify(directive)}`;
+
+// An orchestrator wired to the fake Codex CLI, an in-memory store and a scratch directory
+// (workspace, templates, checkpoints). Tests in one file share the scenario env variable,
+// so they must not run concurrently.
+export function createHarness(scenario = {}, options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-orchestrator-test-'));
+  const workspace = path.join(root, 'workspace');
+  const log = path.join(root, 'calls.ndjson');
+  fs.mkdirSync(workspace);
+  const scenarioFile = path.join(root, 'scenario.json');
+  const setScenario = (next) => {
+    fs.writeFileSync(scenarioFile, JSON.stringify({ ...next, log }));
+  };
+  setScenario(scenario);
+  process.env.FAKE_CODEX_SCENARIO = scenarioFile;
+  const orchestrator = new Orchestrator({
+    codexBin: FAKE_CODEX_BIN,
+    globalArgs: [],
+    execArgs: ['--json'],
+    workingDirectory: workspace,
+    store: new MemoryMissionStore(),
+    templates: new TemplateStore({ directory: path.join(root, 'templates') }),
+    triageRules: new TriageRuleRegistry({ configFile: path.join(root, 'triage-rules.json') }),
+    verificationFile: path.join(root, 'verification.json'),
+    checkpointsDir: path.join(root, 'checkpoints'),
+    worktreesDir: path.join(root, 'worktrees'),
+    ...options,
+  });
+  return {
+    root,
+    workspace,
+    orchestrator,
+    setScenario,
+    calls() {
+      if (!fs.existsSync(log)) return [];
+      return fs.readFileSync(log, 'utf8').trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    },
+    run(missionOptions = {}) {
+      const mission = orchestrator.createMission({ goal: 'Test mission', workingDirectory: workspace, ...missionOptions });
+      return orchestrator.waitForMission(mission.id);
+    },
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
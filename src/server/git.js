@@ -0,0 +1,26 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 60_000;
+
+// Runs git in `cwd` and resolves with its stdout. Failures reject with git's stderr
+// in the message.
+export async function runGit(cwd, args, { env = {}, timeoutMs = GIT_TIMEOUT_MS } = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      env: { ...process.env, ...env },
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: timeoutMs,
+      windowsHide: true,
+    });
+    return stdout;
+  } catch (error) {
+    const detail = `${error.stderr ?? ''}`.trim() || `${error.stdout ?? ''}`.trim() || error.message;
+    const wrapped = new Error(`git ${args[0]} failed: ${detail}`);
+    wrapped.exitCode = typeof error.code === 'number' ? error.code : null;
+    throw wrapped;
+  }
+}
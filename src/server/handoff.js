@@ -0,0 +1,124 @@
+import { z } from 'zod';
+
+// Agents end their response with `HANDOFF_JSON: {...}` followed by the CONTROL_JSON line.
+// The handoff carries what downstream agents need verbatim instead of a truncated summary.
+export const HANDOFF_MARKER = 'HANDOFF_JSON:';
+const CONTROL_MARKER = 'CONTROL_JSON:';
+
+const text = z.string().trim().min(1);
+
+const handoffSchema = z
+  .object({
+    artifacts: z
+      .array(
+        z.union([
+          text.transform((artifactPath) => ({ path: artifactPath, description: null })),
+          z.object({ path: text, description: z.string().trim().nullish() }).transform((artifact) => ({
+            path: artifact.path,
+            description: artifact.description || null,
+          })),
+        ]),
+      )
+      .default([]),
+    commands: z
+      .array(
+        z.union([
+          text.transform((command) => ({ command, purpose: null })),
+          z.object({ command: text, purpose: z.string().trim().nullish() }).transform((entry) => ({
+            command: entry.command,
+            purpose: entry.purpose || null,
+          })),
+        ]),
+      )
+      .default([]),
+    assumptions: z.array(text).default([]),
+    open_risks: z.array(text).default([]),
+  })
+  .transform((handoff) => ({
+    artifacts: handoff.artifacts,
+    commands: handoff.commands,
+    assumptions: handoff.assumptions,
+    openRisks: handoff.open_risks,
+  }));
+
+// Returns the end index of the JSON object starting at `start`, honouring strings.
+function matchingBrace(source, start) {
+  let depth = 0;
+  let inString = false;
+  for (let index = start; index < source.length; index += 1) {
+    const char = source[index];
+    if (inString) {
+      if (char === '\\') index += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+}
+
+// Splits the handoff out of an agent message. Returns the remaining text plus either the
+// normalized handoff or the reason it could not be read (`handoff` is null when absent).
+export function extractHandoff(message) {
+  if (!message || typeof message !== 'string') {
+    return { text: message ?? '', handoff: null, error: null };
+  }
+  const markerIndex = message.lastIndexOf(HANDOFF_MARKER);
+  if (markerIndex === -1) {
+    return { text: message, handoff: null, error: null };
+  }
+  // A broken handoff must not swallow the CONTROL_JSON line after it.
+  const controlIndex = message.indexOf(CONTROL_MARKER, markerIndex);
+  const limit = controlIndex === -1 ? message.length : controlIndex;
+  const start = message.indexOf('{', markerIndex + HANDOFF_MARKER.length);
+  const end = start === -1 || start >= limit ? -1 : matchingBrace(message.slice(0, limit), start);
+  const without = (fragmentEnd) => `${message.slice(0, markerIndex).trimEnd()}\n${message.slice(fragmentEnd).trimStart()}`.trim();
+  if (end === -1) {
+    // Without a CONTROL_JSON line to bound the fragment, only the marker line goes.
+    const lineEnd = message.indexOf('\n', markerIndex);
+    const fragmentEnd = controlIndex !== -1 ? controlIndex : lineEnd === -1 ? message.length : lineEnd;
+    return { text: without(fragmentEnd), handoff: null, error: 'HANDOFF_JSON is not a complete JSON object' };
+  }
+  const remaining = without(end + 1);
+  let raw;
+  try {
+    raw = JSON.parse(message.slice(start, end + 1));
+  } catch (error) {
+    return { text: remaining, handoff: null, error: `HANDOFF_JSON is not valid JSON: ${error.message}` };
+  }
+  const validation = handoffSchema.safeParse(raw);
+  if (!validation.success) {
+    const details = validation.error.issues
+      .map((issue) => `${issue.path.join('.') || '(handoff)'} ${issue.message}`)
+      .join('; ');
+    return { text: remaining, handoff: null, error: `HANDOFF_JSON is invalid: ${details}` };
+  }
+  return { text: remaining, handoff: validation.data, error: null };
+}
+
+export function isEmptyHandoff(handoff) {
+  return !handoff || Object.values(handoff).every((items) => !Array.isArray(items) || !items.length);
+}
+
+// One paragraph per upstream agent, every entry kept in full.
+export function renderHandoffsForPrompt(agents) {
+  return agents
+    .map((agent) => {
+      const { artifacts, commands, assumptions, openRisks } = agent.handoff;
+      const sections = [
+        artifacts.length
+          && `Artifacts: ${artifacts.map((item) => (item.description ? `${item.path} (${item.description})` : item.path)).join('; ')}`,
+        commands.length
+          && `Commands: ${commands.map((item) => (item.purpose ? `\`${item.command}\` (${item.purpose})` : `\`${item.command}\``)).join('; ')}`,
+        assumptions.length && `Assumptions: ${assumptions.join('; ')}`,
+        openRisks.length && `Open risks: ${openRisks.join('; ')}`,
+      ].filter(Boolean);
+      return `- ${agent.id} (${agent.role}): ${sections.join(' | ')}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { extractHandoff } from './handoff.js';
+
+const CONTROL = 'CONTROL_JSON: {"action":"request_iteration","target_agent":"implementer","instructions":"Fix it"}';
+
+test('reads a valid handoff and keeps the CONTROL_JSON line', () => {
+  const { text, handoff, error } = extractHandoff(
+    `Done.\nHANDOFF_JSON: {"artifacts":["src/app.js"],"open_risks":["no tests yet"]}\n${CONTROL}`,
+  );
+  assert.equal(error, null);
+  assert.deepEqual(handoff.artifacts, [{ path: 'src/app.js', description: null }]);
+  assert.deepEqual(handoff.openRisks, ['no tests yet']);
+  assert.equal(text, `Done.\n${CONTROL}`);
+});
+
+test('keeps the CONTROL_JSON line after an incomplete handoff', () => {
+  const { text, handoff, error } = extractHandoff(`Done.\nHANDOFF_JSON: {"artifacts": ["src/app.js"\n${CONTROL}`);
+  assert.equal(handoff, null);
+  assert.match(error, /not a complete JSON object/);
+  assert.equal(text, `Done.\n${CONTROL}`);
+});
+
+test('keeps the CONTROL_JSON line after a handoff that is not valid JSON', () => {
+  const { text, handoff, error } = extractHandoff(`Done.\nHANDOFF_JSON: {artifacts: [src/app.js]}\n${CONTROL}`);
+  assert.equal(handoff, null);
+  assert.match(error, /not valid JSON/);
+  assert.equal(text, `Done.\n${CONTROL}`);
+});
+
+test('drops only the marker line of an incomplete handoff without a CONTROL_JSON line', () => {
+  const { text, error } = extractHandoff('Done.\nHANDOFF_JSON: {"artifacts": [\nNotes follow.');
+  assert.match(error, /not a complete JSON object/);
+  assert.equal(text, 'Done.\nNotes follow.');
+});
@@ -7,6 +7,10 @@ import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { config } from './config.js';
 import { Orchestrator } from './orchestrator.js';
+import { isValidTemplateName } from './templateStore.js';
+import { parseVerificationChecks } from './verification.js';
+import { parseCodexSettings } from './codexSettings.js';
+import { REPORT_FORMATS, renderHtmlReport, renderMarkdownReport } from './missionReport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,24 +29,543 @@ app.get('/api/missions', (_req, res) => {
   res.json({ missions: orchestrator.listMissions() });
 });
 
+const POLL_INTERVAL_SECONDS = 2;
+
+function missionUrls(id) {
+  return {
+    missionUrl: `/api/missions/${id}`,
+    statusUrl: `/api/missions/${id}/status`,
+  };
+}
+
 app.get('/api/missions/:id', (req, res) => {
   const mission = orchestrator.getMission(req.params.id);
   if (!mission) {
     res.status(404).json({ error: 'Mission not found' });
     return;
   }
+  if (orchestrator.isMissionActive(mission.id)) {
+    res.set('Retry-After', String(POLL_INTERVAL_SECONDS));
+  }
   res.json({ mission });
 });
 
+app.get('/api/missions/:id/status', (req, res) => {
+  const status = orchestrator.getMissionStatus(req.params.id);
+  if (!status) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  if (status.active) {
+    res.set('Retry-After', String(POLL_INTERVAL_SECONDS));
+  }
+  res.json({ mission: status, ...missionUrls(status.id) });
+});
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isDirectory(candidate) {
+  if (typeof candidate !== 'string' || !candidate.trim()) return false;
+  try {
+    return fs.statSync(path.resolve(candidate)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
 app.post('/api/missions', async (req, res) => {
-  const { goal, context } = req.body ?? {};
+  const {
+    goal,
+    context,
+    mode = 'autonomous',
+    approvalPattern = null,
+    maxParallelAgents = null,
+    priority = 0,
+    workingDirectory = null,
+    reviewPlan = req.body?.planOnly ?? false,
+    template = null,
+    adaptTemplate = false,
+    maxIterations = null,
+    maxAgentIterations = null,
+    tokenBudget = null,
+    agentTimeoutMinutes = null,
+    deadline = null,
+    deadlineMinutes = null,
+    isolation = undefined,
+    rollbackPolicy = undefined,
+    verification = null,
+    codex = null,
+    planCandidates = null,
+    planJudge = null,
+    critiquePlan = null,
+  } = req.body ?? {};
   if (!goal || typeof goal !== 'string') {
     res.status(400).json({ error: 'goal is required' });
     return;
   }
+  if (mode !== 'autonomous' && mode !== 'supervised') {
+    res.status(400).json({ error: 'mode must be "autonomous" or "supervised"' });
+    return;
+  }
+  if (approvalPattern !== null && (typeof approvalPattern !== 'string' || !isValidPattern(approvalPattern))) {
+    res.status(400).json({ error: 'approvalPattern must be a valid regular expression' });
+    return;
+  }
+  if (maxParallelAgents !== null && !isPositiveInteger(maxParallelAgents)) {
+    res.status(400).json({ error: 'maxParallelAgents must be a positive integer' });
+    return;
+  }
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+    res.status(400).json({ error: 'priority must be a number' });
+    return;
+  }
+  if (workingDirectory !== null && !isDirectory(workingDirectory)) {
+    res.status(400).json({ error: 'workingDirectory must be an existing directory' });
+    return;
+  }
+  if (typeof reviewPlan !== 'boolean') {
+    res.status(400).json({ error: 'reviewPlan must be a boolean' });
+    return;
+  }
+  for (const [field, value] of Object.entries({ maxIterations, maxAgentIterations })) {
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      res.status(400).json({ error: `${field} must be a non-negative integer` });
+      return;
+    }
+  }
+  if (planCandidates !== null && !(isPositiveInteger(planCandidates) && planCandidates <= config.orchestrator.maxPlanCandidates)) {
+    res.status(400).json({ error: `planCandidates must be an integer between 1 and ${config.orchestrator.maxPlanCandidates}` });
+    return;
+  }
+  for (const [field, value] of Object.entries({ planJudge, critiquePlan })) {
+    if (value !== null && typeof value !== 'boolean') {
+      res.status(400).json({ error: `${field} must be a boolean` });
+      return;
+    }
+  }
+  if (tokenBudget !== null && !isPositiveInteger(tokenBudget)) {
+    res.status(400).json({ error: 'tokenBudget must be a positive integer' });
+    return;
+  }
+  for (const [field, value] of Object.entries({ agentTimeoutMinutes, deadlineMinutes })) {
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+      res.status(400).json({ error: `${field} must be a positive number` });
+      return;
+    }
+  }
+  if (deadline !== null && (typeof deadline !== 'string' || Number.isNaN(Date.parse(deadline)))) {
+    res.status(400).json({ error: 'deadline must be an ISO 8601 timestamp' });
+    return;
+  }
+  if (isolation !== undefined && isolation !== 'none' && isolation !== 'worktree') {
+    res.status(400).json({ error: 'isolation must be "none" or "worktree"' });
+    return;
+  }
+  if (rollbackPolicy !== undefined && !['none', 'on_failure', 'on_retry'].includes(rollbackPolicy)) {
+    res.status(400).json({ error: 'rollbackPolicy must be "none", "on_failure" or "on_retry"' });
+    return;
+  }
+  if (template !== null && !isValidTemplateName(template)) {
+    res.status(400).json({ error: 'template must be a template name' });
+    return;
+  }
+  if (verification !== null) {
+    try {
+      parseVerificationChecks(verification);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+  }
+  if (codex !== null) {
+    try {
+      parseCodexSettings(codex);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+  }
+  try {
+    const options = {
+      goal,
+      context,
+      mode,
+      approvalPattern,
+      maxParallelAgents,
+      priority,
+      workingDirectory,
+      reviewPlan,
+      maxIterations,
+      maxAgentIterations,
+      tokenBudget,
+      agentTimeoutMinutes,
+      deadline: deadlineMinutes !== null ? new Date(Date.now() + deadlineMinutes * 60_000).toISOString() : deadline,
+      isolation,
+      rollbackPolicy,
+      verification,
+      codex,
+      planCandidates,
+      planJudge,
+      critiquePlan,
+    };
+    if (template) {
+      options.template = await orchestrator.getTemplate(template);
+      options.adaptTemplate = Boolean(adaptTemplate);
+      if (!options.template) {
+        res.status(404).json({ error: `Template not found: ${template}` });
+        return;
+      }
+    }
+    const mission = orchestrator.createMission(options);
+    const urls = missionUrls(mission.id);
+    res
+      .status(202)
+      .location(urls.statusUrl)
+      .set('Retry-After', String(POLL_INTERVAL_SECONDS))
+      .json({ mission: orchestrator.getMissionStatus(mission.id), ...urls });
+  } catch (error) {
+    if (error.violations) {
+      res.status(422).json({ error: error.message, violations: error.violations });
+      return;
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/cancel', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  try {
+    const { reason } = req.body ?? {};
+    orchestrator.cancelMission(req.params.id, { reason: typeof reason === 'string' ? reason : null });
+    res.status(202).json({ mission: orchestrator.getMissionStatus(req.params.id) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/pause', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  try {
+    orchestrator.pauseMission(req.params.id);
+    res.status(202).json({ mission: orchestrator.getMissionStatus(req.params.id) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/resume', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const { decision = 'approve', instructions = null, feedback = null, tokenBudget } = req.body ?? {};
+  if (tokenBudget !== undefined && tokenBudget !== null && !isPositiveInteger(tokenBudget)) {
+    res.status(400).json({ error: 'tokenBudget must be a positive integer or null' });
+    return;
+  }
+  try {
+    orchestrator.resumeMission(req.params.id, { decision, instructions, feedback, tokenBudget });
+    const urls = missionUrls(req.params.id);
+    res
+      .status(202)
+      .location(urls.statusUrl)
+      .json({ mission: orchestrator.getMissionStatus(req.params.id), ...urls });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/answers', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const body = req.body ?? {};
+  const answers = Array.isArray(body.answers)
+    ? body.answers
+    : [{ questionId: body.questionId ?? undefined, answer: body.answer }];
+  const malformed = answers.some(
+    (entry) =>
+      !entry
+      || typeof entry.answer !== 'string'
+      || !entry.answer.trim()
+      || (entry.questionId !== undefined && typeof entry.questionId !== 'string'),
+  );
+  if (!answers.length || malformed) {
+    res.status(400).json({ error: 'answers must contain a non-empty answer (and optional questionId) per question' });
+    return;
+  }
+  try {
+    orchestrator.answerQuestions(req.params.id, answers);
+    const urls = missionUrls(req.params.id);
+    res
+      .status(202)
+      .location(urls.statusUrl)
+      .json({ mission: orchestrator.getMissionStatus(req.params.id), ...urls });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/fork', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const { agentId, instructions = null, overrides = {} } = req.body ?? {};
+  if (!agentId || typeof agentId !== 'string') {
+    res.status(400).json({ error: 'agentId is required' });
+    return;
+  }
+  if (instructions !== null && typeof instructions !== 'string') {
+    res.status(400).json({ error: 'instructions must be a string' });
+    return;
+  }
+  if (
+    !overrides
+    || typeof overrides !== 'object'
+    || Array.isArray(overrides)
+    || Object.values(overrides).some((value) => typeof value !== 'string')
+  ) {
+    res.status(400).json({ error: 'overrides must map agent ids to instruction strings' });
+    return;
+  }
+  try {
+    const mission = orchestrator.forkMission(req.params.id, { agentId, instructions, overrides });
+    const urls = missionUrls(mission.id);
+    res
+      .status(202)
+      .location(urls.statusUrl)
+      .set('Retry-After', String(POLL_INTERVAL_SECONDS))
+      .json({ mission: orchestrator.getMissionStatus(mission.id), ...urls });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/rollback', async (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const to = req.query.to ?? req.body?.to;
+  if (typeof to !== 'string' || !to.trim()) {
+    res.status(400).json({ error: 'to must name the agent whose checkpoint to restore' });
+    return;
+  }
+  try {
+    const rollback = await orchestrator.rollbackMission(req.params.id, { to });
+    res.json({ rollback, mission: orchestrator.getMissionStatus(req.params.id) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/promote', async (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const { cleanup = false } = req.body ?? {};
+  if (typeof cleanup !== 'boolean') {
+    res.status(400).json({ error: 'cleanup must be a boolean' });
+    return;
+  }
+  try {
+    const mission = await orchestrator.promoteMission(req.params.id, { cleanup });
+    res.json({ mission: orchestrator.getMissionStatus(mission.id) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/cleanup', async (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const { deleteBranch = false } = req.body ?? {};
+  if (typeof deleteBranch !== 'boolean') {
+    res.status(400).json({ error: 'deleteBranch must be a boolean' });
+    return;
+  }
+  try {
+    const mission = await orchestrator.cleanupMission(req.params.id, { deleteBranch });
+    res.json({ mission: orchestrator.getMissionStatus(mission.id) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.get('/api/missions/:id/plan', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  res.json({ plan: orchestrator.getPlan(req.params.id) });
+});
+
+app.get('/api/missions/:id/report', (req, res) => {
+  const format = req.query.format ?? 'md';
+  if (!REPORT_FORMATS.has(format)) {
+    res.status(400).json({ error: 'format must be "md", "html" or "json"' });
+    return;
+  }
+  let report;
   try {
-    const mission = await orchestrator.createMission({ goal, context });
-    res.status(201).json({ mission });
+    report = orchestrator.getMissionReport(req.params.id);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+    return;
+  }
+  if (req.query.download !== undefined && req.query.download !== '0') {
+    res.attachment(`mission-${req.params.id}.${format}`);
+  }
+  if (format === 'json') {
+    res.json(report);
+    return;
+  }
+  if (format === 'html') {
+    res.type('html').send(renderHtmlReport(report));
+    return;
+  }
+  res.type('text/markdown; charset=utf-8').send(renderMarkdownReport(report));
+});
+
+app.get('/api/missions/:id/agents/:agentId/diff', (req, res) => {
+  let changes;
+  try {
+    changes = orchestrator.getAgentChanges(req.params.id, req.params.agentId);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+    return;
+  }
+  if (req.query.format === 'patch') {
+    res.type('text/x-diff').send(changes?.diff ?? '');
+    return;
+  }
+  res.json({ agentId: req.params.agentId, changes });
+});
+
+app.patch('/api/missions/:id/plan', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const { mission_summary: summary, agents, operations } = req.body ?? {};
+  try {
+    const mission = orchestrator.updatePlan(req.params.id, { summary, agents, operations });
+    res.json({ mission, plan: orchestrator.getPlan(mission.id) });
+  } catch (error) {
+    if (error.violations) {
+      res.status(422).json({ error: error.message, violations: error.violations });
+      return;
+    }
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/missions/:id/execute', (req, res) => {
+  if (!orchestrator.getMission(req.params.id)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  try {
+    orchestrator.executePlan(req.params.id);
+    const urls = missionUrls(req.params.id);
+    res
+      .status(202)
+      .location(urls.statusUrl)
+      .json({ mission: orchestrator.getMissionStatus(req.params.id), ...urls });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.get('/api/templates', async (_req, res) => {
+  try {
+    res.json({ templates: await orchestrator.listTemplates() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/templates/:name', async (req, res) => {
+  if (!isValidTemplateName(req.params.name)) {
+    res.status(400).json({ error: 'Invalid template name' });
+    return;
+  }
+  try {
+    const template = await orchestrator.getTemplate(req.params.name);
+    if (!template) {
+      res.status(404).json({ error: 'Template not found' });
+      return;
+    }
+    res.json({ template });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function saveTemplate(name, body, res, status) {
+  if (!isValidTemplateName(name)) {
+    res.status(400).json({ error: 'name must be lowercase letters, digits, "-" or "_" (max 64 chars)' });
+    return;
+  }
+  const { missionId = null, mission_summary: summary, agents, description = null, verification = null } = body ?? {};
+  if (missionId !== null && !orchestrator.getMission(missionId)) {
+    res.status(404).json({ error: 'Mission not found' });
+    return;
+  }
+  const plan = agents !== undefined ? { mission_summary: summary, agents } : null;
+  try {
+    const template = await orchestrator.saveTemplate(name, { missionId, plan, description, verification });
+    res.status(status).json({ template });
+  } catch (error) {
+    if (error.violations) {
+      res.status(422).json({ error: error.message, violations: error.violations });
+      return;
+    }
+    res.status(409).json({ error: error.message });
+  }
+}
+
+app.post('/api/templates', async (req, res) => {
+  await saveTemplate(req.body?.name, req.body, res, 201);
+});
+
+app.put('/api/templates/:name', async (req, res) => {
+  await saveTemplate(req.params.name, req.body, res, 200);
+});
+
+app.delete('/api/templates/:name', async (req, res) => {
+  if (!isValidTemplateName(req.params.name)) {
+    res.status(400).json({ error: 'Invalid template name' });
+    return;
+  }
+  try {
+    if (!(await orchestrator.deleteTemplate(req.params.name))) {
+      res.status(404).json({ error: 'Template not found' });
+      return;
+    }
+    res.status(204).end();
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -77,13 +600,34 @@ function broadcast(event) {
 
 const forwardEvents = [
   'mission:created',
+  'mission:queued',
+  'mission:forked',
   'mission:planning',
   'mission:planned',
+  'mission:plan_critique',
+  'mission:plan_ready',
+  'mission:plan_updated',
   'mission:executing',
+  'mission:resumed',
+  'mission:paused',
+  'mission:awaiting_approval',
+  'mission:awaiting_input',
+  'mission:question',
+  'mission:answered',
   'mission:completed',
   'mission:failed',
+  'mission:cancelled',
+  'mission:iteration_limit_exceeded',
+  'mission:deadline_exceeded',
+  'mission:aborted',
+  'mission:budget_exhausted',
+  'mission:promoted',
+  'mission:rolled_back',
+  'mission:verification',
+  'mission:worktree_removed',
   'agent:started',
   'agent:finished',
+  'agent:changes',
 ];
 
 forwardEvents.forEach((eventName) => {
@@ -92,10 +636,15 @@ forwardEvents.forEach((eventName) => {
   });
 });
 
-orchestrator.runner.on('event', (payload) => broadcast({ type: 'codex:event', payload }));
-orchestrator.runner.on('stderr', (payload) => broadcast({ type: 'codex:stderr', payload }));
-orchestrator.runner.on('timeout', (payload) => broadcast({ type: 'codex:timeout', payload }));
-orchestrator.runner.on('spawn', (payload) => broadcast({ type: 'codex:spawn', payload }));
+orchestrator.pool.on('event', (payload) => broadcast({ type: 'codex:event', payload }));
+orchestrator.pool.on('stderr', (payload) => broadcast({ type: 'codex:stderr', payload }));
+orchestrator.pool.on('timeout', (payload) => broadcast({ type: 'codex:timeout', payload }));
+orchestrator.pool.on('spawn', (payload) => broadcast({ type: 'codex:spawn', payload }));
+
+const interrupted = await orchestrator.restore();
+if (interrupted.length) {
+  console.log(`[codex-orchestrator] ${interrupted.length} mission(s) were interrupted by the last shutdown`);
+}
 
 server.listen(config.server.port, config.server.host, () => {
   console.log(`Orchestrator server listening on http://${config.server.host}:${config.server.port}`);
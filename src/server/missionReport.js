@@ -0,0 +1,580 @@
+// Shareable mission reports. `buildMissionReport` distils a mission record into the parts
+// worth reading (no prompts, raw planner output or Codex event streams); the renderers turn
+// that into Markdown or a self-contained HTML page.
+
+export const REPORT_FORMATS = new Set(['md', 'html', 'json']);
+
+const OUTPUT_TAIL_CHARS = 1000;
+
+function describeDirective(directive) {
+  if (!directive || typeof directive !== 'object') return null;
+  return {
+    action: `${directive.action ?? directive.status ?? 'unspecified'}`.toLowerCase(),
+    target: directive.target_agent ?? directive.targetAgent ?? directive.target ?? directive.agent?.name ?? null,
+    next: directive.next_agent ?? directive.follow_up_agent ?? null,
+    reason: directive.reason ?? directive.summary ?? null,
+    instructions: directive.instructions ?? directive.updated_instructions ?? directive.details ?? directive.fix ?? null,
+  };
+}
+
+function durationMs(start, end) {
+  if (!start || !end) return null;
+  const ms = Date.parse(end) - Date.parse(start);
+  return Number.isFinite(ms) && ms >= 0 ? ms : null;
+}
+
+function agentFailureReason(mission, agent) {
+  if (agent.status !== 'failed') return null;
+  // Failure logs carry the agent name, so match the one written while this iteration ran.
+  const entry = mission.logs
+    .filter((log) => log.type === 'agent:failure' && log.agent === agent.name)
+    .find((log) => (!agent.startedAt || log.at >= agent.startedAt) && (!agent.completedAt || log.at <= agent.completedAt));
+  return entry?.reason ?? null;
+}
+
+function collectFailures(mission) {
+  const failures = [];
+  mission.logs.forEach((log) => {
+    if (/^plan:.+:failure$/.test(log.type)) {
+      failures.push({ at: log.at, kind: 'plan', agent: null, message: log.reason });
+    } else if (log.type === 'agent:failure') {
+      failures.push({ at: log.at, kind: log.failureClass ?? 'agent', agent: log.agent, message: log.reason });
+    } else if (log.type === 'rollback:failed' || log.type === 'worktree:commit-failed' || log.type === 'checkpoint:failed') {
+      failures.push({ at: log.at, kind: log.type.split(':')[0], agent: log.agent ?? null, message: log.error });
+    }
+  });
+  (mission.verificationRuns ?? [])
+    .filter((run) => run.status !== 'passed' && run.status !== 'cancelled')
+    .forEach((run) => {
+      failures.push({
+        at: run.startedAt,
+        kind: 'verification',
+        agent: run.agentId,
+        message: `${run.command} ${run.status === 'failed' ? `exited with code ${run.exitCode ?? run.signal}` : run.status}`,
+      });
+    });
+  if (mission.iterationLimitExceeded) {
+    failures.push({ at: mission.iterationLimitExceeded.at, kind: 'iteration_limit', agent: null, message: mission.iterationLimitExceeded.message });
+  }
+  if (mission.deadlineExceeded) {
+    failures.push({ at: mission.deadlineExceeded.at, kind: 'deadline', agent: null, message: `Deadline ${mission.deadline} passed` });
+  }
+  if (mission.aborted) {
+    failures.push({ at: mission.aborted.at, kind: 'aborted', agent: mission.aborted.agent, message: mission.aborted.reason });
+  }
+  if (mission.budgetExhausted) {
+    failures.push({
+      at: mission.budgetExhausted.at,
+      kind: 'budget',
+      agent: null,
+      message: `Token budget of ${mission.budgetExhausted.budget} exhausted (${mission.budgetExhausted.used} used)`,
+    });
+  }
+  return failures.sort((a, b) => `${a.at ?? ''}`.localeCompare(`${b.at ?? ''}`));
+}
+
+function describePlanDiff(diff) {
+  return [
+    diff.added.length && `added ${diff.added.join(', ')}`,
+    diff.removed.length && `removed ${diff.removed.join(', ')}`,
+    ...diff.changed.map((entry) => `${entry.agent}: ${entry.fields.map((field) => field.field).join(', ')} changed`),
+    diff.reordered && 'agents reordered',
+    diff.summaryChanged && 'mission summary changed',
+  ].filter(Boolean);
+}
+
+export function buildMissionReport(mission) {
+  const verificationRuns = mission.verificationRuns ?? [];
+  return {
+    generatedAt: new Date().toISOString(),
+    mission: {
+      id: mission.id,
+      goal: mission.goal,
+      context: mission.context ?? null,
+      status: mission.status,
+      summary: mission.summary ?? null,
+      error: mission.error ?? null,
+      mode: mission.mode ?? 'autonomous',
+      createdAt: mission.createdAt,
+      updatedAt: mission.updatedAt,
+      workingDirectory: mission.worktree?.sourceDirectory ?? mission.workingDirectory ?? null,
+      template: mission.template ?? null,
+      parentId: mission.parentId ?? null,
+      forkedFrom: mission.forkedFrom ?? null,
+      branch: mission.worktree?.branch ?? null,
+      finalCommit: mission.worktree?.finalCommit ?? null,
+    },
+    team: Object.values(mission.agentBlueprints ?? {}).map((blueprint) => ({
+      name: blueprint.name,
+      role: blueprint.role,
+      expertise: blueprint.expertise,
+      objective: blueprint.objective,
+    })),
+    planCritique: mission.planCritique
+      ? {
+          findings: mission.planCritique.findings,
+          applied: mission.planCritique.applied,
+          changes: mission.planCritique.diff ? describePlanDiff(mission.planCritique.diff) : [],
+          error: mission.planCritique.error ?? null,
+        }
+      : null,
+    agents: (mission.agents ?? []).map((agent) => ({
+      id: agent.id,
+      name: agent.name,
+      iteration: agent.iteration ?? 0,
+      role: agent.role,
+      status: agent.status,
+      failureClass: agent.failureClass ?? null,
+      failureReason: agentFailureReason(mission, agent),
+      startedAt: agent.startedAt ?? null,
+      completedAt: agent.completedAt ?? null,
+      durationMs: durationMs(agent.startedAt, agent.completedAt),
+      triggeredBy: agent.triggeredBy ?? null,
+      iterationReason: agent.iterationReason ?? null,
+      skippedBy: agent.skippedBy ?? null,
+      summary: agent.result?.summary ?? null,
+      outcome: describeDirective(agent.result?.controlDirective),
+      changedFiles: agent.result?.changes?.files ?? null,
+      rolledBack: agent.rolledBack ?? null,
+      handoff: agent.handoff ?? null,
+      codex: agent.result?.settings ?? agent.codex ?? null,
+      totalTokens: agent.usage?.totalTokens ?? 0,
+    })),
+    iterations: (mission.iterationHistory ?? []).map((entry) => ({
+      at: entry.at,
+      requester: entry.requester,
+      target: entry.target,
+      instructions: entry.instructions || null,
+      insertedAgents: entry.insertedAgents,
+    })),
+    triage: mission.logs
+      .filter((log) => log.type === 'auto-triage:rule' || log.type === 'auto-triage:subagent')
+      .map((log) => ({
+        at: log.at,
+        agent: log.agent,
+        via: log.type === 'auto-triage:rule' ? `rule ${log.rule}` : 'error-analyst sub-agent',
+        failureClass: log.failureClass ?? null,
+        reason: log.reason ?? null,
+        directive: describeDirective(log.directive),
+      })),
+    triageRuleHits: mission.triageRuleHits ?? {},
+    verification: verificationRuns.map((run) => ({
+      at: run.startedAt,
+      check: run.check,
+      command: run.command,
+      after: run.agentId,
+      status: run.status,
+      exitCode: run.exitCode,
+      durationMs: run.durationMs,
+      outputTail: run.status === 'passed' ? null : run.output.slice(-OUTPUT_TAIL_CHARS),
+      fixQueuedAs: run.iterationAgentId ?? null,
+    })),
+    rollbacks: (mission.rollbacks ?? []).map((rollback) => ({
+      at: rollback.at,
+      trigger: rollback.trigger,
+      to: rollback.agentId,
+      files: rollback.files.length,
+    })),
+    questions: (mission.questions ?? [])
+      .filter((entry) => entry.answeredAt)
+      .map((entry) => ({ agent: entry.agentName, question: entry.question, answer: entry.answer })),
+    usage: mission.usage
+      ? {
+          total: mission.usage.total,
+          planning: mission.usage.planning,
+          agents: mission.usage.agents,
+          triage: mission.usage.triage,
+          byAgent: mission.usage.byAgent,
+          tokenBudget: mission.tokenBudget ?? null,
+        }
+      : null,
+    failures: collectFailures(mission),
+  };
+}
+
+// ----- Markdown -----
+
+function cell(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return `${value}`.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+  ].join('\n');
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60_000)}m ${Math.round((ms % 60_000) / 1000)}s`;
+}
+
+function formatOutcome(outcome) {
+  if (!outcome) return null;
+  return [
+    outcome.action,
+    outcome.target && `→ ${outcome.target}`,
+    outcome.next && `(then ${outcome.next})`,
+    outcome.reason && `: ${outcome.reason}`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function formatCodexSettings(settings) {
+  if (!settings) return null;
+  const parts = [
+    settings.profile && `profile ${settings.profile}`,
+    settings.model && `model ${settings.model}`,
+    settings.reasoningEffort && `${settings.reasoningEffort} reasoning`,
+    settings.sandbox && `${settings.sandbox} sandbox`,
+    ...Object.entries(settings.config ?? {}).map(([key, value]) => `${key}=${value}`),
+  ].filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+}
+
+// Non-empty handoff sections as [label, entries] pairs.
+function handoffEntries(handoff) {
+  if (!handoff) return [];
+  return [
+    ['Artifacts', handoff.artifacts.map((item) => (item.description ? `${item.path} (${item.description})` : item.path))],
+    ['Commands', handoff.commands.map((item) => (item.purpose ? `${item.command} (${item.purpose})` : item.command))],
+    ['Assumptions', handoff.assumptions],
+    ['Open risks', handoff.openRisks],
+  ].filter(([, items]) => items.length);
+}
+
+function fence(text) {
+  const longest = Math.max(2, ...(`${text}`.match(/`+/g) ?? []).map((run) => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}\n${text}\n${marker}`;
+}
+
+export function renderMarkdownReport(report) {
+  const { mission } = report;
+  const lines = [`# Mission report: ${mission.goal.replace(/\s+/g, ' ').trim()}`, ''];
+  lines.push(
+    `- **Status:** ${mission.status}`,
+    `- **Mission:** \`${mission.id}\`${mission.parentId ? ` (forked from \`${mission.parentId}\`)` : ''}`,
+    `- **Created:** ${mission.createdAt} · **Last update:** ${mission.updatedAt}`,
+  );
+  if (mission.template) lines.push(`- **Template:** ${mission.template.name} v${mission.template.version}`);
+  if (mission.branch) {
+    lines.push(`- **Branch:** \`${mission.branch}\`${mission.finalCommit ? ` at \`${mission.finalCommit.slice(0, 12)}\`` : ''}`);
+  }
+  if (mission.error) lines.push(`- **Error:** ${mission.error}`);
+  lines.push('', '## Summary', '', mission.summary ?? '_No summary._');
+
+  if (report.team.length) {
+    lines.push('', '## Team', '', table(['Agent', 'Role', 'Objective'], report.team.map((member) => [member.name, member.role, member.objective])));
+  }
+
+  if (report.planCritique) {
+    const critique = report.planCritique;
+    lines.push('', '## Plan critique', '');
+    if (critique.error) lines.push(`_Critique failed: ${critique.error}_`, '');
+    if (critique.findings.length) {
+      lines.push(
+        table(
+          ['Severity', 'Agent', 'Issue', 'Fix'],
+          critique.findings.map((finding) => [finding.severity, finding.agent, finding.issue, finding.fix]),
+        ),
+        '',
+      );
+    }
+    lines.push(critique.applied ? `Plan amended: ${critique.changes.join('; ')}.` : 'Plan left unchanged.');
+  }
+
+  lines.push('', '## Agents');
+  report.agents.forEach((agent) => {
+    lines.push('', `### ${agent.id} — ${agent.status}`, '');
+    const facts = [
+      agent.role && `**Role:** ${agent.role}`,
+      agent.durationMs !== null && `**Duration:** ${formatDuration(agent.durationMs)}`,
+      agent.totalTokens && `**Tokens:** ${agent.totalTokens}`,
+      agent.triggeredBy && `**Triggered by:** ${agent.triggeredBy}${agent.iterationReason ? ` (${agent.iterationReason})` : ''}`,
+      agent.skippedBy && `**Skipped by:** ${agent.skippedBy}`,
+      agent.outcome && `**Outcome:** \`${formatOutcome(agent.outcome)}\``,
+      agent.failureClass && `**Failure:** ${agent.failureClass}${agent.failureReason ? ` — ${cell(agent.failureReason)}` : ''}`,
+      agent.changedFiles && `**Changed files:** ${agent.changedFiles.length ? agent.changedFiles.map((file) => `${file.path} (${file.status})`).join(', ') : 'none'}`,
+      agent.rolledBack && `**Rolled back:** to before ${agent.rolledBack.to} (${agent.rolledBack.trigger})`,
+      formatCodexSettings(agent.codex) && `**Codex:** ${formatCodexSettings(agent.codex)}`,
+    ].filter(Boolean);
+    lines.push(...facts.map((fact) => `- ${fact}`));
+    handoffEntries(agent.handoff).forEach(([label, items]) => {
+      lines.push(`- **Handoff ${label.toLowerCase()}:** ${items.join('; ')}`);
+    });
+    if (agent.summary) lines.push('', agent.summary.trim());
+  });
+
+  if (report.iterations.length) {
+    lines.push(
+      '',
+      '## Iterations',
+      '',
+      table(
+        ['When', 'Requested by', 'Target', 'Queued', 'Instructions'],
+        report.iterations.map((entry) => [entry.at, entry.requester, entry.target, entry.insertedAgents.join(', '), entry.instructions]),
+      ),
+    );
+  }
+
+  if (report.triage.length) {
+    lines.push(
+      '',
+      '## Triage interventions',
+      '',
+      table(
+        ['When', 'Agent', 'Via', 'Failure', 'Directive'],
+        report.triage.map((entry) => [entry.at, entry.agent, entry.via, entry.failureClass ?? entry.reason, formatOutcome(entry.directive)]),
+      ),
+    );
+  }
+
+  if (report.verification.length) {
+    lines.push(
+      '',
+      '## Verification',
+      '',
+      table(
+        ['When', 'Command', 'After', 'Result', 'Duration', 'Fix queued'],
+        report.verification.map((run) => [
+          run.at,
+          `\`${run.command}\``,
+          run.after ?? 'mission end',
+          run.exitCode === null ? run.status : `${run.status} (exit ${run.exitCode})`,
+          formatDuration(run.durationMs),
+          run.fixQueuedAs,
+        ]),
+      ),
+    );
+    report.verification
+      .filter((run) => run.outputTail)
+      .forEach((run) => {
+        lines.push('', `Output of \`${run.command}\` at ${run.at}:`, '', fence(run.outputTail));
+      });
+  }
+
+  if (report.rollbacks.length) {
+    lines.push(
+      '',
+      '## Rollbacks',
+      '',
+      table(['When', 'Trigger', 'Restored to before', 'Files'], report.rollbacks.map((entry) => [entry.at, entry.trigger, entry.to, entry.files])),
+    );
+  }
+
+  if (report.questions.length) {
+    lines.push('', '## Questions answered', '');
+    report.questions.forEach((entry) => lines.push(`- **${entry.agent}:** ${cell(entry.question)} → ${cell(entry.answer)}`));
+  }
+
+  if (report.usage) {
+    const { usage } = report;
+    lines.push(
+      '',
+      '## Token usage',
+      '',
+      table(
+        ['Scope', 'Input', 'Cached', 'Output', 'Total', 'Runs'],
+        [
+          ['Mission', usage.total],
+          ['Planning', usage.planning],
+          ['Agents', usage.agents],
+          ['Triage', usage.triage],
+          ...Object.entries(usage.byAgent).map(([name, entry]) => [`↳ ${name}`, entry]),
+        ].map(([scope, entry]) => [scope, entry.inputTokens, entry.cachedInputTokens, entry.outputTokens, entry.totalTokens, entry.runs]),
+      ),
+    );
+    if (usage.tokenBudget) lines.push('', `Budget: ${usage.tokenBudget} tokens.`);
+  }
+
+  lines.push('', '## Failures', '');
+  if (report.failures.length) {
+    lines.push(
+      table(
+        ['When', 'Kind', 'Agent', 'Details'],
+        report.failures.map((entry) => [entry.at, entry.kind, entry.agent, entry.message]),
+      ),
+    );
+  } else {
+    lines.push('_None._');
+  }
+  lines.push('', `_Generated ${report.generatedAt}._`, '');
+  return lines.join('\n');
+}
+
+// ----- HTML -----
+
+function escapeHtml(value) {
+  return `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr>${row.map((value) => `<td>${value === null || value === undefined || value === '' ? '—' : escapeHtml(value)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1e293b; }
+h1 { font-size: 1.6rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #e2e8f0; } h3 { margin-bottom: .25rem; }
+table { border-collapse: collapse; width: 100%; margin: .5rem 0; font-size: 13px; }
+th, td { border: 1px solid #e2e8f0; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f8fafc; }
+pre { background: #0f172a; color: #e2e8f0; padding: .75rem; border-radius: 6px; overflow: auto; white-space: pre-wrap; }
+.status { display: inline-block; padding: 0 6px; border-radius: 4px; background: #e2e8f0; font-size: 12px; }
+.status.completed, .status.passed { background: #dcfce7; } .status.failed { background: #fee2e2; }
+.facts { margin: 0; padding-left: 1.25rem; } .muted { color: #64748b; }
+`;
+
+export function renderHtmlReport(report) {
+  const { mission } = report;
+  const status = (value) => `<span class="status ${escapeHtml(value)}">${escapeHtml(value)}</span>`;
+  const sections = [];
+  const facts = [
+    `<li>Status: ${status(mission.status)}</li>`,
+    `<li>Mission: <code>${escapeHtml(mission.id)}</code>${mission.parentId ? ` (forked from <code>${escapeHtml(mission.parentId)}</code>)` : ''}</li>`,
+    `<li>Created ${escapeHtml(mission.createdAt)} · last update ${escapeHtml(mission.updatedAt)}</li>`,
+    mission.template && `<li>Template: ${escapeHtml(mission.template.name)} v${escapeHtml(mission.template.version)}</li>`,
+    mission.branch && `<li>Branch: <code>${escapeHtml(mission.branch)}</code>${mission.finalCommit ? ` at <code>${escapeHtml(mission.finalCommit.slice(0, 12))}</code>` : ''}</li>`,
+    mission.error && `<li>Error: ${escapeHtml(mission.error)}</li>`,
+  ].filter(Boolean);
+  sections.push(`<ul class="facts">${facts.join('')}</ul>`);
+  sections.push(`<h2>Summary</h2><p>${mission.summary ? escapeHtml(mission.summary) : '<em>No summary.</em>'}</p>`);
+  if (report.team.length) {
+    sections.push(`<h2>Team</h2>${htmlTable(['Agent', 'Role', 'Objective'], report.team.map((member) => [member.name, member.role, member.objective]))}`);
+  }
+  if (report.planCritique) {
+    const critique = report.planCritique;
+    sections.push(
+      `<h2>Plan critique</h2>${critique.error ? `<p class="muted">Critique failed: ${escapeHtml(critique.error)}</p>` : ''}${
+        critique.findings.length
+          ? htmlTable(
+              ['Severity', 'Agent', 'Issue', 'Fix'],
+              critique.findings.map((finding) => [finding.severity, finding.agent, finding.issue, finding.fix]),
+            )
+          : ''
+      }<p>${critique.applied ? `Plan amended: ${escapeHtml(critique.changes.join('; '))}.` : 'Plan left unchanged.'}</p>`,
+    );
+  }
+  sections.push(
+    `<h2>Agents</h2>${report.agents
+      .map((agent) => {
+        const agentFacts = [
+          agent.role && `Role: ${escapeHtml(agent.role)}`,
+          agent.durationMs !== null && `Duration: ${escapeHtml(formatDuration(agent.durationMs))}`,
+          agent.totalTokens && `Tokens: ${escapeHtml(agent.totalTokens)}`,
+          agent.triggeredBy && `Triggered by: ${escapeHtml(agent.triggeredBy)}${agent.iterationReason ? ` (${escapeHtml(agent.iterationReason)})` : ''}`,
+          agent.skippedBy && `Skipped by: ${escapeHtml(agent.skippedBy)}`,
+          agent.outcome && `Outcome: <code>${escapeHtml(formatOutcome(agent.outcome))}</code>`,
+          agent.failureClass && `Failure: ${escapeHtml(agent.failureClass)}${agent.failureReason ? ` — ${escapeHtml(agent.failureReason)}` : ''}`,
+          agent.changedFiles && `Changed files: ${agent.changedFiles.length ? escapeHtml(agent.changedFiles.map((file) => `${file.path} (${file.status})`).join(', ')) : 'none'}`,
+          agent.rolledBack && `Rolled back: to before ${escapeHtml(agent.rolledBack.to)} (${escapeHtml(agent.rolledBack.trigger)})`,
+          formatCodexSettings(agent.codex) && `Codex: ${escapeHtml(formatCodexSettings(agent.codex))}`,
+          ...handoffEntries(agent.handoff).map(([label, items]) => `Handoff ${escapeHtml(label.toLowerCase())}: ${escapeHtml(items.join('; '))}`),
+        ].filter(Boolean);
+        return `<h3>${escapeHtml(agent.id)} ${status(agent.status)}</h3><ul class="facts">${agentFacts
+          .map((fact) => `<li>${fact}</li>`)
+          .join('')}</ul>${agent.summary ? `<pre>${escapeHtml(agent.summary.trim())}</pre>` : ''}`;
+      })
+      .join('\n')}`,
+  );
+  if (report.iterations.length) {
+    sections.push(
+      `<h2>Iterations</h2>${htmlTable(
+        ['When', 'Requested by', 'Target', 'Queued', 'Instructions'],
+        report.iterations.map((entry) => [entry.at, entry.requester, entry.target, entry.insertedAgents.join(', '), entry.instructions]),
+      )}`,
+    );
+  }
+  if (report.triage.length) {
+    sections.push(
+      `<h2>Triage interventions</h2>${htmlTable(
+        ['When', 'Agent', 'Via', 'Failure', 'Directive'],
+        report.triage.map((entry) => [entry.at, entry.agent, entry.via, entry.failureClass ?? entry.reason, formatOutcome(entry.directive)]),
+      )}`,
+    );
+  }
+  if (report.verification.length) {
+    const outputs = report.verification
+      .filter((run) => run.outputTail)
+      .map((run) => `<p class="muted">Output of <code>${escapeHtml(run.command)}</code> at ${escapeHtml(run.at)}:</p><pre>${escapeHtml(run.outputTail)}</pre>`)
+      .join('');
+    sections.push(
+      `<h2>Verification</h2>${htmlTable(
+        ['When', 'Command', 'After', 'Result', 'Duration', 'Fix queued'],
+        report.verification.map((run) => [
+          run.at,
+          run.command,
+          run.after ?? 'mission end',
+          run.exitCode === null ? run.status : `${run.status} (exit ${run.exitCode})`,
+          formatDuration(run.durationMs),
+          run.fixQueuedAs,
+        ]),
+      )}${outputs}`,
+    );
+  }
+  if (report.rollbacks.length) {
+    sections.push(
+      `<h2>Rollbacks</h2>${htmlTable(
+        ['When', 'Trigger', 'Restored to before', 'Files'],
+        report.rollbacks.map((entry) => [entry.at, entry.trigger, entry.to, entry.files]),
+      )}`,
+    );
+  }
+  if (report.questions.length) {
+    sections.push(
+      `<h2>Questions answered</h2>${htmlTable(
+        ['Agent', 'Question', 'Answer'],
+        report.questions.map((entry) => [entry.agent, entry.question, entry.answer]),
+      )}`,
+    );
+  }
+  if (report.usage) {
+    const { usage } = report;
+    sections.push(
+      `<h2>Token usage</h2>${htmlTable(
+        ['Scope', 'Input', 'Cached', 'Output', 'Total', 'Runs'],
+        [
+          ['Mission', usage.total],
+          ['Planning', usage.planning],
+          ['Agents', usage.agents],
+          ['Triage', usage.triage],
+          ...Object.entries(usage.byAgent).map(([name, entry]) => [`↳ ${name}`, entry]),
+        ].map(([scope, entry]) => [scope, entry.inputTokens, entry.cachedInputTokens, entry.outputTokens, entry.totalTokens, entry.runs]),
+      )}${usage.tokenBudget ? `<p>Budget: ${escapeHtml(usage.tokenBudget)} tokens.</p>` : ''}`,
+    );
+  }
+  sections.push(
+    `<h2>Failures</h2>${
+      report.failures.length
+        ? htmlTable(['When', 'Kind', 'Agent', 'Details'], report.failures.map((entry) => [entry.at, entry.kind, entry.agent, entry.message]))
+        : '<p><em>None.</em></p>'
+    }`,
+  );
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Mission report: ${escapeHtml(mission.goal)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Mission report: ${escapeHtml(mission.goal)}</h1>
+${sections.join('\n')}
+<p class="muted">Generated ${escapeHtml(report.generatedAt)}.</p>
+</body>
+</html>
+`;
+}
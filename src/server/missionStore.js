@@ -0,0 +1,166 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { config, debugLog } from './config.js';
+
+// Missions are written as `<id>.json` snapshots (everything except `logs` and each
+// agent's `logs`) plus append-only `<id>.logs.ndjson` and `<id>.agent-logs.ndjson`
+// files, so large plan/interaction logs and raw Codex results are only written once
+// instead of on every snapshot.
+export class FileMissionStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory ?? config.orchestrator.dataDir, 'missions');
+    this.pending = new Map();
+    this.flushedLogCounts = new Map();
+    // Keyed by agent object: a re-planned agent reusing an id starts from zero.
+    this.flushedAgentLogCounts = new WeakMap();
+    this.ready = null;
+  }
+
+  async #ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    await this.ready;
+  }
+
+  #snapshotPath(missionId) {
+    return path.join(this.directory, `${missionId}.json`);
+  }
+
+  #logPath(missionId) {
+    return path.join(this.directory, `${missionId}.logs.ndjson`);
+  }
+
+  #agentLogPath(missionId) {
+    return path.join(this.directory, `${missionId}.agent-logs.ndjson`);
+  }
+
+  async loadMissions() {
+    await this.#ensureDirectory();
+    const entries = await fs.readdir(this.directory);
+    const missions = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      const missionId = entry.slice(0, -'.json'.length);
+      try {
+        const mission = JSON.parse(await fs.readFile(this.#snapshotPath(missionId), 'utf8'));
+        mission.logs = await this.#readLogs(this.#logPath(missionId));
+        this.flushedLogCounts.set(mission.id, mission.logs.length);
+        const agentLogs = new Map();
+        for (const { agentId, ...entry } of await this.#readLogs(this.#agentLogPath(missionId))) {
+          if (!agentLogs.has(agentId)) agentLogs.set(agentId, []);
+          agentLogs.get(agentId).push(entry);
+        }
+        (mission.agents ?? []).forEach((agent) => {
+          // Snapshots written before agent logs moved out still carry them inline.
+          if (Array.isArray(agent.logs)) return;
+          agent.logs = agentLogs.get(agent.id) ?? [];
+          this.flushedAgentLogCounts.set(agent, agent.logs.length);
+        });
+        missions.push(mission);
+      } catch (error) {
+        debugLog('Mission store: skipping unreadable mission', { missionId, error: error.message });
+      }
+    }
+    return missions;
+  }
+
+  async #readLogs(file) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const logs = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        logs.push(JSON.parse(line));
+      } catch {
+        // A partially written trailing line is expected after a crash.
+      }
+    }
+    return logs;
+  }
+
+  saveMission(mission) {
+    // Coalesce bursts of updates: while a write is in flight only the latest
+    // state needs to be written once it settles.
+    const state = this.pending.get(mission.id);
+    if (state) {
+      state.dirty = true;
+      return state.promise;
+    }
+    const entry = { dirty: false, promise: null };
+    entry.promise = (async () => {
+      try {
+        do {
+          entry.dirty = false;
+          await this.#writeMission(mission);
+        } while (entry.dirty);
+      } catch (error) {
+        debugLog('Mission store: write failed', { missionId: mission.id, error: error.message });
+      } finally {
+        this.pending.delete(mission.id);
+      }
+    })();
+    this.pending.set(mission.id, entry);
+    return entry.promise;
+  }
+
+  async #writeMission(mission) {
+    await this.#ensureDirectory();
+    const logs = Array.isArray(mission.logs) ? mission.logs : [];
+    const flushed = this.flushedLogCounts.get(mission.id) ?? 0;
+    if (logs.length > flushed) {
+      const lines = logs.slice(flushed).map((entry) => `${JSON.stringify(entry)}\n`).join('');
+      await fs.appendFile(this.#logPath(mission.id), lines, 'utf8');
+      this.flushedLogCounts.set(mission.id, logs.length);
+    }
+    const agents = Array.isArray(mission.agents) ? mission.agents : [];
+    const agentLines = agents.flatMap((agent) =>
+      (agent.logs ?? [])
+        .slice(this.flushedAgentLogCounts.get(agent) ?? 0)
+        .map((entry) => `${JSON.stringify({ agentId: agent.id, ...entry })}\n`),
+    );
+    if (agentLines.length) {
+      await fs.appendFile(this.#agentLogPath(mission.id), agentLines.join(''), 'utf8');
+      agents.forEach((agent) => this.flushedAgentLogCounts.set(agent, agent.logs?.length ?? 0));
+    }
+    const { logs: _logs, ...snapshot } = mission;
+    if (mission.agents) {
+      snapshot.agents = mission.agents.map(({ logs: _agentLogs, ...agent }) => agent);
+    }
+    const target = this.#snapshotPath(mission.id);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(snapshot, null, 2), 'utf8');
+    await fs.rename(tempFile, target);
+  }
+
+  async flush() {
+    await Promise.all(Array.from(this.pending.values(), (entry) => entry.promise));
+  }
+}
+
+export class MemoryMissionStore {
+  async loadMissions() {
+    return [];
+  }
+
+  async saveMission() {}
+
+  async flush() {}
+}
+
+export function createMissionStore(options = {}) {
+  const kind = options.kind ?? config.orchestrator.store;
+  if (kind === 'memory') {
+    return new MemoryMissionStore();
+  }
+  if (kind !== 'file') {
+    throw new Error(`Unknown mission store: ${kind}`);
+  }
+  return new FileMissionStore(options);
+}
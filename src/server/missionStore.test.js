@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { FileMissionStore } from './missionStore.js';
+
+const RAW_RESULT = { stdout: 'x'.repeat(10_000), events: [{ type: 'turn.completed' }] };
+
+let directory;
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-orchestrator-store-'));
+});
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const interaction = (at) => ({ type: 'interaction', at, data: RAW_RESULT });
+
+test('keeps agent logs out of the snapshot and appends each entry once', async () => {
+  const store = new FileMissionStore({ directory });
+  const agent = { id: 'designer__iter0', status: 'running', logs: [interaction('t1')] };
+  const mission = { id: 'm1', status: 'executing', agents: [agent], logs: [{ type: 'mission:created' }] };
+  await store.saveMission(mission);
+  agent.logs.push(interaction('t2'));
+  agent.status = 'completed';
+  await store.saveMission(mission);
+
+  const snapshot = fs.readFileSync(path.join(directory, 'missions', 'm1.json'), 'utf8');
+  assert.equal(snapshot.includes(RAW_RESULT.stdout), false);
+  assert.equal(JSON.parse(snapshot).agents[0].status, 'completed');
+  const lines = fs.readFileSync(path.join(directory, 'missions', 'm1.agent-logs.ndjson'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map((line) => JSON.parse(line).at), ['t1', 't2']);
+  assert.equal(agent.logs.length, 2);
+
+  const [loaded] = await new FileMissionStore({ directory }).loadMissions();
+  assert.deepEqual(loaded.agents[0].logs, [interaction('t1'), interaction('t2')]);
+  assert.deepEqual(loaded.logs, [{ type: 'mission:created' }]);
+});
+
+test('moves agent logs out of snapshots written with them inline', async () => {
+  const missions = path.join(directory, 'missions');
+  fs.mkdirSync(missions);
+  const agent = { id: 'designer__iter0', status: 'completed', logs: [interaction('t1')] };
+  fs.writeFileSync(path.join(missions, 'm1.json'), JSON.stringify({ id: 'm1', status: 'completed', agents: [agent] }));
+
+  const store = new FileMissionStore({ directory });
+  const [mission] = await store.loadMissions();
+  assert.deepEqual(mission.agents[0].logs, [interaction('t1')]);
+  await store.saveMission(mission);
+
+  const [reloaded] = await new FileMissionStore({ directory }).loadMissions();
+  assert.deepEqual(reloaded.agents[0].logs, [interaction('t1')]);
+  assert.equal(fs.readFileSync(path.join(missions, 'm1.json'), 'utf8').includes('"logs"'), false);
+});
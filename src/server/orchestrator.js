@@ -1,14 +1,95 @@
 import { EventEmitter } from 'node:events';
+import path from 'node:path';
 import { v4 as uuidv4 } from 'uuid';
 import { z } from 'zod';
-import { CodexRunner } from './codexRunner.js';
+import { RunnerPool } from './runnerPool.js';
 import { config, debugLog } from './config.js';
+import { createMissionStore } from './missionStore.js';
+import { TemplateStore } from './templateStore.js';
+import { BUILTIN_TRIAGE_RULES, TriageRuleRegistry, matchTriageRule } from './triageRules.js';
+import { diffSnapshots, snapshotWorkspace } from './workspaceSnapshot.js';
+import { checkpointBlobDir, dropCheckpoints, dropGitCheckpoints, restoreCheckpoint, saveCheckpoint } from './checkpoints.js';
+import { buildMissionReport } from './missionReport.js';
+import { extractHandoff, isEmptyHandoff, renderHandoffsForPrompt } from './handoff.js';
+import { codexSettingsSchema, mergeCodexSettings, parseCodexSettings, toPlanCodexSettings } from './codexSettings.js';
+import { scorePlan } from './planScoring.js';
+import { MISSION_END, loadVerificationChecks, parseVerificationChecks, runVerificationCheck } from './verification.js';
+import {
+  commitWorktree,
+  createMissionWorktree,
+  mergeMissionBranch,
+  removeMissionWorktree,
+  worktreeExists,
+} from './worktrees.js';
 import { sanitizePrompt } from '../promptUtils.js';
 
 const MAX_PLAN_ATTEMPTS = Number(process.env.CODEX_ORCHESTRATOR_MAX_PLAN_ATTEMPTS ?? 4);
+const DEFAULT_PLAN_CANDIDATES = config.orchestrator.planCandidates;
+const MAX_PLAN_CANDIDATES = config.orchestrator.maxPlanCandidates;
+const DEFAULT_PLAN_JUDGE = process.env.CODEX_ORCHESTRATOR_PLAN_JUDGE === '1';
+const DEFAULT_PLAN_CRITIQUE = process.env.CODEX_ORCHESTRATOR_PLAN_CRITIQUE === '1';
+// The judge scores 0-10; scaled, it adds up to this many points to the heuristic score (out of 100).
+const PLAN_JUDGE_WEIGHT = 20;
 const MAX_AGENT_ATTEMPTS = Number(process.env.CODEX_ORCHESTRATOR_MAX_AGENT_ATTEMPTS ?? 3);
 const TIMELINE_HISTORY_LIMIT = Number(process.env.CODEX_ORCHESTRATOR_TIMELINE_LIMIT ?? 12);
 const TIMELINE_PROMPT_WINDOW = Number(process.env.CODEX_ORCHESTRATOR_TIMELINE_PROMPT_WINDOW ?? 6);
+const AGENT_CONCURRENCY = Number(process.env.CODEX_ORCHESTRATOR_AGENT_CONCURRENCY ?? 2);
+const MIN_PLAN_AGENTS = Number(process.env.CODEX_ORCHESTRATOR_MIN_AGENTS ?? 2);
+const MAX_PLAN_AGENTS = Number(process.env.CODEX_ORCHESTRATOR_MAX_AGENTS ?? 6);
+const MAX_MISSION_ITERATIONS = Number(process.env.CODEX_ORCHESTRATOR_MAX_ITERATIONS ?? 12);
+const MAX_AGENT_ITERATIONS = Number(process.env.CODEX_ORCHESTRATOR_MAX_AGENT_ITERATIONS ?? 4);
+const LOOP_SIMILARITY_THRESHOLD = Number(process.env.CODEX_ORCHESTRATOR_LOOP_SIMILARITY ?? 0.8);
+const LOOP_REPEAT_LIMIT = Number(process.env.CODEX_ORCHESTRATOR_LOOP_REPEATS ?? 2);
+const MAX_SPAWNED_AGENTS = Number(process.env.CODEX_ORCHESTRATOR_MAX_SPAWNED_AGENTS ?? 3);
+const DEFAULT_AGENT_TIMEOUT_MINUTES = Number(process.env.CODEX_ORCHESTRATOR_AGENT_TIMEOUT_MINUTES ?? 5);
+const MAX_AGENT_TIMEOUT_MINUTES = Number(process.env.CODEX_ORCHESTRATOR_MAX_AGENT_TIMEOUT_MINUTES ?? 240);
+const TRACK_CHANGES = process.env.CODEX_ORCHESTRATOR_TRACK_CHANGES !== '0';
+const CHECKPOINTS_ENABLED = process.env.CODEX_ORCHESTRATOR_CHECKPOINTS !== '0';
+const DEFAULT_ROLLBACK_POLICY = process.env.CODEX_ORCHESTRATOR_ROLLBACK_POLICY || 'none';
+const VERIFICATION_HISTORY_LIMIT = 50;
+const AGENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const ACTIVE_STATUSES = new Set(['planning', 'executing']);
+const HALTED_STATUSES = new Set(['interrupted', 'paused', 'awaiting_approval', 'awaiting_input', 'budget_exhausted']);
+const SCHEDULABLE_AGENT_STATUSES = new Set(['pending', 'interrupted']);
+const RESOLVED_AGENT_STATUSES = new Set(['completed', 'superseded']);
+const MISSION_MODES = new Set(['autonomous', 'supervised']);
+const MISSION_ISOLATION_MODES = new Set(['none', 'worktree']);
+// on_failure: restore an agent's checkpoint when it fails; on_retry: also before every retry
+// and when auto-triage replaces the failed run with a new iteration.
+const ROLLBACK_POLICIES = new Set(['none', 'on_failure', 'on_retry']);
+const APPROVAL_DECISIONS = new Set(['approve', 'reject']);
+const PLAN_EDIT_OPERATIONS = new Set(['add', 'remove', 'move', 'update']);
+// Best-of-N candidates cycle through these so the drafts differ in more than sampling noise.
+const PLAN_FOCUSES = [
+  { name: 'standard', text: null },
+  { name: 'parallel', text: 'Favour parallelism: split independent work into agents that can run side by side.' },
+  { name: 'rigorous', text: 'Favour rigour: give testing and validation dedicated agents with concrete commands to run.' },
+  { name: 'lean', text: 'Favour a lean team: the fewest agents that still cover design, implementation, testing and documentation.' },
+];
+
+const planCritiqueSchema = z.object({
+  findings: z
+    .array(
+      z.object({
+        severity: z.enum(['high', 'medium', 'low']).catch('medium'),
+        agent: z.string().nullish().transform((value) => value || null),
+        issue: z.string().trim().min(1),
+        fix: z.string().nullish().transform((value) => value || null),
+      }),
+    )
+    .default([]),
+  revised_plan: z.unknown().optional(),
+});
+
+const planJudgeSchema = z.object({
+  scores: z.array(
+    z.object({
+      candidate: z.string(),
+      score: z.number().min(0).max(10),
+      reason: z.string().optional(),
+    }),
+  ),
+});
 
 function safeJsonParse(payload) {
   if (!payload || typeof payload !== 'string') return null;
@@ -33,7 +114,11 @@ function safeJsonParse(payload) {
   }
 }
 
-function buildMissionPlanPrompt(goal, context, { emphasis = 'standard', failureReason = null } = {}) {
+function buildMissionPlanPrompt(
+  goal,
+  context,
+  { emphasis = 'standard', failureReason = null, template = null, focus = null } = {},
+) {
   const header = config.orchestrator.planningPrompt;
   const lines = [
     header,
@@ -44,6 +129,13 @@ function buildMissionPlanPrompt(goal, context, { emphasis = 'standard', failureR
   if (context) {
     lines.push('', 'Additional context:', typeof context === 'string' ? context : JSON.stringify(context, null, 2));
   }
+  if (template) {
+    lines.push(
+      '',
+      'Team template (return exactly these agents with the same names; adapt only mission_summary, objective and instructions to this mission):',
+      JSON.stringify(template.agents),
+    );
+  }
   if (failureReason) {
     lines.push(
       '',
@@ -55,26 +147,32 @@ function buildMissionPlanPrompt(goal, context, { emphasis = 'standard', failureR
   const platform = process.platform;
   const osHint = platform === 'win32' ? 'Windows (use PowerShell commands)' : `${platform} (use Bash commands)`;
   lines.push('', `Host OS: ${osHint}. Emit shell commands using the native syntax.`);
+  if (focus) {
+    lines.push('', `Planning focus for this draft: ${focus}`);
+  }
   lines.push(
     '',
     'Agent schema (must include every field):',
-    '- name: snake_case identifier',
+    '- name: unique snake_case identifier (lowercase letters, digits and underscores, starting with a letter)',
     '- role: one sentence description',
     '- expertise: short bullet-style string list',
     '- objective: concrete outcome for this agent',
     '- instructions: detailed step-by-step guidance',
+    '- depends_on: (optional) list of agent names that must finish before this agent starts. Agents whose work is independent (e.g. docs and tests) should not depend on each other so they can run in parallel.',
+    `- timeout_minutes: (optional) wall-clock minutes a single run of this agent may take (default ${DEFAULT_AGENT_TIMEOUT_MINUTES}, max ${MAX_AGENT_TIMEOUT_MINUTES}). Raise it for long builds or test suites; keep documentation and review agents short.`,
+    '- codex: (optional) Codex CLI settings for this agent: profile, model, reasoning_effort (minimal|low|medium|high), sandbox (read-only|workspace-write|danger-full-access) and config ({"key":"value"} passed as -c key=value). Only set what the mission context asks for.',
     '',
     'Directives:',
     '1. Mission details are complete. DO NOT ask clarifying questions.',
     '2. Output STRICT JSON only (no prose, no code fences).',
-    '3. Provide 2-6 highly specialized agents tailored to the mission.',
+    `3. Provide ${MIN_PLAN_AGENTS}-${MAX_PLAN_AGENTS} highly specialized agents tailored to the mission.`,
     '4. Agents must be complementary and cover the full delivery loop (planning/design, implementation, testing/QA, validation/documentation) unless the mission explicitly omits a phase.',
-    '5. Do not assign multiple agents to the same task; instead, create sequential hand-offs that mirror a real engineering team.',
+    '5. Do not assign multiple agents to the same task; instead, express hand-offs through depends_on so the team mirrors a real engineering workflow. If no agent declares depends_on, agents run sequentially in listed order.',
     '6. Every agent must describe only actions they genuinely perform (commands run, files touched, tests executed). Fabricated work is forbidden.',
     '7. The planner MUST NOT write code, shell commands, or pseudo-implementations. It must emit JSON only.',
     '',
     'JSON schema sample:',
-    '{"mission_summary":"...","agents":[{"name":"...","role":"...","expertise":"...","objective":"...","instructions":"..."}]}',
+    '{"mission_summary":"...","agents":[{"name":"...","role":"...","expertise":"...","objective":"...","instructions":"...","depends_on":["..."],"timeout_minutes":10}]}',
   );
   if (emphasis === 'retry') {
     lines.push(
@@ -103,6 +201,284 @@ function needsTimeoutDirective(agent) {
   );
 }
 
+function isVerifierAgent(agent) {
+  const fields = [agent?.role ?? '', (agent?.baseName ?? agent?.name ?? '').replace(/_/g, ' ')].join(' ').toLowerCase();
+  return /\b(test\w*|qa|quality assurance|verif\w*|validat\w*|review\w*)\b/.test(fields);
+}
+
+function isSameOrInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, totalTokens: 0, runs: 0 };
+}
+
+function addUsage(target, usage) {
+  const input = Number(usage?.input_tokens) || 0;
+  const cached = Number(usage?.cached_input_tokens) || 0;
+  const output = Number(usage?.output_tokens) || 0;
+  target.inputTokens += input;
+  target.cachedInputTokens += cached;
+  target.outputTokens += output;
+  // Cached tokens are a subset of the input tokens, so they are not added again.
+  target.totalTokens += input + output;
+  target.runs += 1;
+  return target;
+}
+
+function formatMinutes(ms) {
+  return `${Math.round(ms / 6_000) / 10} min`;
+}
+
+function instructionTokens(value) {
+  return new Set(`${value ?? ''}`.toLowerCase().match(/[a-z0-9_]+/g) ?? []);
+}
+
+// Jaccard similarity of the word sets; 1 means the same words in any order.
+function instructionSimilarity(a, b) {
+  const left = instructionTokens(a);
+  const right = instructionTokens(b);
+  if (!left.size && !right.size) return 1;
+  let shared = 0;
+  left.forEach((token) => {
+    if (right.has(token)) shared += 1;
+  });
+  return shared / (left.size + right.size - shared);
+}
+
+function normalizeDependencies(value) {
+  if (Array.isArray(value)) {
+    return value.filter((entry) => typeof entry === 'string' && entry.trim()).map((entry) => entry.trim());
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+function findPlanGraphIssue(agents) {
+  const names = agents.map((agent, index) => agent?.name ?? `agent_${index + 1}`);
+  const known = new Set(names);
+  const edges = new Map();
+  for (const [index, agent] of agents.entries()) {
+    const dependencies = normalizeDependencies(agent?.depends_on);
+    const unknown = dependencies.filter((name) => !known.has(name));
+    if (unknown.length) {
+      return {
+        path: ['agents', index, 'depends_on'],
+        rule: 'depends_on_known_agents',
+        message: `references unknown agent(s): ${unknown.join(', ')}`,
+      };
+    }
+    edges.set(names[index], dependencies);
+  }
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (name, trail) => {
+    if (visiting.has(name)) {
+      return [...trail.slice(trail.indexOf(name)), name].join(' -> ');
+    }
+    if (visited.has(name)) return null;
+    visiting.add(name);
+    for (const dependency of edges.get(name) ?? []) {
+      const cycle = visit(dependency, [...trail, name]);
+      if (cycle) return cycle;
+    }
+    visiting.delete(name);
+    visited.add(name);
+    return null;
+  };
+  for (const name of names) {
+    const cycle = visit(name, []);
+    if (cycle) {
+      return {
+        path: ['agents'],
+        rule: 'depends_on_acyclic',
+        message: `depends_on forms a cycle: ${cycle}`,
+      };
+    }
+  }
+  return null;
+}
+
+const nonEmptyText = z.string().trim().min(1, 'must be a non-empty string');
+
+const planAgentSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .regex(
+      AGENT_NAME_PATTERN,
+      'must be a snake_case identifier (lowercase letters, digits, underscores; max 64 chars)',
+    ),
+  role: nonEmptyText,
+  expertise: z.union([
+    nonEmptyText,
+    z.array(nonEmptyText).min(1).transform((items) => items.join(', ')),
+  ]),
+  objective: nonEmptyText,
+  instructions: nonEmptyText,
+  depends_on: z
+    .union([z.array(z.string()), z.string()])
+    .optional()
+    .transform((value) => normalizeDependencies(value)),
+  timeout_minutes: z
+    .number()
+    .positive()
+    .max(MAX_AGENT_TIMEOUT_MINUTES, `must be at most ${MAX_AGENT_TIMEOUT_MINUTES}`)
+    .optional(),
+  codex: codexSettingsSchema.optional(),
+});
+
+const missionPlanSchema = z
+  .object({
+    mission_summary: nonEmptyText.optional(),
+    summary: nonEmptyText.optional(),
+    agents: z
+      .array(planAgentSchema)
+      .min(MIN_PLAN_AGENTS, `must contain at least ${MIN_PLAN_AGENTS} agents`)
+      .max(MAX_PLAN_AGENTS, `must contain at most ${MAX_PLAN_AGENTS} agents`),
+  })
+  .superRefine((plan, ctx) => {
+    if (!plan.mission_summary && !plan.summary) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['mission_summary'],
+        message: 'is required',
+        params: { rule: 'mission_summary_required' },
+      });
+    }
+    const seen = new Map();
+    plan.agents.forEach((agent, index) => {
+      if (seen.has(agent.name)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['agents', index, 'name'],
+          message: `duplicates the name of agents[${seen.get(agent.name)}] ("${agent.name}")`,
+          params: { rule: 'unique_names' },
+        });
+      } else {
+        seen.set(agent.name, index);
+      }
+    });
+    const graphIssue = findPlanGraphIssue(plan.agents);
+    if (graphIssue) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: graphIssue.path,
+        message: graphIssue.message,
+        params: { rule: graphIssue.rule },
+      });
+    }
+  });
+
+const PLAN_DIFF_FIELDS = ['role', 'expertise', 'objective', 'instructions', 'depends_on', 'timeout_minutes', 'codex'];
+
+// Agent-level differences between two plans in getPlan() form.
+function diffPlans(before, after) {
+  const beforeAgents = new Map(before.agents.map((agent) => [agent.name, agent]));
+  const afterAgents = new Map(after.agents.map((agent) => [agent.name, agent]));
+  const changed = after.agents
+    .filter((agent) => beforeAgents.has(agent.name))
+    .map((agent) => ({
+      agent: agent.name,
+      fields: PLAN_DIFF_FIELDS.filter(
+        (field) => JSON.stringify(beforeAgents.get(agent.name)[field] ?? null) !== JSON.stringify(agent[field] ?? null),
+      ).map((field) => ({ field, before: beforeAgents.get(agent.name)[field] ?? null, after: agent[field] ?? null })),
+    }))
+    .filter((entry) => entry.fields.length);
+  const order = (plan) => plan.agents.map((agent) => agent.name).filter((name) => beforeAgents.has(name) && afterAgents.has(name));
+  return {
+    added: after.agents.filter((agent) => !beforeAgents.has(agent.name)).map((agent) => agent.name),
+    removed: before.agents.filter((agent) => !afterAgents.has(agent.name)).map((agent) => agent.name),
+    changed,
+    reordered: order(before).join() !== order(after).join(),
+    summaryChanged: before.mission_summary !== after.mission_summary,
+  };
+}
+
+function isEmptyPlanDiff(diff) {
+  return !diff.added.length && !diff.removed.length && !diff.changed.length && !diff.reordered && !diff.summaryChanged;
+}
+
+function planIndex(value, length, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) throw new Error('Plan operation requires an integer index');
+    return length;
+  }
+  if (!Number.isInteger(value)) {
+    throw new Error('Plan operation index must be an integer');
+  }
+  return Math.min(Math.max(value, 0), length);
+}
+
+function renameDependencies(plan, from, to) {
+  plan.agents.forEach((agent) => {
+    agent.depends_on = normalizeDependencies(agent.depends_on)
+      .map((name) => (name === from ? to : name))
+      .filter(Boolean);
+  });
+}
+
+// Applies one operator edit to a draft plan in planner format. The result is
+// validated as a whole afterwards, so this only checks the operation's shape.
+function applyPlanOperation(plan, operation) {
+  const op = operation?.op;
+  if (!PLAN_EDIT_OPERATIONS.has(op)) {
+    throw new Error(`Unknown plan operation: ${op}`);
+  }
+  if (op === 'add') {
+    if (!operation.agent || typeof operation.agent !== 'object') {
+      throw new Error('Plan operation "add" requires an agent');
+    }
+    plan.agents.splice(planIndex(operation.index, plan.agents.length), 0, { ...operation.agent });
+    return;
+  }
+  const index = plan.agents.findIndex((agent) => agent.name === operation.name);
+  if (index === -1) {
+    throw new Error(`Plan has no agent named ${operation.name}`);
+  }
+  if (op === 'remove') {
+    const [removed] = plan.agents.splice(index, 1);
+    renameDependencies(plan, removed.name, null);
+    return;
+  }
+  if (op === 'move') {
+    const target = planIndex(operation.index, plan.agents.length - 1, { required: true });
+    const [moved] = plan.agents.splice(index, 1);
+    plan.agents.splice(target, 0, moved);
+    return;
+  }
+  if (!operation.changes || typeof operation.changes !== 'object') {
+    throw new Error('Plan operation "update" requires changes');
+  }
+  const previousName = plan.agents[index].name;
+  plan.agents[index] = { ...plan.agents[index], ...operation.changes };
+  if (plan.agents[index].name !== previousName) {
+    renameDependencies(plan, previousName, plan.agents[index].name);
+  }
+}
+
+function formatIssuePath(issuePath) {
+  return issuePath.reduce((formatted, key) => {
+    if (typeof key === 'number') return `${formatted}[${key}]`;
+    return formatted ? `${formatted}.${key}` : `${key}`;
+  }, '') || '(plan)';
+}
+
+function describePlanViolations(error) {
+  return error.issues.map((issue) => {
+    const field = [...issue.path].reverse().find((key) => typeof key === 'string') ?? 'plan';
+    return {
+      path: formatIssuePath(issue.path),
+      rule: issue.params?.rule ?? `${field}:${issue.code}`,
+      message: issue.message,
+    };
+  });
+}
+
 function renderMissionTimelineForPrompt(mission, windowSize = TIMELINE_PROMPT_WINDOW) {
   if (!mission?.timeline || mission.timeline.length === 0) {
     return null;
@@ -123,6 +499,28 @@ function renderMissionTimelineForPrompt(mission, windowSize = TIMELINE_PROMPT_WI
   return formatted.join(' || ');
 }
 
+// Agents this one builds on (its dependencies, transitively) that left a handoff; only the
+// newest completed iteration of each counts.
+function upstreamHandoffAgents(mission, agent) {
+  const byId = new Map(mission.agents.map((candidate) => [candidate.id, candidate]));
+  const ancestors = new Set();
+  const pending = [...(agent.dependsOn ?? [])];
+  while (pending.length) {
+    const id = pending.pop();
+    if (ancestors.has(id)) continue;
+    ancestors.add(id);
+    pending.push(...(byId.get(id)?.dependsOn ?? []));
+  }
+  const latest = new Map();
+  mission.agents.forEach((candidate) => {
+    if (!ancestors.has(candidate.id) || candidate.status !== 'completed' || isEmptyHandoff(candidate.handoff)) return;
+    const key = candidate.baseName ?? candidate.name;
+    if ((candidate.iteration ?? 0) >= (latest.get(key)?.iteration ?? -1)) latest.set(key, candidate);
+  });
+  const selected = new Set(latest.values());
+  return mission.agents.filter((candidate) => selected.has(candidate));
+}
+
 function buildAgentPrompt(mission, agent, { attempt = 0, failureReason = null } = {}) {
   const retryBlock =
     failureReason && `${failureReason}`.trim().length
@@ -144,30 +542,61 @@ function buildAgentPrompt(mission, agent, { attempt = 0, failureReason = null }
 - Every command, script, or test you run MUST include an explicit, realistic timeout. If the tool lacks a timeout flag, wrap it with an appropriate timeout utility.
 - If a tool cannot be wrapped, describe the limitation and request guidance before proceeding.
 
+`
+    : '';
+  const answers = (mission.questions ?? []).filter(
+    (entry) => entry.agentId === agent.id && entry.answeredAt,
+  );
+  const answersBlock = answers.length
+    ? `Operator answers to your questions:
+${answers.map((entry) => `- Q: ${entry.question}\n  A: ${entry.answer}`).join('\n')}
+- Continue the work using these answers.
+
 `
     : '';
   const timelineRecap = renderMissionTimelineForPrompt(mission);
   const timelineSection = timelineRecap
     ? `Mission timeline recap (most recent last): ${timelineRecap}
 
+`
+    : '';
+  const handoffAgents = upstreamHandoffAgents(mission, agent);
+  const handoffSection = handoffAgents.length
+    ? `Handoffs from the agents your work builds on (rely on these instead of rediscovering them):
+${renderHandoffsForPrompt(handoffAgents)}
+
 `
     : '';
   const rawPrompt = `You are ${agent.name}, ${agent.role}.
 Mission summary: ${mission.summary}
-${timelineSection}Your objective: ${agent.objective}
+${timelineSection}${handoffSection}Your objective: ${agent.objective}
 Core expertise: ${agent.expertise}
 
 Instructions:
 ${agent.instructions}
 
-${retryBlock}${realityBlock}${timeoutBlock}Deliver a comprehensive result in Markdown. Include reasoning, key decisions, and final outputs.
+${answersBlock}${retryBlock}${realityBlock}${timeoutBlock}Deliver a comprehensive result in Markdown. Include reasoning, key decisions, and final outputs.
 
 Iteration protocol:
 - If additional work is required before the mission can proceed (e.g., tests failed, missing docs), end your response with a single line exactly like:
   CONTROL_JSON: {"action":"request_iteration","target_agent":"AGENT_TO_REPEAT","instructions":"SUCCINCT_FIXES_NEEDED","next_agent":"AGENT_WHO_SHOULD_FOLLOW_UP"}
+- If the mission needs a specialist that is not on the team, add one to run right after you with:
+  CONTROL_JSON: {"action":"spawn_agent","agent":{"name":"snake_case_name","role":"...","expertise":"...","objective":"...","instructions":"..."},"reason":"WHY_IT_IS_NEEDED"}
+- If upcoming agents are unnecessary, skip every pending agent between you and a later agent with:
+  CONTROL_JSON: {"action":"skip_to","target_agent":"AGENT_TO_RUN_NEXT","reason":"WHY_THE_SKIPPED_WORK_IS_NOT_NEEDED"}
+- If you are blocked on something only a human can provide (credentials, a product decision, an ambiguous requirement), do not guess; pause and ask with:
+  CONTROL_JSON: {"action":"ask_human","question":"ONE_SPECIFIC_QUESTION","context":"WHAT_YOU_TRIED_AND_WHY_YOU_ARE_BLOCKED"}
+  You will be resumed in this thread with the answer.
+- If the mission cannot succeed (impossible goal, missing access no agent can obtain), stop it with:
+  CONTROL_JSON: {"action":"abort","reason":"WHY_THE_MISSION_CANNOT_SUCCEED"}
 - If everything is complete and the mission should continue, end with:
   CONTROL_JSON: {"action":"continue"}
-- The CONTROL_JSON line must be the final line of your response with no surrounding Markdown or prose.`;
+- The CONTROL_JSON line must be the final line of your response with no surrounding Markdown or prose.
+
+Handoff protocol:
+- Directly before the CONTROL_JSON line, add one line for the agents that continue after you:
+  HANDOFF_JSON: {"artifacts":[{"path":"FILE_CREATED_OR_CHANGED","description":"WHAT_IT_CONTAINS"}],"commands":[{"command":"COMMAND_TO_BUILD_RUN_OR_TEST","purpose":"WHAT_IT_DOES"}],"assumptions":["ASSUMPTION_YOU_MADE"],"open_risks":["KNOWN_ISSUE_OR_UNFINISHED_WORK"]}
+- List only what you actually produced or verified; use empty arrays for anything that does not apply.`;
   const sanitizedPrompt = sanitizePrompt(rawPrompt);
   debugLog('Agent prompt length', sanitizedPrompt.length);
   return sanitizedPrompt;
@@ -176,40 +605,183 @@ Iteration protocol:
 export class Orchestrator extends EventEmitter {
   constructor(options = {}) {
     super();
-    this.runner = new CodexRunner(options);
+    this.pool = options.pool ?? new RunnerPool(options);
+    this.defaultWorkingDirectory = path.resolve(options.workingDirectory ?? config.workingDirectory);
+    this.worktreesDir = path.resolve(options.worktreesDir ?? config.orchestrator.worktreesDir);
+    this.checkpointsDir = path.resolve(options.checkpointsDir ?? path.join(config.orchestrator.dataDir, 'checkpoints'));
+    // Shared blob store of checkpoints saved before blobs were kept per mission.
+    this.legacyCheckpointBlobDir = path.join(this.checkpointsDir, 'objects');
+    this.maxActiveMissions = Math.max(1, options.maxActiveMissions ?? config.orchestrator.maxActiveMissions);
     this.missions = new Map();
+    this.runs = new Map();
+    this.queue = [];
+    this.queueSequence = 0;
+    this.activeMissions = new Set();
+    this.workdirLocks = new Map();
+    this.missionRunners = new Map();
+    this.store = options.store ?? createMissionStore();
+    this.templates = options.templates ?? new TemplateStore();
+    this.triageRules = options.triageRules ?? new TriageRuleRegistry();
+    this.missionTriageRules = new Map();
+    this.verificationFile = options.verificationFile ?? config.orchestrator.verificationFile;
+    // missionId -> checks in effect for the current run (declared on the mission or loaded from files).
+    this.missionChecks = new Map();
+    this.verificationControllers = new Map();
+    // missionId -> Map(agentId -> snapshot) for agents halted mid-run, so the diff spans the whole agent.
+    this.agentSnapshots = new Map();
+    // The latest checkpoint snapshot per mission; later checkpoints only store what changed since.
+    this.checkpointBases = new Map();
+  }
+
+  // ----- Persistence helpers -----
+  #persist(mission) {
+    if (!mission) return;
+    this.store.saveMission(mission);
+  }
+
+  async restore() {
+    const stored = await this.store.loadMissions();
+    const interrupted = [];
+    const queued = [];
+    for (const mission of stored) {
+      mission.agentBlueprints = Object.assign(Object.create(null), mission.agentBlueprints ?? {});
+      mission.logs = mission.logs ?? [];
+      mission.timeline = mission.timeline ?? [];
+      if (ACTIVE_STATUSES.has(mission.status)) {
+        const previousStatus = mission.status;
+        mission.status = 'interrupted';
+        mission.updatedAt = new Date().toISOString();
+        (mission.agents ?? []).forEach((agent) => {
+          if (agent.status === 'running') {
+            agent.status = 'interrupted';
+          }
+        });
+        mission.logs.push({
+          type: 'mission:interrupted',
+          at: mission.updatedAt,
+          previousStatus,
+        });
+        interrupted.push(mission);
+        this.#persist(mission);
+      } else if (mission.status === 'queued') {
+        queued.push(mission);
+      }
+      if (HALTED_STATUSES.has(mission.status) || mission.status === 'plan_ready') {
+        this.workdirLocks.set(this.#workdirKey(this.#lockDirectory(mission)), mission.id);
+      }
+      this.missions.set(mission.id, mission);
+    }
+    debugLog('Restored missions', {
+      total: stored.length,
+      interrupted: interrupted.length,
+      queued: queued.length,
+    });
+    queued
+      .sort((a, b) => `${a.queuedAt ?? ''}`.localeCompare(`${b.queuedAt ?? ''}`))
+      .forEach((mission) => this.#startMission(mission));
+    if (config.orchestrator.resumeInterrupted) {
+      interrupted.forEach((mission) => {
+        try {
+          this.resumeMission(mission.id);
+        } catch (error) {
+          debugLog('Failed to resume interrupted mission', { missionId: mission.id, error: error.message });
+        }
+      });
+    }
+    return interrupted;
   }
 
   // ----- Cleanup helpers -----
-  async #cleanupSession(sessionId) {
+  async #cleanupSession(runner) {
     // Ensure any lingering child process is terminated.
     try {
-      await this.runner.ensureInactive();
+      await runner.ensureInactive();
     } catch (e) {
       debugLog('cleanup error', e);
     }
   }
 
-  async #runOnceAndCleanup(opts) {
-    // Run a Codex command and ensure the child process is terminated afterwards,
-    // even if the command throws an error. This prevents orphaned threads from
-    // persisting when we switch contexts (e.g., moving between planning,
-    // agent execution, or error‑analyst sub‑agent).
-    let sessionId = opts.sessionId;
-    let result;
+  async #runOnceAndCleanup(mission, opts, accounting = {}) {
+    // Run a Codex command on a runner leased for this mission and ensure the
+    // child process is terminated afterwards, even if the command throws an
+    // error. Each lease owns its runner, so cleanup never touches processes
+    // belonging to other agents or missions.
+    const lease = await this.pool.acquire({ workingDirectory: mission.workingDirectory });
+    const runners = this.missionRunners.get(mission.id) ?? new Set();
+    this.missionRunners.set(mission.id, runners);
+    runners.add(lease.runner);
     try {
-      result = await this.runner.runOnce(opts);
-      // Prefer the session ID returned by the runner if available.
-      sessionId = result?.sessionId ?? result?.threadId ?? sessionId;
+      if (mission.cancelRequested) {
+        throw new Error('Mission cancelled');
+      }
+      const result = await lease.runner.runOnce(opts);
+      this.#recordUsage(mission, result?.usage, accounting);
       return result;
     } finally {
       // Ensure any lingering child process is killed.
-      await this.#cleanupSession(sessionId);
+      await this.#cleanupSession(lease.runner);
+      runners.delete(lease.runner);
+      if (!runners.size) {
+        this.missionRunners.delete(mission.id);
+      }
+      lease.release();
     }
   }
 
-  listMissions() {
-    return Array.from(this.missions.values()).map((mission) => ({
+  #recordUsage(mission, usage, { kind = 'other', attempt = null, agent = null } = {}) {
+    if (!mission.usage) {
+      mission.usage = {
+        total: emptyUsage(),
+        planning: emptyUsage(),
+        planAttempts: {},
+        agents: emptyUsage(),
+        triage: emptyUsage(),
+        byAgent: {},
+      };
+    }
+    const buckets = [mission.usage.total];
+    if (kind === 'plan') {
+      buckets.push(mission.usage.planning);
+      if (attempt) {
+        mission.usage.planAttempts[attempt] = mission.usage.planAttempts[attempt] ?? emptyUsage();
+        buckets.push(mission.usage.planAttempts[attempt]);
+      }
+    } else if (kind === 'agent' || kind === 'triage') {
+      buckets.push(kind === 'agent' ? mission.usage.agents : mission.usage.triage);
+      if (agent) {
+        // agent.usage is this iteration; byAgent sums every iteration of the same agent.
+        const field = kind === 'agent' ? 'usage' : 'triageUsage';
+        agent[field] = agent[field] ?? emptyUsage();
+        buckets.push(agent[field]);
+        const baseName = agent.baseName ?? agent.name;
+        mission.usage.byAgent[baseName] = mission.usage.byAgent[baseName] ?? {
+          ...emptyUsage(),
+          triage: emptyUsage(),
+        };
+        buckets.push(
+          kind === 'agent' ? mission.usage.byAgent[baseName] : mission.usage.byAgent[baseName].triage,
+        );
+      }
+    }
+    buckets.forEach((bucket) => addUsage(bucket, usage));
+
+    const used = mission.usage.total.totalTokens;
+    if (mission.tokenBudget && used >= mission.tokenBudget && !mission.budgetExhausted) {
+      // Runs already in flight finish; nothing new starts once the budget is spent.
+      mission.budgetExhausted = { at: new Date().toISOString(), used, budget: mission.tokenBudget };
+      mission.logs.push({ type: 'mission:budget-exhausted', ...mission.budgetExhausted });
+      debugLog('Token budget exhausted', { missionId: mission.id, used, budget: mission.tokenBudget });
+    }
+  }
+
+  async #terminateMissionRunners(mission) {
+    this.verificationControllers.get(mission.id)?.forEach((controller) => controller.abort());
+    const runners = Array.from(this.missionRunners.get(mission.id) ?? []);
+    await Promise.all(runners.map((runner) => this.#cleanupSession(runner)));
+  }
+
+  #summarizeMission(mission) {
+    return {
       id: mission.id,
       goal: mission.goal,
       status: mission.status,
@@ -217,24 +789,253 @@ export class Orchestrator extends EventEmitter {
       updatedAt: mission.updatedAt,
       agentCount: mission.agents?.length ?? 0,
       summary: mission.summary ?? null,
-    }));
+      template: mission.template ?? null,
+      parentId: mission.parentId ?? null,
+      forkedFrom: mission.forkedFrom ?? null,
+      usage: mission.usage?.total ?? emptyUsage(),
+      tokenBudget: mission.tokenBudget ?? null,
+      deadline: mission.deadline ?? null,
+      questions: this.#openQuestions(mission),
+      branch: mission.worktree?.branch ?? null,
+    };
+  }
+
+  listMissions() {
+    return Array.from(this.missions.values()).map((mission) => this.#summarizeMission(mission));
   }
 
   getMission(id) {
     return this.missions.get(id) ?? null;
   }
 
-  async createMission({ goal, context }) {
+  getMissionStatus(id) {
+    const mission = this.missions.get(id);
+    if (!mission) return null;
+    const currentAgent = mission.agents?.find((agent) => agent.status === 'running') ?? null;
+    return {
+      ...this.#summarizeMission(mission),
+      active: this.isMissionActive(mission.id),
+      queuePosition: mission.status === 'queued' ? this.#queuePosition(mission.id) : null,
+      workingDirectory: mission.workingDirectory ?? this.defaultWorkingDirectory,
+      isolation: mission.isolation ?? 'none',
+      worktree: mission.worktree ?? null,
+      rollbackPolicy: mission.rollbackPolicy ?? 'none',
+      rollbacks: mission.rollbacks ?? [],
+      cancelRequested: Boolean(mission.cancelRequested),
+      pauseRequested: Boolean(mission.pauseRequested),
+      mode: mission.mode ?? 'autonomous',
+      reviewPlan: Boolean(mission.reviewPlan),
+      planRevision: mission.planRevision ?? 0,
+      iterationLimits: this.#iterationLimits(mission),
+      iterationLimitExceeded: mission.iterationLimitExceeded ?? null,
+      budgetExhausted: mission.budgetExhausted ?? null,
+      agentTimeoutMinutes: mission.agentTimeoutMinutes ?? DEFAULT_AGENT_TIMEOUT_MINUTES,
+      codex: mission.codex ?? null,
+      planCandidates: mission.planCandidates ?? 1,
+      planJudge: Boolean(mission.planJudge),
+      planSelection: mission.planSelection ?? null,
+      critiquePlan: Boolean(mission.critiquePlan),
+      planCritique: mission.planCritique ?? null,
+      triageRuleHits: mission.triageRuleHits ?? {},
+      verification: this.missionChecks.get(mission.id) ?? mission.verification ?? [],
+      verificationRuns: mission.verificationRuns ?? [],
+      deadlineExceeded: mission.deadlineExceeded ?? null,
+      aborted: mission.aborted ?? null,
+      pendingApproval: mission.pendingApproval ?? null,
+      error: mission.error ?? null,
+      currentAgent: currentAgent ? { id: currentAgent.id, name: currentAgent.name } : null,
+      completedAgents: mission.agents?.filter((agent) => agent.status === 'completed').length ?? 0,
+    };
+  }
+
+  isMissionActive(id) {
+    const mission = this.missions.get(id);
+    return Boolean(mission && (ACTIVE_STATUSES.has(mission.status) || mission.status === 'queued'));
+  }
+
+  waitForMission(id) {
+    const run = this.runs.get(id);
+    if (run) return run;
+    return Promise.resolve(this.missions.get(id) ?? null);
+  }
+
+  #startMission(mission) {
+    // Missions outlive any single request; callers poll or use waitForMission().
+    mission.status = 'queued';
+    mission.queuedAt = new Date().toISOString();
+    mission.updatedAt = mission.queuedAt;
+    let settle;
+    const run = new Promise((resolve) => {
+      settle = resolve;
+    });
+    this.queue.push({ mission, sequence: this.queueSequence, settle });
+    this.queueSequence += 1;
+    this.runs.set(mission.id, run);
+    this.#persist(mission);
+    this.emit('mission:queued', { missionId: mission.id });
+    this.#drainQueue();
+    return mission;
+  }
+
+  #workdirKey(directory) {
+    const resolved = path.resolve(directory ?? this.defaultWorkingDirectory);
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+  }
+
+  // The mission holding a lock on `key`, the same directory or one containing or inside it.
+  #workdirLockHolder(key, missionId) {
+    for (const [held, owner] of this.workdirLocks) {
+      if (owner !== missionId && (isSameOrInside(held, key) || isSameOrInside(key, held))) return owner;
+    }
+    return null;
+  }
+
+  #releaseWorkdir(missionId) {
+    for (const [key, owner] of this.workdirLocks) {
+      if (owner === missionId) this.workdirLocks.delete(key);
+    }
+  }
+
+  // Isolated missions get a worktree of their own, so they never contend for a checkout.
+  #lockDirectory(mission) {
+    return mission.isolation === 'worktree' ? path.join(this.worktreesDir, mission.id) : mission.workingDirectory;
+  }
+
+  #sortQueue() {
+    // Highest priority first; FIFO among equal priorities.
+    this.queue.sort(
+      (a, b) => (b.mission.priority ?? 0) - (a.mission.priority ?? 0) || a.sequence - b.sequence,
+    );
+  }
+
+  #queuePosition(missionId) {
+    this.#sortQueue();
+    const index = this.queue.findIndex((entry) => entry.mission.id === missionId);
+    return index === -1 ? null : index + 1;
+  }
+
+  #drainQueue() {
+    this.#sortQueue();
+    for (const entry of [...this.queue]) {
+      if (this.activeMissions.size >= this.maxActiveMissions) break;
+      const { mission } = entry;
+      const lockKey = this.#workdirKey(this.#lockDirectory(mission));
+      if (this.#workdirLockHolder(lockKey, mission.id)) continue;
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      this.workdirLocks.set(lockKey, mission.id);
+      this.activeMissions.add(mission.id);
+      mission.status = mission.agents.length ? 'executing' : 'planning';
+      mission.updatedAt = new Date().toISOString();
+      this.#persist(mission);
+      this.#runMission(mission).finally(async () => {
+        this.activeMissions.delete(mission.id);
+        this.runs.delete(mission.id);
+        this.missionTriageRules.delete(mission.id);
+        this.missionChecks.delete(mission.id);
+        if (!HALTED_STATUSES.has(mission.status)) this.agentSnapshots.delete(mission.id);
+        this.checkpointBases.delete(mission.id);
+        // Halted and plan_ready missions continue later: they keep the checkout locked, so no
+        // other mission edits on top of their half-applied work, and may still roll back.
+        if (!HALTED_STATUSES.has(mission.status) && mission.status !== 'plan_ready') {
+          this.#releaseWorkdir(mission.id);
+          await this.#dropCheckpoints(mission);
+        }
+        entry.settle(mission);
+        this.#drainQueue();
+      });
+    }
+  }
+
+  createMission({
+    goal,
+    context,
+    mode = 'autonomous',
+    approvalPattern = null,
+    maxParallelAgents = null,
+    priority = 0,
+    workingDirectory = null,
+    reviewPlan = false,
+    template = null,
+    adaptTemplate = false,
+    maxIterations = null,
+    maxAgentIterations = null,
+    tokenBudget = null,
+    agentTimeoutMinutes = null,
+    deadline = null,
+    isolation = config.orchestrator.isolation,
+    rollbackPolicy = DEFAULT_ROLLBACK_POLICY,
+    verification = null,
+    codex = null,
+    planCandidates = null,
+    planJudge = null,
+    critiquePlan = null,
+  }) {
     if (!goal || typeof goal !== 'string') {
       throw new Error('Goal is required');
     }
+    if (!MISSION_MODES.has(mode)) {
+      throw new Error(`Unknown mission mode: ${mode}`);
+    }
+    if (!MISSION_ISOLATION_MODES.has(isolation)) {
+      throw new Error(`Unknown isolation mode: ${isolation}`);
+    }
+    if (!ROLLBACK_POLICIES.has(rollbackPolicy)) {
+      throw new Error(`Unknown rollback policy: ${rollbackPolicy}`);
+    }
+    if (approvalPattern) {
+      // Fail fast on an invalid pattern instead of at the first approval gate.
+      new RegExp(approvalPattern, 'i');
+    }
+    const deadlineAt = deadline ? new Date(deadline) : null;
+    if (deadlineAt && Number.isNaN(deadlineAt.getTime())) {
+      throw new Error('deadline must be a valid timestamp');
+    }
+    const templatePlan = template ? this.#validatePlan(template, `Template ${template.name}`) : null;
+    // Checks given with the mission replace the template's; without either, files decide at run time.
+    let checks = null;
+    if (verification !== null) {
+      checks = parseVerificationChecks(verification);
+    } else if (template?.verification) {
+      checks = parseVerificationChecks(template.verification, `Template ${template.name}.verification`);
+    }
+    const codexSettings = codex !== null ? parseCodexSettings(codex) : null;
+    if (planCandidates !== null && !(Number.isInteger(planCandidates) && planCandidates >= 1 && planCandidates <= MAX_PLAN_CANDIDATES)) {
+      throw new Error(`planCandidates must be an integer between 1 and ${MAX_PLAN_CANDIDATES}`);
+    }
 
     const missionId = uuidv4();
     const mission = {
       id: missionId,
       goal,
       context: context ?? null,
-      status: 'planning',
+      mode,
+      approvalPattern: approvalPattern ?? null,
+      maxParallelAgents: maxParallelAgents ?? null,
+      priority: Number(priority) || 0,
+      workingDirectory: path.resolve(workingDirectory ?? this.defaultWorkingDirectory),
+      isolation,
+      worktree: null,
+      rollbackPolicy,
+      verification: checks,
+      verificationRuns: [],
+      codex: codexSettings,
+      planCandidates: planCandidates ?? DEFAULT_PLAN_CANDIDATES,
+      planJudge: planJudge ?? DEFAULT_PLAN_JUDGE,
+      planSelection: null,
+      critiquePlan: critiquePlan ?? DEFAULT_PLAN_CRITIQUE,
+      planCritique: null,
+      reviewPlan: Boolean(reviewPlan),
+      iterationLimits: {
+        mission: maxIterations ?? MAX_MISSION_ITERATIONS,
+        agent: maxAgentIterations ?? MAX_AGENT_ITERATIONS,
+      },
+      tokenBudget: tokenBudget ?? null,
+      agentTimeoutMinutes: agentTimeoutMinutes ?? null,
+      deadline: deadlineAt ? deadlineAt.toISOString() : null,
+      template: template
+        ? { name: template.name, version: template.version, adapted: Boolean(adaptTemplate) }
+        : null,
+      status: 'queued',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       logs: [],
@@ -244,108 +1045,1124 @@ export class Orchestrator extends EventEmitter {
       agentBlueprints: Object.create(null),
       timeline: [],
     };
+    if (templatePlan) {
+      if (adaptTemplate) {
+        // Planning still runs, but only to tailor the template's instructions to this goal.
+        mission.templatePlan = templatePlan;
+      } else {
+        this.#installPlan(mission, { ...templatePlan, mission_summary: goal });
+      }
+      mission.logs.push({ type: 'template:applied', at: mission.createdAt, ...mission.template });
+    }
 
     this.missions.set(missionId, mission);
+    this.#persist(mission);
     this.emit('mission:created', mission);
 
-    try {
-      await this.#planMission(mission);
-      await this.#executeMission(mission);
-      mission.status = 'completed';
-      mission.updatedAt = new Date().toISOString();
-      this.emit('mission:completed', mission);
-    } catch (error) {
-      mission.status = 'failed';
-      mission.error = error.message;
-      mission.updatedAt = new Date().toISOString();
-      this.emit('mission:failed', { mission, error });
-    }
-
-    return mission;
+    return this.#startMission(mission);
   }
 
-  async #planMission(mission) {
-    this.emit('mission:planning', { missionId: mission.id });
-    let failureReason = null;
-    let lastAttempt = null;
+  forkMission(id, { agentId, instructions = null, overrides = {} } = {}) {
+    const source = this.missions.get(id);
+    if (!source) {
+      throw new Error('Mission not found');
+    }
+    if (this.isMissionActive(id)) {
+      throw new Error(`Mission is ${source.status}; pause or cancel it before forking`);
+    }
+    const forkIndex = source.agents.findIndex((agent) => agent.id === agentId);
+    if (forkIndex === -1) {
+      throw new Error(`Mission has no agent with id ${agentId}`);
+    }
+    const forkOverrides = { ...(overrides ?? {}) };
+    if (instructions && `${instructions}`.trim()) {
+      forkOverrides[agentId] = instructions;
+    }
 
-    for (let attemptIndex = 0; attemptIndex < MAX_PLAN_ATTEMPTS; attemptIndex += 1) {
-      const emphasis = attemptIndex === 0 ? 'standard' : 'retry';
-// keep planning in the same Codex thread for continuity
-      const prompt = buildMissionPlanPrompt(mission.goal, mission.context, {
-        emphasis,
-        failureReason,
+    // Agents before the fork point keep their results and Codex threads. The chosen
+    // agent and everything after it run again; iterations that were queued by those
+    // discarded runs are dropped, since the runs that asked for them never happened.
+    const agents = structuredClone(source.agents)
+      .filter((agent, index) => index <= forkIndex || (agent.iteration ?? 0) === 0)
+      .map((agent, index) => {
+        if (index < forkIndex && RESOLVED_AGENT_STATUSES.has(agent.status)) {
+          return agent;
+        }
+        const reset = {
+          ...agent,
+          status: 'pending',
+          result: null,
+          sessionId: index < forkIndex ? agent.sessionId : null,
+          logs: [],
+        };
+        delete reset.startedAt;
+        delete reset.completedAt;
+        delete reset.failureClass;
+        delete reset.skippedBy;
+        delete reset.checkpoint;
+        delete reset.rolledBack;
+        delete reset.handoff;
+        return reset;
       });
-      const label = attemptIndex === 0 ? 'initial' : `retry-${attemptIndex}`;
-      try {
-        lastAttempt = await this.#attemptPlan(mission, prompt, label);
-      } catch (error) {
-        failureReason = `Codex planner error: ${error.message}`;
-        mission.logs.push({
-          type: `plan:${label}:failure`,
-          at: new Date().toISOString(),
-          reason: failureReason,
-        });
-        debugLog('Plan attempt threw error', { label, failureReason });
-        continue;
-      }
-      if (lastAttempt.plan) {
-        this.#applyPlanResult(mission, lastAttempt.plan, lastAttempt.planResult);
-        this.emit('mission:planned', { missionId: mission.id, mission });
-        return;
+    const keptIds = new Set(agents.map((agent) => agent.id));
+    agents.forEach((agent) => {
+      agent.dependsOn = (agent.dependsOn ?? []).filter((dependency) => keptIds.has(dependency));
+      const override = forkOverrides[agent.id];
+      if (override && `${override}`.trim() && !RESOLVED_AGENT_STATUSES.has(agent.status)) {
+        agent.instructions = `${override}`.trim();
       }
-      failureReason = this.#describePlanFailure(lastAttempt);
-      mission.logs.push({
-        type: `plan:${label}:failure`,
-        at: new Date().toISOString(),
-        reason: failureReason,
-      });
-      debugLog('Plan attempt failed', { label, failureReason });
+    });
+    const unknownOverrides = Object.keys(forkOverrides).filter((key) => !keptIds.has(key));
+    if (unknownOverrides.length) {
+      throw new Error(`Overrides reference unknown agents: ${unknownOverrides.join(', ')}`);
     }
-
-    const summary =
-      failureReason ?? 'Unknown planner failure (no candidates produced after retries).';
-    throw new Error(
-      `Failed to obtain mission plan after ${MAX_PLAN_ATTEMPTS} attempts. Last issue: ${summary}`,
+    const reusedIds = new Set(
+      agents.filter((agent) => RESOLVED_AGENT_STATUSES.has(agent.status)).map((agent) => agent.id),
     );
+
+    const now = new Date().toISOString();
+    const mission = {
+      id: uuidv4(),
+      goal: source.goal,
+      context: source.context ?? null,
+      mode: source.mode ?? 'autonomous',
+      approvalPattern: source.approvalPattern ?? null,
+      maxParallelAgents: source.maxParallelAgents ?? null,
+      priority: source.priority ?? 0,
+      workingDirectory: source.worktree?.sourceDirectory ?? source.workingDirectory ?? this.defaultWorkingDirectory,
+      // An isolated fork branches from the source's final commit (its base if it never committed).
+      isolation: source.isolation ?? 'none',
+      worktree: null,
+      worktreeBase: source.worktree ? source.worktree.finalCommit ?? source.worktree.baseCommit : null,
+      rollbackPolicy: source.rollbackPolicy ?? 'none',
+      verification: structuredClone(source.verification ?? null),
+      verificationRuns: [],
+      codex: structuredClone(source.codex ?? null),
+      reviewPlan: false,
+      iterationLimits: structuredClone(source.iterationLimits ?? null),
+      tokenBudget: source.tokenBudget ?? null,
+      // The deadline was a wall-clock promise for the source run, so forks start without one.
+      agentTimeoutMinutes: source.agentTimeoutMinutes ?? null,
+      iterationHistory: (source.iterationHistory ?? []).filter((entry) =>
+        entry.insertedAgents.every((insertedId) => keptIds.has(insertedId)),
+      ),
+      template: source.template ?? null,
+      parentId: source.id,
+      forkedFrom: {
+        missionId: source.id,
+        agentId,
+        agentName: source.agents[forkIndex].name,
+        agentIndex: forkIndex,
+      },
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      logs: [
+        {
+          type: 'mission:forked',
+          at: now,
+          parentId: source.id,
+          agentId,
+          reusedAgents: Array.from(reusedIds),
+          overrides: Object.keys(forkOverrides),
+        },
+      ],
+      agents,
+      summary: source.summary ?? null,
+      results: structuredClone(source.results ?? []).filter((entry) => reusedIds.has(entry.agentId)),
+      agentBlueprints: Object.assign(Object.create(null), structuredClone(source.agentBlueprints ?? {})),
+      timeline: structuredClone(source.timeline ?? []).filter((entry) => reusedIds.has(entry.agentId)),
+      planSessionId: source.planSessionId ?? null,
+      planValidation: structuredClone(source.planValidation ?? []),
+    };
+    this.#refreshGraph(mission);
+
+    source.forks = [...(source.forks ?? []), mission.id];
+    source.updatedAt = now;
+    this.#persist(source);
+    this.missions.set(mission.id, mission);
+    this.#persist(mission);
+    this.emit('mission:created', mission);
+    this.emit('mission:forked', { missionId: mission.id, parentId: source.id, agentId });
+    return this.#startMission(mission);
   }
 
-  async #attemptPlan(mission, prompt, label) {
-    mission.logs.push({ type: `plan:${label}:prompt`, at: new Date().toISOString(), prompt });
-    debugLog(`Plan prompt (${label})`, { prompt: prompt.slice(0, 400) });
+  listTemplates() {
+    return this.templates.list();
+  }
 
-    const planResult = await this.#runOnceAndCleanup({
-      prompt,
-      extraArgs: [],
-      threadId: mission.planSessionId ?? undefined,
-      sessionId: mission.planSessionId ?? undefined,
-    });
+  getTemplate(name) {
+    return this.templates.get(name);
+  }
 
-    mission.logs.push({
-      type: `plan:${label}:raw`,
-      at: new Date().toISOString(),
-      data: planResult,
-    });
-    debugLog(`Plan raw result (${label})`, {
-      planSessionId: planResult.sessionId ?? planResult.threadId,
-      exitCode: planResult.exitCode,
-      completion: planResult.completion,
-      stdoutPreview: planResult.stdout?.slice(0, 400),
+  async saveTemplate(name, { missionId = null, plan = null, description = null, verification = null } = {}) {
+    let source = plan;
+    let checks = verification !== null ? parseVerificationChecks(verification) : null;
+    if (missionId) {
+      const mission = this.missions.get(missionId);
+      if (!mission) {
+        throw new Error('Mission not found');
+      }
+      if (!mission.agents.length) {
+        throw new Error('Mission has no plan yet');
+      }
+      source = this.getPlan(missionId);
+      checks = checks ?? mission.verification ?? null;
+    }
+    if (!source || typeof source !== 'object') {
+      throw new Error('A missionId or plan is required');
+    }
+    const validated = this.#validatePlan(source, `Template ${name}`);
+    return this.templates.save({
+      name,
+      description,
+      mission_summary: validated.mission_summary ?? validated.summary,
+      // Stored in plan form so the template validates again when it is used.
+      agents: validated.agents.map(({ codex, ...agent }) => (codex ? { ...agent, codex: toPlanCodexSettings(codex) } : agent)),
+      verification: checks,
+      sourceMissionId: missionId,
     });
+  }
 
-    mission.planSessionId =
-      planResult.sessionId ?? planResult.threadId ?? mission.planSessionId ?? null;
-    const { plan, preview } = this.#parsePlanCandidates(mission, planResult, label);
-    return { plan, preview, planResult };
+  deleteTemplate(name) {
+    return this.templates.delete(name);
   }
 
-  #parsePlanCandidates(mission, planResult, label) {
-    const candidates = [];
-    const addCandidate = (value) => {
-      if (typeof value === 'string' && value.trim()) {
-        candidates.push(value.trim());
+  resumeMission(
+    id,
+    { decision = 'approve', instructions = null, feedback = null, tokenBudget = undefined } = {},
+  ) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (!HALTED_STATUSES.has(mission.status)) {
+      throw new Error(
+        `Mission is ${mission.status}; only interrupted, paused, awaiting_approval, awaiting_input or budget_exhausted missions can be resumed`,
+      );
+    }
+    if (tokenBudget !== undefined) {
+      const used = mission.usage?.total.totalTokens ?? 0;
+      if (tokenBudget !== null && tokenBudget <= used) {
+        throw new Error(`tokenBudget must exceed the ${used} tokens already used`);
       }
-    };
+      mission.tokenBudget = tokenBudget;
+      delete mission.budgetExhausted;
+    } else if (mission.budgetExhausted) {
+      throw new Error('Token budget is exhausted; resume with a larger tokenBudget (or null to remove it)');
+    }
+    if (this.#openQuestions(mission).length) {
+      throw new Error('Mission has unanswered questions; answer them via /answers to resume');
+    }
+    if (mission.status === 'awaiting_approval') {
+      this.#applyApprovalDecision(mission, { decision, instructions, feedback });
+    }
+    const previousStatus = mission.status;
+    mission.error = null;
+    delete mission.cancelRequested;
+    delete mission.pauseRequested;
+    mission.updatedAt = new Date().toISOString();
+    mission.logs.push({
+      type: 'mission:resumed',
+      at: mission.updatedAt,
+      previousStatus,
+      completedAgents: mission.agents.filter((agent) => agent.status === 'completed').length,
+    });
+    this.#persist(mission);
+    this.emit('mission:resumed', { missionId: mission.id });
+    return this.#startMission(mission);
+  }
+
+  answerQuestions(id, answers = []) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    const open = this.#openQuestions(mission);
+    if (!open.length) {
+      throw new Error('Mission has no unanswered questions');
+    }
+    const byId = new Map(open.map((entry) => [entry.id, entry]));
+    answers.forEach(({ questionId, answer }) => {
+      // With a single open question the id may be omitted.
+      const id = questionId ?? (open.length === 1 ? open[0].id : null);
+      if (!byId.has(id)) {
+        throw new Error(questionId ? `No open question with id ${questionId}` : 'questionId is required');
+      }
+      if (!answer || !`${answer}`.trim()) {
+        throw new Error(`Answer for question ${id} is empty`);
+      }
+    });
+    const at = new Date().toISOString();
+    answers.forEach(({ questionId, answer }) => {
+      const entry = mission.questions.find((candidate) => candidate.id === (questionId ?? open[0].id));
+      entry.answer = `${answer}`.trim();
+      entry.answeredAt = at;
+      mission.logs.push({ type: 'question:answered', at, questionId: entry.id, agent: entry.agentName });
+      this.emit('mission:answered', { missionId: mission.id, question: entry });
+    });
+    mission.updatedAt = at;
+    this.#persist(mission);
+    if (mission.status === 'awaiting_input' && !this.#openQuestions(mission).length) {
+      return this.resumeMission(id);
+    }
+    // Still waiting on other answers, or the mission has not settled yet; it picks
+    // the answers up once it is resumed.
+    return mission;
+  }
+
+  #openQuestions(mission) {
+    return (mission.questions ?? []).filter((entry) => !entry.answeredAt && !entry.cancelledAt);
+  }
+
+  pauseMission(id) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (!ACTIVE_STATUSES.has(mission.status)) {
+      throw new Error(`Mission is ${mission.status}; only active missions can be paused`);
+    }
+    if (!mission.pauseRequested) {
+      // Agents are never interrupted mid-turn; the loop halts before the next one starts.
+      mission.pauseRequested = true;
+      mission.logs.push({ type: 'mission:pause-requested', at: new Date().toISOString() });
+      this.#persist(mission);
+    }
+    return mission;
+  }
+
+  getAgentChanges(id, agentId) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    const agent = mission.agents.find((candidate) => candidate.id === agentId);
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
+    return agent.result?.changes ?? null;
+  }
+
+  getMissionReport(id) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    return buildMissionReport(mission);
+  }
+
+  getPlan(id) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    // The editable plan is the first iteration of every agent, in listed order.
+    return {
+      mission_summary: mission.summary ?? '',
+      agents: mission.agents
+        .filter((agent) => (agent.iteration ?? 0) === 0)
+        .map((agent) => {
+          const blueprint = this.#getAgentBlueprint(mission, agent.baseName ?? agent.name) ?? agent;
+          return {
+            name: blueprint.name,
+            role: blueprint.role,
+            expertise: blueprint.expertise,
+            objective: blueprint.objective,
+            instructions: blueprint.instructions,
+            depends_on: normalizeDependencies(blueprint.depends_on),
+            ...(blueprint.timeoutMinutes ? { timeout_minutes: blueprint.timeoutMinutes } : {}),
+            ...(blueprint.codex ? { codex: toPlanCodexSettings(blueprint.codex) } : {}),
+          };
+        }),
+    };
+  }
+
+  updatePlan(id, { summary, agents, operations } = {}) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (mission.status !== 'plan_ready') {
+      throw new Error(`Mission is ${mission.status}; the plan can only be edited while plan_ready`);
+    }
+    if (agents !== undefined && !Array.isArray(agents)) {
+      throw new Error('agents must be an array');
+    }
+    if (operations !== undefined && !Array.isArray(operations)) {
+      throw new Error('operations must be an array');
+    }
+    const draft = this.getPlan(id);
+    if (summary !== undefined) {
+      draft.mission_summary = summary;
+    }
+    if (agents !== undefined) {
+      draft.agents = agents.map((agent) => ({ ...agent }));
+    }
+    (operations ?? []).forEach((operation) => applyPlanOperation(draft, operation));
+
+    this.#installPlan(mission, this.#validatePlan(draft, 'Edited plan'));
+    mission.planRevision = (mission.planRevision ?? 0) + 1;
+    mission.updatedAt = new Date().toISOString();
+    mission.logs.push({
+      type: 'plan:edited',
+      at: mission.updatedAt,
+      revision: mission.planRevision,
+      replacedAgents: agents !== undefined,
+      operations: (operations ?? []).map((operation) => ({
+        op: operation.op,
+        name: operation.name ?? operation.agent?.name ?? null,
+      })),
+      agents: mission.agents.map((agent) => agent.name),
+    });
+    this.#persist(mission);
+    this.emit('mission:plan_updated', { missionId: mission.id, mission });
+    return mission;
+  }
+
+  executePlan(id) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (mission.status !== 'plan_ready') {
+      throw new Error(`Mission is ${mission.status}; only plan_ready missions can be executed`);
+    }
+    mission.planApprovedAt = new Date().toISOString();
+    mission.updatedAt = mission.planApprovedAt;
+    mission.logs.push({
+      type: 'plan:approved',
+      at: mission.planApprovedAt,
+      revision: mission.planRevision ?? 0,
+      agents: mission.agents.map((agent) => agent.name),
+    });
+    this.#persist(mission);
+    return this.#startMission(mission);
+  }
+
+  #haltMission(mission, status, logEntry = {}) {
+    delete mission.pauseRequested;
+    mission.status = status;
+    mission.updatedAt = new Date().toISOString();
+    mission.logs.push({ type: `mission:${status}`, at: mission.updatedAt, ...logEntry });
+    this.#persist(mission);
+    this.emit(`mission:${status}`, { missionId: mission.id, mission });
+  }
+
+  #requiresApproval(mission, agent) {
+    if (mission.mode !== 'supervised') return false;
+    if (!mission.approvalPattern) return true;
+    return new RegExp(mission.approvalPattern, 'i').test(`${agent.name} ${agent.role ?? ''}`);
+  }
+
+  #findAgentAwaitingApproval(mission) {
+    if (mission.mode !== 'supervised') return null;
+    return (
+      mission.agents.find(
+        (agent) =>
+          agent.status === 'completed'
+          && !agent.result?.approval
+          && this.#requiresApproval(mission, agent),
+      ) ?? null
+    );
+  }
+
+  #requestApproval(mission, agent) {
+    const pending = mission.agents.filter((candidate) => SCHEDULABLE_AGENT_STATUSES.has(candidate.status));
+    const nextAgent =
+      pending.find((candidate) => candidate.dependsOn?.includes(agent.id)) ?? pending[0] ?? null;
+    mission.pendingApproval = {
+      agentId: agent.id,
+      agentName: agent.name,
+      nextAgentId: nextAgent?.id ?? null,
+      requestedAt: new Date().toISOString(),
+    };
+    this.#haltMission(mission, 'awaiting_approval', {
+      agent: agent.name,
+      nextAgent: nextAgent?.name ?? null,
+    });
+  }
+
+  #applyApprovalDecision(mission, { decision, instructions, feedback }) {
+    if (!APPROVAL_DECISIONS.has(decision)) {
+      throw new Error(`Unknown approval decision: ${decision}`);
+    }
+    const pending = mission.pendingApproval;
+    const idx = mission.agents.findIndex((agent) => agent.id === pending?.agentId);
+    if (idx === -1) {
+      throw new Error('Pending approval references an unknown agent');
+    }
+    const agent = mission.agents[idx];
+    const at = new Date().toISOString();
+    if (decision === 'approve') {
+      const nextAgent = mission.agents.find((candidate) => candidate.id === pending.nextAgentId);
+      const edited = Boolean(nextAgent && instructions && `${instructions}`.trim());
+      if (edited) {
+        nextAgent.instructions = `${instructions}`.trim();
+      }
+      if (agent.result) agent.result.approval = 'approved';
+      mission.logs.push({
+        type: 'approval:granted',
+        at,
+        agent: agent.name,
+        editedAgent: edited ? nextAgent.id : null,
+      });
+    } else {
+      const directive = {
+        action: 'request_iteration',
+        target_agent: agent.baseName ?? agent.name,
+        instructions:
+          feedback && `${feedback}`.trim()
+            ? `${feedback}`.trim()
+            : 'The operator rejected your previous result. Redo the work and address its shortcomings.',
+        next_agent: agent.baseName ?? agent.name,
+        reason: 'operator_rejected',
+      };
+      const inserted = this.#enqueueIterationAgents(mission, agent, directive, idx);
+      if (agent.result) agent.result.approval = 'rejected';
+      mission.logs.push({ type: 'approval:rejected', at, agent: agent.name, directive, inserted });
+    }
+    delete mission.pendingApproval;
+  }
+
+  cancelMission(id, { reason = null } = {}) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (mission.status === 'queued') {
+      const entry = this.queue.find((candidate) => candidate.mission.id === mission.id);
+      if (entry) {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+      }
+      mission.cancelRequested = { at: new Date().toISOString(), reason };
+      this.#finalizeCancellation(mission);
+      this.runs.delete(mission.id);
+      entry?.settle(mission);
+      return mission;
+    }
+    if (HALTED_STATUSES.has(mission.status) || mission.status === 'plan_ready') {
+      mission.cancelRequested = { at: new Date().toISOString(), reason };
+      this.#finalizeCancellation(mission);
+      this.agentSnapshots.delete(mission.id);
+      this.#releaseWorkdir(mission.id);
+      this.#dropCheckpoints(mission);
+      this.#drainQueue();
+      return mission;
+    }
+    if (!ACTIVE_STATUSES.has(mission.status)) {
+      throw new Error(`Mission is ${mission.status}; only active or halted missions can be cancelled`);
+    }
+    if (!mission.cancelRequested) {
+      mission.cancelRequested = { at: new Date().toISOString(), reason };
+      mission.logs.push({ type: 'mission:cancel-requested', at: mission.cancelRequested.at, reason });
+      this.#persist(mission);
+      // Stop the in-flight Codex children; the execution loop notices the flag once they return.
+      this.#terminateMissionRunners(mission);
+    }
+    return mission;
+  }
+
+  #finalizeCancellation(mission) {
+    const now = new Date().toISOString();
+    (mission.agents ?? []).forEach((agent) => {
+      if (agent.status === 'running') {
+        agent.status = 'cancelled';
+        agent.completedAt = now;
+      } else if (SCHEDULABLE_AGENT_STATUSES.has(agent.status)) {
+        agent.status = 'skipped';
+      }
+    });
+    const reason = mission.cancelRequested?.reason ?? null;
+    delete mission.cancelRequested;
+    delete mission.pauseRequested;
+    delete mission.pendingApproval;
+    (mission.questions ?? []).forEach((entry) => {
+      if (!entry.answeredAt) entry.cancelledAt = now;
+    });
+    mission.status = 'cancelled';
+    mission.cancelledAt = now;
+    mission.updatedAt = now;
+    mission.logs.push({ type: 'mission:cancelled', at: now, reason });
+    this.#persist(mission);
+    this.emit('mission:cancelled', { missionId: mission.id, mission });
+  }
+
+  async #runMission(mission) {
+    try {
+      if (mission.isolation === 'worktree') {
+        await this.#prepareWorktree(mission);
+      }
+      if (!mission.agents.length) {
+        await this.#planMission(mission);
+        if (
+          mission.critiquePlan
+          && mission.agents.length
+          && !mission.cancelRequested
+          && !mission.budgetExhausted
+          && !this.#deadlinePassed(mission)
+        ) {
+          await this.#critiquePlan(mission);
+        }
+      }
+      if (!mission.cancelRequested && mission.deadlineExceeded) {
+        this.#stopMission(mission, 'deadline_exceeded', this.#deadlineMessage(mission));
+        return mission;
+      }
+      if (!mission.cancelRequested && mission.budgetExhausted && !mission.agents.length) {
+        this.#haltMission(mission, 'budget_exhausted', { ...mission.budgetExhausted, phase: 'planning' });
+        return mission;
+      }
+      if (!mission.cancelRequested && mission.reviewPlan && !mission.planApprovedAt) {
+        this.#haltMission(mission, 'plan_ready', { agents: mission.agents.map((agent) => agent.name) });
+        return mission;
+      }
+      if (!mission.cancelRequested) {
+        await this.#executeMission(mission);
+      }
+      if (mission.cancelRequested) {
+        this.#finalizeCancellation(mission);
+      } else if (mission.status === 'executing') {
+        mission.status = 'completed';
+        await this.#commitMissionWorktree(mission);
+        mission.updatedAt = new Date().toISOString();
+        this.emit('mission:completed', mission);
+      }
+    } catch (error) {
+      if (mission.cancelRequested) {
+        this.#finalizeCancellation(mission);
+        return mission;
+      }
+      mission.status = 'failed';
+      mission.error = error.message;
+      mission.updatedAt = new Date().toISOString();
+      this.emit('mission:failed', { mission, error });
+    }
+    this.#persist(mission);
+
+    return mission;
+  }
+
+  // ----- Worktree isolation -----
+  async #prepareWorktree(mission) {
+    if (mission.worktree) {
+      if (mission.worktree.removedAt || !(await worktreeExists(mission.worktree))) {
+        throw new Error(`Mission worktree ${mission.worktree.path} no longer exists`);
+      }
+      return;
+    }
+    mission.worktree = await createMissionWorktree({
+      directory: mission.workingDirectory,
+      worktreesDir: this.worktreesDir,
+      missionId: mission.id,
+      baseRef: mission.worktreeBase ?? 'HEAD',
+    });
+    mission.workingDirectory = mission.worktree.workingDirectory;
+    mission.logs.push({
+      type: 'worktree:created',
+      at: mission.worktree.createdAt,
+      path: mission.worktree.path,
+      branch: mission.worktree.branch,
+      baseCommit: mission.worktree.baseCommit,
+    });
+    this.#persist(mission);
+  }
+
+  #worktreeCommitMessage(mission) {
+    const goal = `${mission.goal}`.split('\n')[0].trim();
+    const subject = `Mission: ${goal.length > 63 ? `${goal.slice(0, 60)}...` : goal}`;
+    const agents = mission.agents
+      .filter((agent) => agent.status === 'completed')
+      .map((agent) => `- ${agent.name} (${agent.role})`);
+    return [
+      subject,
+      '',
+      ...(mission.summary && mission.summary !== mission.goal ? [mission.summary, ''] : []),
+      ...(agents.length ? ['Agents:', ...agents, ''] : []),
+      `Mission-Id: ${mission.id}`,
+    ].join('\n');
+  }
+
+  async #commitMissionWorktree(mission) {
+    if (!mission.worktree || mission.worktree.finalCommit) return;
+    const at = new Date().toISOString();
+    try {
+      const { commit, committed, files } = await commitWorktree(mission.worktree, this.#worktreeCommitMessage(mission));
+      mission.worktree.finalCommit = commit;
+      mission.worktree.committedAt = at;
+      delete mission.worktree.error;
+      mission.logs.push({ type: 'worktree:committed', at, branch: mission.worktree.branch, commit, committed, files });
+    } catch (error) {
+      // The edits stay in the worktree; promoting retries the commit.
+      mission.worktree.error = error.message;
+      mission.logs.push({ type: 'worktree:commit-failed', at, error: error.message });
+    }
+    this.#persist(mission);
+  }
+
+  async promoteMission(id, { cleanup = false } = {}) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    const { worktree } = mission;
+    if (!worktree) {
+      throw new Error('Mission does not run in a worktree');
+    }
+    if (mission.status !== 'completed') {
+      throw new Error(`Mission is ${mission.status}; only completed missions can be promoted`);
+    }
+    if (worktree.promoted) {
+      throw new Error(`Mission branch ${worktree.branch} was already merged into ${worktree.promoted.into}`);
+    }
+    if (worktree.branchDeletedAt) {
+      throw new Error(`Mission branch ${worktree.branch} was deleted`);
+    }
+    if (!worktree.finalCommit && !worktree.removedAt) {
+      await this.#commitMissionWorktree(mission);
+    }
+    if (!worktree.finalCommit) {
+      throw new Error(`Mission changes are not committed: ${worktree.error ?? 'worktree was removed'}`);
+    }
+    const { target, commit } = await mergeMissionBranch(
+      worktree,
+      `Merge ${worktree.branch}: ${`${mission.goal}`.split('\n')[0].trim().slice(0, 60)}`,
+    );
+    worktree.promoted = { at: new Date().toISOString(), into: target, commit };
+    mission.updatedAt = worktree.promoted.at;
+    mission.logs.push({ type: 'worktree:promoted', ...worktree.promoted, branch: worktree.branch });
+    this.#persist(mission);
+    this.emit('mission:promoted', { missionId: mission.id, ...worktree.promoted });
+    if (cleanup) {
+      await this.cleanupMission(id, { deleteBranch: true });
+    }
+    return mission;
+  }
+
+  async cleanupMission(id, { deleteBranch = false } = {}) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    const { worktree } = mission;
+    if (!worktree) {
+      throw new Error('Mission does not run in a worktree');
+    }
+    if (this.isMissionActive(id) || HALTED_STATUSES.has(mission.status) || mission.status === 'plan_ready') {
+      throw new Error(`Mission is ${mission.status}; cancel it before removing its worktree`);
+    }
+    if (worktree.removedAt && (!deleteBranch || worktree.branchDeletedAt)) {
+      throw new Error('Mission worktree was already removed');
+    }
+    const { branchDeleted } = await removeMissionWorktree(worktree, {
+      deleteBranch: deleteBranch && !worktree.branchDeletedAt,
+    });
+    await dropGitCheckpoints(worktree.repository, mission.id).catch((error) => {
+      debugLog('Could not drop checkpoint refs', { missionId: mission.id, error: error.message });
+    });
+    const at = new Date().toISOString();
+    worktree.removedAt = worktree.removedAt ?? at;
+    if (branchDeleted) worktree.branchDeletedAt = at;
+    mission.updatedAt = at;
+    mission.logs.push({ type: 'worktree:removed', at, path: worktree.path, branch: worktree.branch, branchDeleted });
+    this.#persist(mission);
+    this.emit('mission:worktree_removed', { missionId: mission.id, branchDeleted });
+    return mission;
+  }
+
+  async #planMission(mission) {
+    this.emit('mission:planning', { missionId: mission.id });
+    let failureReason = null;
+    let lastAttempt = null;
+
+    if ((mission.planCandidates ?? 1) > 1) {
+      const selection = await this.#planBestOf(mission);
+      if (selection.applied || mission.cancelRequested) return;
+      // No candidate was usable: fall back to the sequential retry loop with the last problem.
+      failureReason = selection.failureReason;
+    }
+
+    for (let attemptIndex = 0; attemptIndex < MAX_PLAN_ATTEMPTS; attemptIndex += 1) {
+      if (mission.cancelRequested || mission.budgetExhausted || this.#deadlinePassed(mission)) return;
+      const emphasis = attemptIndex === 0 ? 'standard' : 'retry';
+// keep planning in the same Codex thread for continuity
+      const prompt = buildMissionPlanPrompt(mission.goal, mission.context, {
+        emphasis,
+        failureReason,
+        template: mission.templatePlan ?? null,
+      });
+      const label = attemptIndex === 0 ? 'initial' : `retry-${attemptIndex}`;
+      try {
+        lastAttempt = await this.#attemptPlan(mission, prompt, label);
+        if (mission.cancelRequested) return;
+      } catch (error) {
+        failureReason = `Codex planner error: ${error.message}`;
+        mission.logs.push({
+          type: `plan:${label}:failure`,
+          at: new Date().toISOString(),
+          reason: failureReason,
+        });
+        this.#persist(mission);
+        debugLog('Plan attempt threw error', { label, failureReason });
+        continue;
+      }
+      this.#recordPlanValidation(mission, label, lastAttempt);
+      if (lastAttempt.plan) {
+        this.#applyPlanResult(mission, lastAttempt.plan, lastAttempt.planResult);
+        this.#persist(mission);
+        this.emit('mission:planned', { missionId: mission.id, mission });
+        return;
+      }
+      failureReason = lastAttempt.violations?.length
+        ? this.#composeValidationFailure(lastAttempt.violations)
+        : this.#describePlanFailure(lastAttempt);
+      mission.logs.push({
+        type: `plan:${label}:failure`,
+        at: new Date().toISOString(),
+        reason: failureReason,
+      });
+      this.#persist(mission);
+      debugLog('Plan attempt failed', { label, failureReason });
+    }
+
+    const summary =
+      failureReason ?? 'Unknown planner failure (no candidates produced after retries).';
+    throw new Error(
+      `Failed to obtain mission plan after ${MAX_PLAN_ATTEMPTS} attempts. Last issue: ${summary}`,
+    );
+  }
+
+  // `fresh` runs in a new Codex thread and leaves mission.planSessionId alone, so
+  // best-of-N candidates can be drafted side by side.
+  async #attemptPlan(mission, prompt, label, { fresh = false } = {}) {
+    mission.logs.push({ type: `plan:${label}:prompt`, at: new Date().toISOString(), prompt });
+    debugLog(`Plan prompt (${label})`, { prompt: prompt.slice(0, 400) });
+
+    const planResult = await this.#runOnceAndCleanup(
+      mission,
+      {
+        prompt,
+        extraArgs: [],
+        // Mission-wide Codex settings apply to the planner, judge, critic and triage runs too.
+        settings: mission.codex,
+        threadId: fresh ? undefined : mission.planSessionId ?? undefined,
+        sessionId: fresh ? undefined : mission.planSessionId ?? undefined,
+        timeoutMs: this.#runTimeoutMs(mission),
+      },
+      { kind: 'plan', attempt: label },
+    );
+
+    mission.logs.push({
+      type: `plan:${label}:raw`,
+      at: new Date().toISOString(),
+      data: planResult,
+    });
+    debugLog(`Plan raw result (${label})`, {
+      planSessionId: planResult.sessionId ?? planResult.threadId,
+      exitCode: planResult.exitCode,
+      completion: planResult.completion,
+      stdoutPreview: planResult.stdout?.slice(0, 400),
+    });
+
+    if (!fresh) {
+      mission.planSessionId =
+        planResult.sessionId ?? planResult.threadId ?? mission.planSessionId ?? null;
+    }
+    const parsed = this.#parsePlanCandidates(mission, planResult, label);
+    if (parsed.plan && mission.templatePlan) {
+      return { ...this.#adaptTemplatePlan(mission.templatePlan, parsed.plan), preview: parsed.preview, planResult };
+    }
+    return { ...parsed, planResult };
+  }
+
+  // Drafts `planCandidates` plans in parallel, each with its own focus, scores the valid ones
+  // and applies the best. Every candidate and its score stays on mission.planSelection.
+  async #planBestOf(mission) {
+    const count = Math.min(mission.planCandidates, MAX_PLAN_CANDIDATES);
+    if (mission.budgetExhausted || this.#deadlinePassed(mission)) return { applied: false, failureReason: null };
+    const drafts = await Promise.all(
+      Array.from({ length: count }, async (_, index) => {
+        const label = `candidate-${index + 1}`;
+        const focus = PLAN_FOCUSES[index % PLAN_FOCUSES.length];
+        const prompt = buildMissionPlanPrompt(mission.goal, mission.context, {
+          template: mission.templatePlan ?? null,
+          focus: focus.text,
+        });
+        try {
+          return { label, focus: focus.name, attempt: await this.#attemptPlan(mission, prompt, label, { fresh: true }) };
+        } catch (error) {
+          return { label, focus: focus.name, error: `Codex planner error: ${error.message}` };
+        }
+      }),
+    );
+    if (mission.cancelRequested) return { applied: false, failureReason: null };
+
+    const entries = drafts.map(({ label, focus, attempt, error }) => {
+      if (attempt) this.#recordPlanValidation(mission, label, attempt);
+      if (attempt?.plan) {
+        const { score, breakdown } = scorePlan(attempt.plan);
+        return { label, focus, valid: true, heuristicScore: score, breakdown, judge: null, score, plan: attempt.plan, planResult: attempt.planResult };
+      }
+      const failure = error
+        ?? (attempt.violations?.length ? this.#composeValidationFailure(attempt.violations) : this.#describePlanFailure(attempt));
+      mission.logs.push({ type: `plan:${label}:failure`, at: new Date().toISOString(), reason: failure });
+      return { label, focus, valid: false, score: null, failure };
+    });
+    const valid = entries.filter((entry) => entry.valid);
+    if (mission.planJudge && valid.length > 1) {
+      await this.#judgePlans(mission, valid);
+      if (mission.cancelRequested) return { applied: false, failureReason: null };
+    }
+    // Ties go to the earlier candidate, which has the standard focus.
+    const winner = valid.reduce((best, entry) => (!best || entry.score > best.score ? entry : best), null);
+    const at = new Date().toISOString();
+    mission.planSelection = {
+      at,
+      candidates: count,
+      judge: Boolean(mission.planJudge),
+      winner: winner?.label ?? null,
+      // The winning plan becomes the mission's plan; only the rejected ones are kept here.
+      entries: entries.map(({ planResult, plan, ...entry }) =>
+        (!plan || entry.label === winner?.label ? entry : { ...entry, plan })),
+    };
+    if (!winner) {
+      this.#persist(mission);
+      return { applied: false, failureReason: entries[entries.length - 1].failure };
+    }
+    this.#applyPlanResult(mission, winner.plan, winner.planResult);
+    mission.logs.push({
+      type: 'plan:selected',
+      at,
+      winner: winner.label,
+      score: winner.score,
+      scores: Object.fromEntries(valid.map((entry) => [entry.label, entry.score])),
+    });
+    this.#persist(mission);
+    this.emit('mission:planned', { missionId: mission.id, mission });
+    return { applied: true };
+  }
+
+  // Optional LLM pass that adds its 0-10 verdict to each candidate's heuristic score.
+  async #judgePlans(mission, entries) {
+    const candidates = entries.map((entry) => JSON.stringify({
+      candidate: entry.label,
+      agents: entry.plan.agents.map((agent) => ({
+        name: agent.name,
+        role: agent.role,
+        objective: agent.objective,
+        depends_on: agent.depends_on,
+        instructions: agent.instructions,
+      })),
+    }));
+    const prompt = [
+      'You are judging alternative plans for the same mission. Do not modify any files.',
+      '',
+      'Mission:',
+      mission.goal,
+      ...(mission.context ? ['', 'Additional context:', typeof mission.context === 'string' ? mission.context : JSON.stringify(mission.context)] : []),
+      '',
+      'Candidate plans:',
+      ...candidates,
+      '',
+      'Score every candidate from 0 to 10 for how likely its team is to deliver the mission: coverage of the work, clear hand-offs between agents, and realistic, verifiable instructions.',
+      'Return ONLY JSON: {"scores":[{"candidate":"candidate-1","score":7,"reason":"one sentence"}]}',
+    ].join('\n');
+    const fail = (reason) => {
+      mission.logs.push({ type: 'plan:judge:failure', at: new Date().toISOString(), reason });
+      debugLog('Plan judge failed', { reason });
+    };
+    let result;
+    try {
+      result = await this.#runOnceAndCleanup(
+        mission,
+        { prompt, extraArgs: [], settings: mission.codex, timeoutMs: this.#runTimeoutMs(mission) },
+        { kind: 'plan', attempt: 'judge' },
+      );
+    } catch (error) {
+      fail(`Codex judge error: ${error.message}`);
+      return;
+    }
+    const validation = planJudgeSchema.safeParse(safeJsonParse(result.lastAgentMessage ?? result.stdout ?? ''));
+    if (!validation.success) {
+      fail(`Judge response was not valid JSON scores. Preview: ${`${result.lastAgentMessage ?? ''}`.slice(0, 200)}`);
+      return;
+    }
+    validation.data.scores.forEach(({ candidate, score, reason }) => {
+      const entry = entries.find((item) => item.label === candidate);
+      if (!entry) return;
+      entry.judge = { score, reason: reason ?? null };
+      entry.score = Math.round((entry.heuristicScore + (score * PLAN_JUDGE_WEIGHT) / 10) * 10) / 10;
+    });
+    mission.logs.push({
+      type: 'plan:judge',
+      at: new Date().toISOString(),
+      scores: Object.fromEntries(entries.map((entry) => [entry.label, entry.judge?.score ?? null])),
+    });
+  }
+
+  // A reviewer run reads the plan and the goal and returns findings plus an amended plan.
+  // The amendment replaces the plan only if it passes the same validation as a planner
+  // draft; either way the critique never fails the mission.
+  async #critiquePlan(mission) {
+    const original = this.getPlan(mission.id);
+    const prompt = [
+      'You are the plan critic. Review the team plan below before any agent runs. Do not modify any files.',
+      '',
+      'Mission:',
+      mission.goal,
+      ...(mission.context ? ['', 'Additional context:', typeof mission.context === 'string' ? mission.context : JSON.stringify(mission.context)] : []),
+      '',
+      'Plan JSON:',
+      JSON.stringify(original),
+      '',
+      'Look for: no agent that tests or validates the work; vague instructions without files, commands or steps; roles that do not match their instructions (e.g. an implementer told to research); missing or wrong depends_on edges; two agents doing the same job; work the goal needs that no agent owns.',
+      'Return ONLY JSON: {"findings":[{"severity":"high|medium|low","agent":"agent name or null","issue":"...","fix":"..."}],"revised_plan":{"mission_summary":"...","agents":[...]}}',
+      `revised_plan must be the complete amended plan in the same schema (${MIN_PLAN_AGENTS}-${MAX_PLAN_AGENTS} agents, snake_case names, depends_on only naming agents in the plan). Keep the names of agents you do not replace. If no agent declares depends_on the agents run in listed order; once any agent declares it, every agent's dependencies must be listed. Use "revised_plan": null when no change is needed.`,
+      ...(mission.templatePlan ? ['The team comes from a template: keep exactly the same agent names and only amend objectives and instructions.'] : []),
+    ].join('\n');
+    const at = new Date().toISOString();
+    const record = (critique) => {
+      mission.planCritique = { at, ...critique };
+      mission.logs.push({
+        type: critique.error ? 'plan:critique:failure' : 'plan:critique',
+        at,
+        findings: critique.findings.length,
+        applied: critique.applied,
+        ...(critique.diff ? { diff: critique.diff } : {}),
+        ...(critique.violations ? { violations: critique.violations } : {}),
+        ...(critique.error ? { reason: critique.error } : {}),
+      });
+      this.#persist(mission);
+      this.emit('mission:plan_critique', { missionId: mission.id, critique: mission.planCritique });
+    };
+
+    let result;
+    try {
+      result = await this.#runOnceAndCleanup(
+        mission,
+        { prompt, extraArgs: [], settings: mission.codex, timeoutMs: this.#runTimeoutMs(mission) },
+        { kind: 'plan', attempt: 'critique' },
+      );
+    } catch (error) {
+      if (mission.cancelRequested) return;
+      record({ findings: [], applied: false, diff: null, error: `Codex critic error: ${error.message}` });
+      return;
+    }
+    if (mission.cancelRequested) return;
+    const validation = planCritiqueSchema.safeParse(safeJsonParse(result.lastAgentMessage ?? result.stdout ?? ''));
+    if (!validation.success) {
+      record({
+        findings: [],
+        applied: false,
+        diff: null,
+        error: `Critic response was not valid JSON findings. Preview: ${`${result.lastAgentMessage ?? ''}`.slice(0, 200)}`,
+      });
+      return;
+    }
+    const { findings, revised_plan: revisedDraft } = validation.data;
+    if (!revisedDraft) {
+      record({ findings, applied: false, diff: null });
+      return;
+    }
+    let revised = null;
+    let violations = null;
+    const planValidation = missionPlanSchema.safeParse(revisedDraft);
+    if (!planValidation.success) {
+      violations = describePlanViolations(planValidation.error);
+    } else if (mission.templatePlan) {
+      const adapted = this.#adaptTemplatePlan(mission.templatePlan, planValidation.data);
+      revised = adapted.plan;
+      violations = adapted.plan ? null : adapted.violations;
+    } else {
+      revised = planValidation.data;
+    }
+    if (!revised) {
+      record({ findings, applied: false, diff: null, violations });
+      return;
+    }
+    this.#installPlan(mission, revised);
+    const diff = diffPlans(original, this.getPlan(mission.id));
+    mission.updatedAt = new Date().toISOString();
+    record({ findings, applied: !isEmptyPlanDiff(diff), diff });
+  }
+
+  #adaptTemplatePlan(templatePlan, plan) {
+    // The template fixes the team; the planner may only rewrite what each agent is told.
+    const adapted = new Map(plan.agents.map((agent) => [agent.name, agent]));
+    const expected = templatePlan.agents.map((agent) => agent.name);
+    const missing = expected.filter((name) => !adapted.has(name));
+    const extra = plan.agents.map((agent) => agent.name).filter((name) => !expected.includes(name));
+    if (missing.length || extra.length) {
+      return {
+        plan: null,
+        violations: [
+          {
+            path: 'agents',
+            rule: 'matches_template',
+            message: `must contain exactly the template agents (${expected.join(', ')})${
+              missing.length ? `; missing: ${missing.join(', ')}` : ''
+            }${extra.length ? `; unexpected: ${extra.join(', ')}` : ''}`,
+          },
+        ],
+      };
+    }
+    return {
+      plan: {
+        mission_summary: plan.mission_summary ?? plan.summary,
+        agents: templatePlan.agents.map((agent) => ({
+          ...agent,
+          objective: adapted.get(agent.name).objective,
+          instructions: adapted.get(agent.name).instructions,
+          timeout_minutes: agent.timeout_minutes ?? adapted.get(agent.name).timeout_minutes,
+        })),
+      },
+      violations: [],
+    };
+  }
+
+  #recordPlanValidation(mission, label, attempt) {
+    if (!mission.planValidation) {
+      mission.planValidation = [];
+    }
+    let violations = attempt.violations ?? [];
+    if (!attempt.plan && !violations.length) {
+      violations = [
+        { path: '(plan)', rule: 'valid_json', message: 'response did not contain a parseable JSON object' },
+      ];
+    }
+    mission.planValidation.push({
+      attempt: label,
+      at: new Date().toISOString(),
+      valid: Boolean(attempt.plan),
+      violations,
+    });
+  }
+
+  #validatePlan(draft, subject) {
+    const validation = missionPlanSchema.safeParse(draft);
+    if (!validation.success) {
+      const violations = describePlanViolations(validation.error);
+      const error = new Error(this.#composeValidationFailure(violations, subject));
+      error.violations = violations;
+      throw error;
+    }
+    return validation.data;
+  }
+
+  #composeValidationFailure(violations, subject = 'Plan JSON') {
+    const details = violations
+      .map((violation) => `${violation.path} ${violation.message} [rule: ${violation.rule}]`)
+      .join('; ');
+    return `${subject} failed validation (${violations.length} issue${violations.length === 1 ? '' : 's'}): ${details}`;
+  }
+
+  #parsePlanCandidates(mission, planResult, label) {
+    const candidates = [];
+    const addCandidate = (value) => {
+      if (typeof value === 'string' && value.trim()) {
+        candidates.push(value.trim());
+      }
+    };
 
     addCandidate(planResult.lastAgentMessage);
     if (Array.isArray(planResult.events)) {
@@ -378,15 +2195,30 @@ export class Orchestrator extends EventEmitter {
       debugLog('Plan candidate', { attempt: label, index: idx, preview });
     });
 
+    let rejected = null;
     for (const candidate of candidates) {
       const parsed = safeJsonParse(candidate);
-      if (parsed && Array.isArray(parsed.agents)) {
-        return { plan: parsed, preview: candidate.slice(0, 400) };
+      if (!parsed || typeof parsed !== 'object') continue;
+      const validation = missionPlanSchema.safeParse(parsed);
+      if (validation.success) {
+        return { plan: validation.data, preview: candidate.slice(0, 400), violations: [] };
+      }
+      // Report the candidate that looks most like a plan back to the planner.
+      if (!rejected || (!('agents' in rejected.parsed) && 'agents' in parsed)) {
+        rejected = { parsed, candidate, violations: describePlanViolations(validation.error) };
       }
     }
 
+    if (rejected) {
+      debugLog('Plan validation failed', { attempt: label, violations: rejected.violations });
+      return {
+        plan: null,
+        preview: rejected.candidate.slice(0, 400),
+        violations: rejected.violations,
+      };
+    }
     debugLog('Plan parse failed', { attempt: label, candidateCount: candidates.length });
-    return { plan: null, preview: candidates[0]?.slice(0, 400) };
+    return { plan: null, preview: candidates[0]?.slice(0, 400), violations: [] };
   }
 
   #describePlanFailure(attempt) {
@@ -394,6 +2226,9 @@ export class Orchestrator extends EventEmitter {
       return 'Planner invocation returned no result.';
     }
     const { planResult, preview } = attempt;
+    if (planResult.timedOut) {
+      return `Planner timed out after ${formatMinutes(planResult.timeoutMs)}.`;
+    }
     if (planResult.exitCode !== null && planResult.exitCode !== 0) {
       return this.#composeFailureReason(
         `Codex exited with code ${planResult.exitCode}`,
@@ -406,259 +2241,987 @@ export class Orchestrator extends EventEmitter {
         : '[no stdout]';
       return `Planner response lacked valid JSON. Stdout snippet: ${stdoutSnippet}`;
     }
-    return `Planner response was not valid JSON. Preview: ${preview.slice(0, 200)}`;
+    return `Planner response was not valid JSON. Preview: ${preview.slice(0, 200)}`;
+  }
+
+  #composeFailureReason(prefix, result) {
+    const exitCodeText = result.exitCode === null ? 'no exit code' : String(result.exitCode);
+    const stderr = (result.stderr ?? '').toString();
+    const stdout = (result.stdout ?? '').toString();
+    const eventFlags = [];
+    if (Array.isArray(result.events)) {
+      for (const e of result.events) {
+        if (e?.type === 'error' || e?.type === 'exception') eventFlags.push(e.type);
+        if (e?.status && e.status !== 'success') eventFlags.push(`status:${e.status}`);
+        if (e?.item?.status && e.item.status !== 'success') eventFlags.push(`itemStatus:${e.item.status}`);
+      }
+    }
+    const parts = [
+      prefix,
+      `exit=${exitCodeText}`,
+      stderr ? `stderr=${stderr.slice(0, 200)}` : null,
+      stdout ? `stdout=${stdout.slice(0, 200)}` : null,
+      eventFlags.length ? `event_flags=${eventFlags.join(',')}` : null,
+    ].filter(Boolean);
+    return parts.join(' • ');
+  }
+
+  #applyPlanResult(mission, parsed, planResult) {
+    this.#installPlan(mission, parsed);
+    mission.planSessionId = planResult.sessionId ?? planResult.threadId ?? null;
+    mission.updatedAt = new Date().toISOString();
+  }
+
+  #installPlan(mission, parsed) {
+    mission.summary = parsed.mission_summary ?? parsed.summary ?? null;
+    mission.agentBlueprints = Object.create(null);
+    // A plan without any dependency edges keeps the original sequential hand-off order.
+    const usesDependencies = parsed.agents.some(
+      (agent) => normalizeDependencies(agent.depends_on).length > 0,
+    );
+    const baseNames = parsed.agents.map((agent) => agent.name);
+    mission.agents = parsed.agents.map((agent, index) => {
+      const baseName = baseNames[index];
+      let dependsOn = [];
+      if (usesDependencies) {
+        dependsOn = normalizeDependencies(agent.depends_on);
+      } else if (index > 0) {
+        dependsOn = [baseNames[index - 1]];
+      }
+      const blueprint = {
+        name: baseName,
+        role: agent.role,
+        expertise: agent.expertise,
+        objective: agent.objective,
+        instructions: agent.instructions,
+        // Only what the plan declared, so reordering a plan without edges re-chains it.
+        depends_on: normalizeDependencies(agent.depends_on),
+        timeoutMinutes: agent.timeout_minutes ?? null,
+        codex: agent.codex ?? null,
+      };
+      mission.agentBlueprints[baseName] = blueprint;
+      return {
+        id: `${baseName}__iter0`,
+        name: baseName,
+        baseName,
+        iteration: 0,
+        role: blueprint.role,
+        expertise: blueprint.expertise,
+        objective: blueprint.objective,
+        instructions: blueprint.instructions,
+        timeoutMinutes: blueprint.timeoutMinutes,
+        codex: blueprint.codex,
+        dependsOn: dependsOn.map((name) => `${name}__iter0`),
+        status: 'pending',
+        result: null,
+        sessionId: null,
+        logs: [],
+      };
+    });
+    this.#refreshGraph(mission);
+  }
+
+  async #executeMission(mission) {
+    mission.status = 'executing';
+    mission.updatedAt = new Date().toISOString();
+    this.#ensureAgentGraph(mission);
+    await this.#loadTriageRules(mission);
+    await this.#loadVerificationChecks(mission);
+    this.#persist(mission);
+    this.emit('mission:executing', { missionId: mission.id });
+
+    const limit = Math.max(1, mission.maxParallelAgents ?? AGENT_CONCURRENCY);
+    const running = new Map();
+    let failure = null;
+    let verificationFailure = null;
+
+    for (;;) {
+      const stopScheduling =
+        mission.cancelRequested
+        || mission.pauseRequested
+        || failure
+        || mission.iterationLimitExceeded
+        || mission.aborted
+        || mission.budgetExhausted
+        || this.#deadlinePassed(mission)
+        || this.#openQuestions(mission).length
+        || this.#findAgentAwaitingApproval(mission);
+      if (!stopScheduling) {
+        for (const agent of this.#readyAgents(mission)) {
+          if (running.size >= limit) break;
+          // Promise.race only observes the first settled run, so a rejection must never reach it.
+          const run = this.#runAgent(mission, agent)
+            .catch((error) => this.#failCrashedAgent(mission, agent, error))
+            .then((outcome) => ({ agent, outcome }));
+          running.set(agent.id, run);
+        }
+      }
+      if (!running.size) {
+        if (stopScheduling || mission.agents.some((agent) => SCHEDULABLE_AGENT_STATUSES.has(agent.status))) break;
+        // Every agent has finished; the mission-end checks decide whether that is the end.
+        const verdict = await this.#runVerification(mission, null);
+        if (verdict.inserted) continue;
+        verificationFailure = verdict.failed;
+        break;
+      }
+      // Agents already in flight always finish; stopping only affects what gets scheduled next.
+      const { agent, outcome } = await Promise.race(running.values());
+      running.delete(agent.id);
+      if (!outcome.ok && !outcome.cancelled && !outcome.halted && !failure) {
+        failure = { agent, reason: outcome.reason };
+      }
+    }
+
+    if (mission.cancelRequested) return;
+    if (mission.aborted) {
+      this.#stopMission(mission, 'aborted', `Aborted by ${mission.aborted.agent}: ${mission.aborted.reason}`);
+      return;
+    }
+    if (mission.deadlineExceeded) {
+      this.#stopMission(mission, 'deadline_exceeded', this.#deadlineMessage(mission));
+      return;
+    }
+    // A check that still fails once no fix iteration may be queued is the real cause, not the limit.
+    let verificationError = null;
+    if (verificationFailure) {
+      verificationError = `Verification failed: ${verificationFailure.map((run) => this.#describeCheckRun(run)).join('; ')}`;
+    } else if (failure?.agent.failureClass === 'verification') {
+      verificationError = failure.reason;
+    }
+    if (mission.iterationLimitExceeded && !verificationError) {
+      this.#stopMission(mission, 'iteration_limit_exceeded', mission.iterationLimitExceeded.message);
+      return;
+    }
+    if (failure || verificationError) {
+      mission.status = 'failed';
+      mission.error = verificationError ?? `Agent ${failure.agent.name} exhausted retries: ${failure.reason}`;
+      if (verificationError && mission.iterationLimitExceeded) {
+        mission.error += ` (no fix iteration could be queued: ${mission.iterationLimitExceeded.message})`;
+      }
+      mission.updatedAt = new Date().toISOString();
+      this.#persist(mission);
+      this.emit('mission:failed', { mission, error: new Error(mission.error) });
+      return;
+    }
+    const questions = this.#openQuestions(mission);
+    if (questions.length) {
+      this.#haltMission(mission, 'awaiting_input', { questions: questions.map((entry) => entry.id) });
+      return;
+    }
+    const approvalAgent = this.#findAgentAwaitingApproval(mission);
+    if (approvalAgent) {
+      this.#requestApproval(mission, approvalAgent);
+      return;
+    }
+    const remaining = mission.agents.filter((agent) => SCHEDULABLE_AGENT_STATUSES.has(agent.status));
+    if (remaining.length && mission.budgetExhausted) {
+      this.#haltMission(mission, 'budget_exhausted', {
+        ...mission.budgetExhausted,
+        nextAgent: remaining[0].name,
+      });
+      return;
+    }
+    if (remaining.length && mission.pauseRequested) {
+      this.#haltMission(mission, 'paused', { nextAgent: remaining[0].name });
+      return;
+    }
+    delete mission.pauseRequested;
+    if (remaining.length) {
+      mission.status = 'failed';
+      const known = new Set(mission.agents.map((agent) => agent.id));
+      mission.error = `Agents blocked by unresolved dependencies: ${remaining
+        .map((agent) => {
+          const missing = (agent.dependsOn ?? []).filter((id) => !known.has(id));
+          return missing.length ? `${agent.id} (unknown ${missing.join(', ')})` : agent.id;
+        })
+        .join(', ')}`;
+      mission.updatedAt = new Date().toISOString();
+      this.#persist(mission);
+      this.emit('mission:failed', { mission, error: new Error(mission.error) });
+    }
+    // Nothing to clean because temp sub-agent does not persist in mission.agents
+  }
+
+  // Runs an agent between two workspace snapshots: the first is kept as the agent's
+  // checkpoint, the pair records what it changed on agent.result.changes.
+  async #runAgent(mission, agent) {
+    if (!TRACK_CHANGES && !CHECKPOINTS_ENABLED) return this.#runAgentAttempts(mission, agent);
+    const snapshots = this.agentSnapshots.get(mission.id) ?? new Map();
+    this.agentSnapshots.set(mission.id, snapshots);
+    // Hash snapshots keep only digests; checkpoints and diffs read the files back from here.
+    const blobDir = checkpointBlobDir(this.checkpointsDir, mission.id);
+    let before = snapshots.get(agent.id) ?? null;
+    snapshots.delete(agent.id);
+    if (!before) {
+      before = await snapshotWorkspace(mission.workingDirectory, {
+        blobDir,
+        previous: this.checkpointBases.get(mission.id),
+      });
+      if (before?.mode === 'hash') this.checkpointBases.set(mission.id, before);
+      if (before && CHECKPOINTS_ENABLED && !agent.checkpoint) {
+        await this.#saveCheckpoint(mission, agent, before);
+      }
+    }
+    const outcome = await this.#runAgentAttempts(mission, agent);
+    if (outcome.halted && agent.status === 'pending') {
+      // The agent resumes later in the same thread; keep its starting point.
+      if (before) snapshots.set(agent.id, before);
+      return outcome;
+    }
+    if (agent.status === 'failed' || (agent.status === 'superseded' && mission.rollbackPolicy === 'on_retry')) {
+      await this.#autoRollback(mission, agent, agent.status === 'failed' ? 'failure' : 'triage');
+    }
+    const changes = TRACK_CHANGES
+      ? await diffSnapshots(before, await snapshotWorkspace(mission.workingDirectory, { blobDir, previous: before }))
+      : null;
+    if (changes) {
+      agent.result = agent.result ?? { summary: null, usage: null, completion: null, command: null };
+      agent.result.changes = changes;
+      mission.updatedAt = new Date().toISOString();
+      this.#persist(mission);
+      this.emit('agent:changes', {
+        missionId: mission.id,
+        agentId: agent.id,
+        files: changes.files,
+      });
+    }
+    return outcome;
+  }
+
+  #failCrashedAgent(mission, agent, error) {
+    const reason = `Orchestrator error: ${error?.message ?? error}`;
+    debugLog('Agent run crashed', { missionId: mission.id, agent: agent.id, error: error?.stack ?? reason });
+    agent.status = 'failed';
+    agent.failureClass = 'orchestrator_error';
+    agent.completedAt = new Date().toISOString();
+    mission.logs.push({ type: 'agent:failure', at: agent.completedAt, agent: agent.name, reason, failureClass: 'orchestrator_error' });
+    mission.updatedAt = agent.completedAt;
+    this.#persist(mission);
+    this.emit('agent:finished', { missionId: mission.id, agent });
+    return { ok: false, reason };
+  }
+
+  async #runAgentAttempts(mission, agent) {
+    agent.status = 'running';
+    if (!agent.startedAt) agent.startedAt = new Date().toISOString();
+    this.#persist(mission);
+    this.emit('agent:started', { missionId: mission.id, agent });
+
+    let attemptIndex = 0;
+    let failureReason = null;
+    let failureClass = null;
+    let lastResult = null;
+
+    while (attemptIndex < MAX_AGENT_ATTEMPTS) {
+      if (mission.cancelRequested) return { ok: false, cancelled: true };
+      if (mission.iterationLimitExceeded) {
+        // Retrying would only feed the loop that tripped the limit.
+        failureReason = mission.iterationLimitExceeded.message;
+        break;
+      }
+      if (mission.budgetExhausted) {
+        // Leave the agent schedulable so raising the budget resumes it in the same thread.
+        agent.status = 'pending';
+        this.#persist(mission);
+        return { ok: false, halted: true };
+      }
+      if (this.#deadlinePassed(mission)) {
+        agent.status = 'pending';
+        this.#persist(mission);
+        return { ok: false, halted: true };
+      }
+      if (attemptIndex > 0 && mission.rollbackPolicy === 'on_retry') {
+        const rollback = await this.#autoRollback(mission, agent, 'retry');
+        if (rollback) {
+          failureReason = `${failureReason ?? 'Previous attempt failed'}. The workspace was rolled back to its state before your first attempt, so edits from earlier attempts are gone.`;
+        }
+      }
+// stay in the same thread for this agent so context accumulates
+      const agentPrompt = buildAgentPrompt(mission, agent, {
+        attempt: attemptIndex,
+        failureReason,
+      });
+      let result;
+      try {
+        result = await this.#runOnceAndCleanup(
+          mission,
+          {
+            prompt: agentPrompt,
+            extraArgs: [],
+            // Mission-wide settings first, then the agent's own.
+            settings: mergeCodexSettings(mission.codex, agent.codex),
+            threadId: agent.sessionId ?? undefined,
+            sessionId: agent.sessionId ?? undefined,
+            timeoutMs: this.#runTimeoutMs(mission, agent.timeoutMinutes),
+          },
+          { kind: 'agent', agent },
+        );
+      } catch (error) {
+        if (mission.cancelRequested) return { ok: false, cancelled: true };
+        failureReason = `Codex runner error: ${error.message}`;
+        failureClass = 'runner_error';
+        agent.logs.push({
+          type: 'interaction:error',
+          at: new Date().toISOString(),
+          data: { error: error.message },
+        });
+        // Try auto-triage with sub-agent on thrown errors as well
+        const triageInserted = await this.#tryAutoTriage(mission, agent, mission.agents.indexOf(agent), {
+          reason: failureReason,
+          result: null,
+          failureClass,
+        });
+        if (triageInserted > 0) {
+          this.#supersedeAgent(mission, agent);
+          return { ok: true };
+        }
+        attemptIndex += 1;
+        continue;
+      }
+      if (mission.cancelRequested) {
+        agent.sessionId = result?.sessionId ?? result?.threadId ?? agent.sessionId;
+        agent.logs.push({ type: 'interaction:cancelled', at: new Date().toISOString(), data: result });
+        return { ok: false, cancelled: true };
+      }
+      lastResult = result;
+      // persist the thread id for subsequent turns, even on failures
+      agent.sessionId = result?.sessionId ?? result?.threadId ?? agent.sessionId;
+
+      agent.logs.push({
+        type: 'interaction',
+        at: new Date().toISOString(),
+        data: result,
+      });
+      this.#persist(mission);
+
+      if (result.timedOut) {
+        failureReason = this.#composeFailureReason(
+          `Codex run timed out after ${formatMinutes(result.timeoutMs)}`,
+          result,
+        );
+        failureClass = 'timeout';
+        if (this.#deadlinePassed(mission)) {
+          // The run was cut short by the mission deadline, not by its own limit.
+          failureClass = 'deadline';
+          break;
+        }
+        mission.logs.push({
+          type: 'agent:timeout',
+          at: new Date().toISOString(),
+          agent: agent.name,
+          timeoutMs: result.timeoutMs,
+        });
+        const triageInserted = await this.#tryAutoTriage(mission, agent, mission.agents.indexOf(agent), {
+          reason: failureReason,
+          result,
+          failureClass,
+        });
+        if (triageInserted > 0) {
+          this.#supersedeAgent(mission, agent);
+          return { ok: true };
+        }
+        attemptIndex += 1;
+        continue;
+      }
+
+      // Non-zero exit or null exit often indicates shell/runtime problems
+      if (result.exitCode === null || result.exitCode !== 0) {
+        const composed = this.#composeFailureReason(
+          `Codex exited with code ${result.exitCode === null ? 'null' : result.exitCode}`,
+          result,
+        );
+
+        // Windows-specific hint if bash is missing
+        if (composed.toLowerCase().includes('bash') && composed.toLowerCase().includes('no such file or directory') && process.platform === 'win32') {
+          if (!agent.instructions.includes('Use PowerShell')) {
+            agent.instructions += '\nUse PowerShell instead of bash.';
+          }
+        }
+
+        // Try auto-triage via sub-agent to produce a CONTROL_JSON directive
+        failureClass = 'exit';
+        const triageInserted = await this.#tryAutoTriage(mission, agent, mission.agents.indexOf(agent), {
+          reason: composed,
+          result,
+          failureClass,
+        });
+        if (triageInserted > 0) {
+          this.#supersedeAgent(mission, agent);
+          return { ok: true };
+        }
+
+        attemptIndex += 1;
+        continue;
+      }
+
+      // Parse CONTROL_JSON from the agent message or stdout; the handoff comes out first so
+      // it cannot end up inside the directive.
+      const { text: directiveSource, handoff, error: handoffError } = extractHandoff(
+        result.lastAgentMessage ?? agent.result?.summary ?? result.stdout ?? '',
+      );
+      let controlDirective = this.#extractControlDirective(directiveSource);
+
+      const hadExecutionErrors = this.#resultHasExecutionErrors(result, controlDirective);
+
+      // If missing or execution errors detected, attempt auto-triage
+      if (!controlDirective || hadExecutionErrors) {
+        const composed = hadExecutionErrors
+          ? this.#composeFailureReason('Execution anomalies detected', result)
+          : 'CONTROL_JSON directive missing or invalid';
+        failureClass = hadExecutionErrors ? 'execution_errors' : 'missing_directive';
+        const triageInserted = await this.#tryAutoTriage(mission, agent, mission.agents.indexOf(agent), {
+          reason: composed,
+          result,
+          failureClass,
+        });
+        if (triageInserted > 0) {
+          this.#supersedeAgent(mission, agent);
+          return { ok: true };
+        }
+        failureReason = composed;
+        attemptIndex += 1;
+        continue;
+      }
+
+      // Handle a valid CONTROL_JSON
+      const directiveOutcome = this.#handleControlDirective(
+        mission,
+        agent,
+        controlDirective,
+        mission.agents.indexOf(agent),
+        { hadExecutionErrors },
+      );
+
+      if (!directiveOutcome.ok) {
+        failureReason = directiveOutcome.reason;
+        failureClass = 'directive_rejected';
+        attemptIndex += 1;
+        continue;
+      }
+      if (directiveOutcome.awaitingInput) {
+        // The agent resumes in the same thread once the operator answers.
+        agent.status = 'pending';
+        mission.updatedAt = new Date().toISOString();
+        this.#persist(mission);
+        return { ok: false, halted: true };
+      }
+
+      const effectiveDirective = directiveOutcome.directive ?? controlDirective ?? null;
+      const cleanedSummaryRaw = this.#stripControlDirectiveFromMessage(
+        extractHandoff(result.lastAgentMessage ?? '').text,
+      );
+      const summaryText =
+        cleanedSummaryRaw && cleanedSummaryRaw.length
+          ? cleanedSummaryRaw
+          : result.lastAgentMessage ?? null;
+
+      agent.completedAt = new Date().toISOString();
+      agent.sessionId = result.sessionId ?? result.threadId ?? null;
+      agent.handoff = handoff;
+      if (handoffError) {
+        mission.logs.push({ type: 'handoff:invalid', at: agent.completedAt, agent: agent.id, error: handoffError });
+      }
+      agent.result = {
+        summary: summaryText,
+        usage: result.usage ?? null,
+        completion: result.completion,
+        command: result.command ?? null,
+        settings: result.settings ?? null,
+        controlDirective: effectiveDirective ?? null,
+      };
+      mission.results.push({
+        agentId: agent.id,
+        output: agent.result,
+        controlDirective: effectiveDirective ?? null,
+      });
+      const reviewEntry = this.#recordAgentReview(mission, agent, effectiveDirective, result);
+      if (reviewEntry) {
+        agent.result.review = reviewEntry;
+      }
+      // An agent that asked for another iteration has not claimed to be done, so there is nothing to check yet.
+      const finalAction = `${effectiveDirective?.action ?? effectiveDirective?.status ?? ''}`.toLowerCase();
+      if (finalAction !== 'request_iteration' && !mission.aborted) {
+        // The agent stays `running` meanwhile so nothing that depends on it starts early.
+        const verdict = await this.#runVerification(mission, agent);
+        if (mission.cancelRequested) return { ok: false, cancelled: true };
+        if (verdict.failed && !verdict.inserted) {
+          failureReason = `Verification failed: ${verdict.failed.map((run) => this.#describeCheckRun(run)).join('; ')}`;
+          failureClass = 'verification';
+          break;
+        }
+      }
+      agent.status = 'completed';
+      mission.updatedAt = new Date().toISOString();
+      this.#persist(mission);
+      this.emit('agent:finished', { missionId: mission.id, agent });
+      return { ok: true };
+    }
+
+    const finalReason = failureReason ?? 'Unknown agent failure';
+    agent.status = 'failed';
+    agent.failureClass = failureClass;
+    agent.completedAt = new Date().toISOString();
+    if (!agent.result && lastResult) {
+      agent.result = {
+        summary: lastResult.lastAgentMessage ?? null,
+        usage: lastResult.usage ?? null,
+        completion: lastResult.completion,
+        command: lastResult.command ?? null,
+        settings: lastResult.settings ?? null,
+      };
+    }
+    mission.logs.push({
+      type: 'agent:failure',
+      at: new Date().toISOString(),
+      agent: agent.name,
+      reason: finalReason,
+      failureClass,
+    });
+    this.#persist(mission);
+    if (failureClass === 'deadline') {
+      return { ok: false, halted: true, reason: finalReason };
+    }
+    return { ok: false, reason: finalReason };
+  }
+
+  // ----- Checkpoints -----
+  async #saveCheckpoint(mission, agent, snapshot) {
+    try {
+      agent.checkpoint = await saveCheckpoint(snapshot, {
+        storeDir: this.checkpointsDir,
+        missionId: mission.id,
+        agentId: agent.id,
+      });
+    } catch (error) {
+      debugLog('Checkpoint failed', { missionId: mission.id, agent: agent.id, error: error.message });
+      mission.logs.push({ type: 'checkpoint:failed', at: new Date().toISOString(), agent: agent.id, error: error.message });
+    }
+  }
+
+  async #autoRollback(mission, agent, trigger) {
+    if ((mission.rollbackPolicy ?? 'none') === 'none' || !agent.checkpoint) return null;
+    const others = mission.agents.filter((candidate) => candidate !== agent && candidate.status === 'running');
+    if (others.length) {
+      // A restore would also wipe out what the parallel agents are writing.
+      mission.logs.push({
+        type: 'rollback:skipped',
+        at: new Date().toISOString(),
+        agent: agent.id,
+        trigger,
+        reason: `agents running in parallel: ${others.map((candidate) => candidate.id).join(', ')}`,
+      });
+      return null;
+    }
+    // Without per-retry rollbacks, triage iterations ran on top of each other, so a failure
+    // restores the checkpoint from before the first run in the chain.
+    let target = agent;
+    for (let index = mission.agents.indexOf(agent) - 1; index >= 0; index -= 1) {
+      const candidate = mission.agents[index];
+      if (candidate.baseName !== agent.baseName) continue;
+      if (candidate.status !== 'superseded' || !candidate.checkpoint) break;
+      target = candidate;
+    }
+    try {
+      const rollback = await this.#applyRollback(mission, target, { trigger });
+      agent.rolledBack = { at: rollback.at, trigger, to: target.id, files: rollback.files.length };
+      this.#persist(mission);
+      return rollback;
+    } catch (error) {
+      mission.logs.push({ type: 'rollback:failed', at: new Date().toISOString(), agent: agent.id, trigger, error: error.message });
+      this.#persist(mission);
+      return null;
+    }
+  }
+
+  // Ended missions release their checkpoint refs and stored files. Never throws.
+  async #dropCheckpoints(mission) {
+    const agents = (mission.agents ?? []).filter((agent) => agent.checkpoint);
+    if (!agents.length) {
+      // Blobs stored only to render diffs go as well.
+      await dropCheckpoints({ storeDir: this.checkpointsDir, missionId: mission.id }).catch((error) => {
+        debugLog('Could not remove snapshot blobs', { missionId: mission.id, error: error.message });
+      });
+      return;
+    }
+    const usesGit = agents.some((agent) => agent.checkpoint.mode === 'git');
+    try {
+      const refs = await dropCheckpoints({
+        storeDir: this.checkpointsDir,
+        missionId: mission.id,
+        repository: usesGit ? mission.worktree?.repository ?? mission.workingDirectory : null,
+      });
+      agents.forEach((agent) => {
+        agent.checkpoint = null;
+      });
+      mission.checkpointsDroppedAt = new Date().toISOString();
+      mission.logs.push({ type: 'checkpoints:dropped', at: mission.checkpointsDroppedAt, agents: agents.length, refs });
+    } catch (error) {
+      debugLog('Could not drop checkpoints', { missionId: mission.id, error: error.message });
+      mission.logs.push({ type: 'checkpoint:failed', at: new Date().toISOString(), error: `drop: ${error.message}` });
+    }
+    this.#persist(mission);
+  }
+
+  async #applyRollback(mission, agent, { trigger, revertedAgents = [] }) {
+    const files = await restoreCheckpoint(agent.checkpoint, mission.workingDirectory, {
+      blobDir: this.legacyCheckpointBlobDir,
+    });
+    const at = new Date().toISOString();
+    const rollback = {
+      at,
+      trigger,
+      agentId: agent.id,
+      agentName: agent.name,
+      checkpointAt: agent.checkpoint.createdAt,
+      files,
+      revertedAgents,
+    };
+    mission.rollbacks = [...(mission.rollbacks ?? []), rollback];
+    if (mission.worktree?.finalCommit) {
+      // Promoting commits again so the branch carries the reverted state.
+      mission.worktree.finalCommit = null;
+    }
+    this.#recordRollbackInTimeline(mission, rollback);
+    mission.logs.push({ type: 'rollback:applied', ...rollback, files: files.length });
+    mission.updatedAt = at;
+    this.#persist(mission);
+    this.emit('mission:rolled_back', { missionId: mission.id, ...rollback });
+    return rollback;
   }
 
-  #composeFailureReason(prefix, result) {
-    const exitCodeText = result.exitCode === null ? 'no exit code' : String(result.exitCode);
-    const stderr = (result.stderr ?? '').toString();
-    const stdout = (result.stdout ?? '').toString();
-    const eventFlags = [];
-    if (Array.isArray(result.events)) {
-      for (const e of result.events) {
-        if (e?.type === 'error' || e?.type === 'exception') eventFlags.push(e.type);
-        if (e?.status && e.status !== 'success') eventFlags.push(`status:${e.status}`);
-        if (e?.item?.status && e.item.status !== 'success') eventFlags.push(`itemStatus:${e.item.status}`);
-      }
+  #recordRollbackInTimeline(mission, rollback) {
+    mission.timeline = mission.timeline ?? [];
+    const causes = {
+      failure: `${rollback.agentName} failed`,
+      retry: `${rollback.agentName} is retrying`,
+      triage: `${rollback.agentName} is being re-run by triage`,
+      manual: 'an operator requested it',
+    };
+    const paths = rollback.files.slice(0, 5).map((file) => file.path).join(', ');
+    const summary = `Workspace rolled back to the checkpoint taken before ${rollback.agentId} because ${causes[rollback.trigger]}; ${
+      rollback.files.length
+    } file(s) restored${paths ? ` (${paths}${rollback.files.length > 5 ? ', ...' : ''})` : ''}. Changes made after that point are no longer in the workspace.`;
+    const entry = {
+      type: 'rollback',
+      agentId: rollback.agentId,
+      agentName: rollback.agentName,
+      completedAt: rollback.at,
+      summary,
+      summaryPreview: summary,
+      controlDirective: null,
+      controlSummary: null,
+    };
+    entry.promptLine = `${rollback.at.slice(0, 19)} | ROLLBACK | ${summary}`;
+    mission.timeline.push(entry);
+    if (mission.timeline.length > TIMELINE_HISTORY_LIMIT) {
+      mission.timeline.splice(0, mission.timeline.length - TIMELINE_HISTORY_LIMIT);
     }
-    const parts = [
-      prefix,
-      `exit=${exitCodeText}`,
-      stderr ? `stderr=${stderr.slice(0, 200)}` : null,
-      stdout ? `stdout=${stdout.slice(0, 200)}` : null,
-      eventFlags.length ? `event_flags=${eventFlags.join(',')}` : null,
-    ].filter(Boolean);
-    return parts.join(' • ');
   }
 
-  #applyPlanResult(mission, parsed, planResult) {
-    mission.summary = parsed.mission_summary ?? parsed.summary ?? null;
-    mission.agentBlueprints = mission.agentBlueprints ?? Object.create(null);
-    mission.agents = parsed.agents.map((agent, index) => {
-      const baseName = agent.name ?? `agent_${index + 1}`;
-      const blueprint = {
-        name: baseName,
-        role: agent.role ?? 'Specialist',
-        expertise: agent.expertise ?? '',
-        objective: agent.objective ?? '',
-        instructions: agent.instructions ?? '',
-      };
-      mission.agentBlueprints[baseName] = blueprint;
-      return {
-        id: `${baseName}__iter0`,
-        name: baseName,
-        baseName,
-        iteration: 0,
-        role: blueprint.role,
-        expertise: blueprint.expertise,
-        objective: blueprint.objective,
-        instructions: blueprint.instructions,
-        status: 'pending',
-        result: null,
-        sessionId: null,
-        logs: [],
-      };
-    });
-    mission.planSessionId = planResult.sessionId ?? planResult.threadId ?? null;
-    mission.updatedAt = new Date().toISOString();
+  async rollbackMission(id, { to } = {}) {
+    const mission = this.missions.get(id);
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    if (this.isMissionActive(id)) {
+      throw new Error(`Mission is ${mission.status}; pause or cancel it before rolling back`);
+    }
+    if (mission.worktree?.removedAt) {
+      throw new Error('Mission worktree was removed');
+    }
+    const index = mission.agents.findIndex((agent) => agent.id === to);
+    if (index === -1) {
+      throw new Error(`Mission has no agent with id ${to}`);
+    }
+    const agent = mission.agents[index];
+    if (mission.checkpointsDroppedAt) {
+      throw new Error('Checkpoints are dropped once a mission has ended');
+    }
+    if (!agent.checkpoint) {
+      throw new Error(`Agent ${to} has no checkpoint`);
+    }
+    const revertedAgents = mission.agents
+      .slice(index)
+      .filter((candidate) => candidate.startedAt)
+      .map((candidate) => candidate.id);
+    return this.#applyRollback(mission, agent, { trigger: 'manual', revertedAgents });
   }
 
-  async #executeMission(mission) {
-    mission.status = 'executing';
-    mission.updatedAt = new Date().toISOString();
-    this.emit('mission:executing', { missionId: mission.id });
-
-    for (let idx = 0; idx < mission.agents.length; idx += 1) {
-      const agent = mission.agents[idx];
-      if (agent.status === 'completed') continue;
+  // ----- Verification -----
+  async #loadVerificationChecks(mission) {
+    if (mission.verification) {
+      this.missionChecks.set(mission.id, mission.verification);
+      return;
+    }
+    const { checks, source, error } = await loadVerificationChecks(mission.workingDirectory, {
+      configFile: this.verificationFile,
+    });
+    if (error) {
+      mission.logs.push({ type: 'verification:config-error', at: new Date().toISOString(), file: source, error });
+    }
+    this.missionChecks.set(mission.id, checks);
+  }
 
-      agent.status = 'running';
-      if (!agent.startedAt) agent.startedAt = new Date().toISOString();
-      this.emit('agent:started', { missionId: mission.id, agent });
+  #checksDue(mission, agent) {
+    const checks = this.missionChecks.get(mission.id) ?? mission.verification ?? [];
+    const trigger = agent ? agent.baseName ?? agent.name : MISSION_END;
+    return checks.filter((check) => check.after.includes(trigger));
+  }
 
-      let attemptIndex = 0;
-      let failureReason = null;
-      let insertedAgents = 0;
-      let success = false;
-      let lastResult = null;
+  // The latest run of the agent that has to fix a failing check: the check's `agent`, else
+  // the agent it ran after, else (at mission end) the last implementer to complete. Testers
+  // and reviewers are skipped there; asked to fix a check they would only request it from themselves.
+  #responsibleAgent(mission, agent, check) {
+    const name = check.agent ?? agent?.baseName ?? agent?.name ?? null;
+    const finished = mission.agents.filter((candidate) => candidate === agent || candidate.status === 'completed');
+    if (!name) return finished.filter((candidate) => !isVerifierAgent(candidate)).pop() ?? null;
+    return finished.filter((candidate) => (candidate.baseName ?? candidate.name) === name).pop() ?? null;
+  }
 
-      while (attemptIndex < MAX_AGENT_ATTEMPTS) {
-// stay in the same thread for this agent so context accumulates
-        const agentPrompt = buildAgentPrompt(mission, agent, {
-          attempt: attemptIndex,
-          failureReason,
-        });
-        let result;
-        try {
-          result = await this.runner.runOnce({
-            prompt: agentPrompt,
-            extraArgs: [],
-            threadId: agent.sessionId ?? undefined,
-            sessionId: agent.sessionId ?? undefined,
-          });
-        } catch (error) {
-          failureReason = `Codex runner error: ${error.message}`;
-          agent.logs.push({
-            type: 'interaction:error',
-            at: new Date().toISOString(),
-            data: { error: error.message },
-          });
-          // Try auto-triage with sub-agent on thrown errors as well
-          const triageInserted = await this.#tryAutoTriage(mission, agent, idx, {
-            reason: failureReason,
-            result: null,
+  // Runs the checks due after `agent` (at mission end when it is null). Failures queue one
+  // iteration per responsible agent with the check output as its instructions.
+  async #runVerification(mission, agent) {
+    const checks = this.#checksDue(mission, agent);
+    if (!checks.length || this.#deadlinePassed(mission)) return { inserted: 0, failed: null };
+    const runs = [];
+    for (const check of checks) {
+      if (mission.cancelRequested) break;
+      runs.push(await this.#runCheck(mission, agent, check));
+    }
+    const failed = runs.filter((run) => run.status !== 'passed' && run.status !== 'cancelled');
+    const byResponsible = new Map();
+    failed.forEach((run) => {
+      const responsible = mission.agents.find((candidate) => candidate.id === run.responsibleAgentId);
+      if (responsible) byResponsible.set(responsible, [...(byResponsible.get(responsible) ?? []), run]);
+    });
+    let inserted = 0;
+    if (!mission.cancelRequested) {
+      for (const [responsible, responsibleRuns] of byResponsible) {
+        // As if the agent the checks ran after had asked for the fix, so it also re-runs afterwards.
+        const requester = agent ?? responsible;
+        const count = this.#enqueueIterationAgents(
+          mission,
+          requester,
+          {
+            action: 'request_iteration',
+            target_agent: responsible.baseName ?? responsible.name,
+            instructions: this.#verificationInstructions(responsibleRuns),
+            reason: `Verification failed: ${responsibleRuns.map((run) => run.check).join(', ')}`,
+          },
+          mission.agents.indexOf(requester),
+        );
+        if (count) {
+          const iterationId = mission.agents[mission.agents.indexOf(requester) + 1].id;
+          responsibleRuns.forEach((run) => {
+            run.iterationAgentId = iterationId;
           });
-          if (triageInserted > 0) {
-            success = true;
-            break;
-          }
-          attemptIndex += 1;
-          continue;
         }
-        lastResult = result;
-        // persist the thread id for subsequent turns, even on failures
-        agent.sessionId = result?.sessionId ?? result?.threadId ?? agent.sessionId;
-
-        agent.logs.push({
-          type: 'interaction',
-          at: new Date().toISOString(),
-          data: result,
-        });
+        inserted += count;
+      }
+    }
+    this.#recordVerificationInTimeline(mission, agent, runs);
+    mission.verificationRuns = [...(mission.verificationRuns ?? []), ...runs].slice(-VERIFICATION_HISTORY_LIMIT);
+    mission.updatedAt = new Date().toISOString();
+    this.#persist(mission);
+    this.emit('mission:verification', { missionId: mission.id, agentId: agent?.id ?? null, runs });
+    return { inserted, failed: failed.length ? failed : null };
+  }
 
-        // Non-zero exit or null exit often indicates shell/runtime problems
-        if (result.exitCode === null || result.exitCode !== 0) {
-          const composed = this.#composeFailureReason(
-            `Codex exited with code ${result.exitCode === null ? 'null' : result.exitCode}`,
-            result,
-          );
-
-          // Windows-specific hint if bash is missing
-          if (composed.toLowerCase().includes('bash') && composed.toLowerCase().includes('no such file or directory') && process.platform === 'win32') {
-            if (!agent.instructions.includes('Use PowerShell')) {
-              agent.instructions += '\nUse PowerShell instead of bash.';
-            }
-          }
+  async #runCheck(mission, agent, check) {
+    const responsible = this.#responsibleAgent(mission, agent, check);
+    const controller = new AbortController();
+    const controllers = this.verificationControllers.get(mission.id) ?? new Set();
+    this.verificationControllers.set(mission.id, controllers);
+    controllers.add(controller);
+    const startedAt = new Date().toISOString();
+    let timeoutMs = check.timeoutSeconds * 1000;
+    if (mission.deadline) {
+      timeoutMs = Math.max(1, Math.min(timeoutMs, Date.parse(mission.deadline) - Date.now()));
+    }
+    let outcome;
+    try {
+      outcome = await runVerificationCheck(check, {
+        cwd: mission.workingDirectory,
+        timeoutMs,
+        signal: controller.signal,
+      });
+    } finally {
+      controllers.delete(controller);
+      if (!controllers.size) this.verificationControllers.delete(mission.id);
+    }
+    const run = {
+      id: uuidv4(),
+      check: check.name,
+      command: check.command,
+      trigger: agent ? 'agent' : MISSION_END,
+      agentId: agent?.id ?? null,
+      responsibleAgentId: responsible?.id ?? null,
+      startedAt,
+      ...outcome,
+      iterationAgentId: null,
+    };
+    mission.logs.push({
+      type: `verification:${run.status}`,
+      at: new Date().toISOString(),
+      check: run.check,
+      agent: run.agentId,
+      exitCode: run.exitCode,
+      durationMs: run.durationMs,
+    });
+    debugLog('Verification check finished', { missionId: mission.id, check: run.check, status: run.status });
+    return run;
+  }
 
-          // Try auto-triage via sub-agent to produce a CONTROL_JSON directive
-          const triageInserted = await this.#tryAutoTriage(mission, agent, idx, {
-            reason: composed,
-            result,
-          });
-          if (triageInserted > 0) {
-            success = true;
-            break;
-          }
+  #describeCheckRun(run) {
+    switch (run.status) {
+      case 'passed':
+        return `${run.check} passed`;
+      case 'timed_out':
+        return `${run.check} timed out after ${formatMinutes(run.durationMs)}`;
+      case 'cancelled':
+        return `${run.check} was cancelled`;
+      case 'error':
+        return `${run.check} could not be started (${run.error})`;
+      default:
+        return `${run.check} failed with ${run.exitCode === null ? `signal ${run.signal}` : `exit code ${run.exitCode}`}`;
+    }
+  }
 
-          attemptIndex += 1;
-          continue;
-        }
+  #verificationInstructions(runs) {
+    const failures = runs.map(
+      (run) => `- ${this.#describeCheckRun(run)}: \`${run.command}\`\n  Output (last lines): ${run.output.slice(-1500) || '(none)'}`,
+    );
+    return `Verification checks run by the orchestrator failed after your last change:
+${failures.join('\n')}
+Fix the cause, run the same commands yourself to confirm they pass, and report their output. The checks run again when you finish.`;
+  }
 
-        // Parse CONTROL_JSON from the agent message or stdout
-        const directiveSource =
-          result.lastAgentMessage ?? agent.result?.summary ?? result.stdout ?? '';
-        let controlDirective = this.#extractControlDirective(directiveSource);
-
-        const hadExecutionErrors = this.#resultHasExecutionErrors(result, controlDirective);
-
-        // If missing or execution errors detected, attempt auto-triage
-        if (!controlDirective || hadExecutionErrors) {
-          const composed = hadExecutionErrors
-            ? this.#composeFailureReason('Execution anomalies detected', result)
-            : 'CONTROL_JSON directive missing or invalid';
-          const triageInserted = await this.#tryAutoTriage(mission, agent, idx, {
-            reason: composed,
-            result,
-          });
-          if (triageInserted > 0) {
-            success = true;
-            break;
-          }
-          failureReason = composed;
-          attemptIndex += 1;
-          continue;
-        }
+  #recordVerificationInTimeline(mission, agent, runs) {
+    if (!runs.length) return;
+    mission.timeline = mission.timeline ?? [];
+    const at = new Date().toISOString();
+    const results = runs.map((run) => {
+      const described = this.#describeCheckRun(run);
+      return run.status === 'passed' || run.status === 'cancelled'
+        ? described
+        : `${described} (output: ${this.#truncateText(run.output.slice(-400), 160) || 'none'})`;
+    });
+    const summary = `${agent ? `Checks after ${agent.id}` : 'Mission-end checks'}: ${results.join('; ')}`;
+    const entry = {
+      type: 'verification',
+      agentId: agent?.id ?? runs[0].responsibleAgentId,
+      agentName: agent?.name ?? null,
+      completedAt: at,
+      summary,
+      summaryPreview: this.#truncateText(summary, 320),
+      controlDirective: null,
+      controlSummary: null,
+      checks: runs.map((run) => ({
+        check: run.check,
+        command: run.command,
+        status: run.status,
+        exitCode: run.exitCode,
+        durationMs: run.durationMs,
+        outputTail: run.output,
+      })),
+    };
+    entry.promptLine = `${at.slice(0, 19)} | VERIFY | ${entry.summaryPreview}`;
+    mission.timeline.push(entry);
+    if (mission.timeline.length > TIMELINE_HISTORY_LIMIT) {
+      mission.timeline.splice(0, mission.timeline.length - TIMELINE_HISTORY_LIMIT);
+    }
+  }
 
-        // Handle a valid CONTROL_JSON
-        const directiveOutcome = this.#handleControlDirective(
-          mission,
-          agent,
-          controlDirective,
-          idx,
-          { hadExecutionErrors },
-        );
+  #runTimeoutMs(mission, minutes = null) {
+    const timeoutMs = (minutes ?? mission.agentTimeoutMinutes ?? DEFAULT_AGENT_TIMEOUT_MINUTES) * 60_000;
+    if (!mission.deadline) return timeoutMs;
+    // No run may outlive the mission deadline; 0 would disable the runner's timer.
+    return Math.max(1, Math.min(timeoutMs, Date.parse(mission.deadline) - Date.now()));
+  }
 
-        if (!directiveOutcome.ok) {
-          failureReason = directiveOutcome.reason;
-          attemptIndex += 1;
-          continue;
-        }
+  #deadlinePassed(mission) {
+    if (mission.deadlineExceeded) return true;
+    if (!mission.deadline || Date.now() < Date.parse(mission.deadline)) return false;
+    mission.deadlineExceeded = { at: new Date().toISOString(), deadline: mission.deadline };
+    mission.logs.push({ type: 'mission:deadline-exceeded', ...mission.deadlineExceeded });
+    debugLog('Mission deadline exceeded', { missionId: mission.id, deadline: mission.deadline });
+    return true;
+  }
 
-        const effectiveDirective = directiveOutcome.directive ?? controlDirective ?? null;
-        const cleanedSummaryRaw = this.#stripControlDirectiveFromMessage(
-          result.lastAgentMessage ?? '',
-        );
-        const summaryText =
-          cleanedSummaryRaw && cleanedSummaryRaw.length
-            ? cleanedSummaryRaw
-            : result.lastAgentMessage ?? null;
-
-        agent.completedAt = new Date().toISOString();
-        agent.sessionId = result.sessionId ?? result.threadId ?? null;
-        agent.result = {
-          summary: summaryText,
-          usage: result.usage ?? null,
-          completion: result.completion,
-          command: result.command ?? null,
-          controlDirective: effectiveDirective ?? null,
-        };
-        agent.status = 'completed';
-        mission.results.push({
-          agentId: agent.id,
-          output: agent.result,
-          controlDirective: effectiveDirective ?? null,
-        });
-        const reviewEntry = this.#recordAgentReview(mission, agent, effectiveDirective, result);
-        if (reviewEntry) {
-          agent.result.review = reviewEntry;
-        }
-        mission.updatedAt = new Date().toISOString();
-        this.emit('agent:finished', { missionId: mission.id, agent });
+  #deadlineMessage(mission) {
+    return `Mission deadline ${mission.deadline} passed before all agents finished`;
+  }
 
-        insertedAgents = directiveOutcome.inserted ?? 0;
-        success = true;
-        break;
+  // Ends a mission early: nothing left is scheduled and the mission settles in a terminal status.
+  #stopMission(mission, status, error) {
+    mission.agents.forEach((agent) => {
+      if (SCHEDULABLE_AGENT_STATUSES.has(agent.status)) {
+        agent.status = 'skipped';
       }
+    });
+    delete mission.pauseRequested;
+    mission.status = status;
+    mission.error = error;
+    mission.updatedAt = new Date().toISOString();
+    this.#persist(mission);
+    this.emit(`mission:${status}`, { missionId: mission.id, mission });
+  }
 
-      if (!success) {
-        const finalReason = failureReason ?? 'Unknown agent failure';
-        agent.status = 'failed';
-        agent.completedAt = new Date().toISOString();
-        if (!agent.result && lastResult) {
-          agent.result = {
-            summary: lastResult.lastAgentMessage ?? null,
-            usage: lastResult.usage ?? null,
-            completion: lastResult.completion,
-            command: lastResult.command ?? null,
-          };
-        }
-        mission.status = 'failed';
-        mission.error = `Agent ${agent.name} exhausted retries: ${finalReason}`;
-        mission.updatedAt = new Date().toISOString();
-        mission.logs.push({
-          type: 'agent:failure',
-          at: new Date().toISOString(),
-          agent: agent.name,
-          reason: finalReason,
-        });
-        this.emit('mission:failed', { mission, error: new Error(mission.error) });
-        return;
-      }
+  #supersedeAgent(mission, agent) {
+    // Auto-triage queued a fresh iteration in place of this attempt; downstream
+    // agents now wait on that iteration instead.
+    agent.status = 'superseded';
+    agent.completedAt = new Date().toISOString();
+    mission.updatedAt = agent.completedAt;
+    this.#persist(mission);
+    this.emit('agent:finished', { missionId: mission.id, agent });
+  }
 
-      if (insertedAgents > 0) {
-        continue;
+  #ensureAgentGraph(mission) {
+    // Missions planned before dependency support run as a sequential chain.
+    let previous = null;
+    for (const agent of mission.agents) {
+      if (!Array.isArray(agent.dependsOn)) {
+        agent.dependsOn = previous ? [previous.id] : [];
       }
+      previous = agent;
     }
-    // Nothing to clean because temp sub-agent does not persist in mission.agents
+    this.#refreshGraph(mission);
+  }
+
+  #refreshGraph(mission) {
+    const byId = new Map(mission.agents.map((agent) => [agent.id, agent]));
+    const depths = new Map();
+    const depthOf = (agent) => {
+      if (depths.has(agent.id)) return depths.get(agent.id);
+      depths.set(agent.id, 0);
+      const parents = (agent.dependsOn ?? []).map((id) => byId.get(id)).filter(Boolean);
+      const depth = parents.length ? 1 + Math.max(...parents.map(depthOf)) : 0;
+      depths.set(agent.id, depth);
+      return depth;
+    };
+    const levels = [];
+    mission.agents.forEach((agent) => {
+      const depth = depthOf(agent);
+      levels[depth] = [...(levels[depth] ?? []), agent.id];
+    });
+    mission.graph = {
+      maxParallelAgents: Math.max(1, mission.maxParallelAgents ?? AGENT_CONCURRENCY),
+      edges: mission.agents.flatMap((agent) =>
+        (agent.dependsOn ?? []).map((from) => ({ from, to: agent.id })),
+      ),
+      levels: levels.filter(Boolean),
+    };
+  }
+
+  #readyAgents(mission) {
+    const byId = new Map(mission.agents.map((agent) => [agent.id, agent]));
+    return mission.agents.filter(
+      (agent) =>
+        SCHEDULABLE_AGENT_STATUSES.has(agent.status)
+        // An id that names no agent never resolves, so the mission reports the agent as blocked.
+        && (agent.dependsOn ?? []).every((id) => RESOLVED_AGENT_STATUSES.has(byId.get(id)?.status)),
+    );
   }
 
   #extractControlDirective(message) {
@@ -707,13 +3270,14 @@ export class Orchestrator extends EventEmitter {
     }
     if (action === 'continue') {
       if (hadExecutionErrors) {
-        const fallback = this.#generateDirectiveFromError(
-          requestingAgent?.result?.summary ?? requestingAgent?.result?.completion ?? '',
-          requestingAgent
-        );
-        if (fallback) {
-          const inserted = this.#enqueueIterationAgents(mission, requestingAgent, fallback, insertIndex);
-          return { ok: true, inserted, directive: fallback };
+        const ruleMatch = this.#matchTriageRule(mission, requestingAgent, {
+          reason: requestingAgent?.result?.summary ?? requestingAgent?.result?.completion ?? '',
+          failureClass: 'execution_errors',
+        });
+        if (ruleMatch) {
+          const inserted = this.#enqueueIterationAgents(mission, requestingAgent, ruleMatch.directive, insertIndex);
+          this.#logTriageRule(mission, requestingAgent, ruleMatch, { inserted });
+          if (inserted > 0) return { ok: true, inserted, directive: ruleMatch.directive };
         }
         return {
           ok: false,
@@ -728,6 +3292,41 @@ export class Orchestrator extends EventEmitter {
       const inserted = this.#enqueueIterationAgents(mission, requestingAgent, directive, insertIndex);
       return { ok: true, inserted, directive };
     }
+    if (action === 'ask_human') {
+      const question = `${directive.question ?? ''}`.trim();
+      if (!question) {
+        return { ok: false, inserted: 0, reason: 'CONTROL_JSON ask_human requires a question', directive: null };
+      }
+      const entry = {
+        id: uuidv4(),
+        agentId: requestingAgent.id,
+        agentName: requestingAgent.name,
+        question,
+        context: directive.context ? `${directive.context}`.trim() : null,
+        askedAt: new Date().toISOString(),
+        answer: null,
+        answeredAt: null,
+      };
+      mission.questions = [...(mission.questions ?? []), entry];
+      mission.logs.push({ type: 'question:asked', at: entry.askedAt, questionId: entry.id, agent: entry.agentName, question });
+      this.emit('mission:question', { missionId: mission.id, question: entry });
+      return { ok: true, inserted: 0, awaitingInput: true, directive };
+    }
+    if (action === 'abort') {
+      const reason = `${directive.reason ?? directive.summary ?? ''}`.trim();
+      if (!reason) {
+        return { ok: false, inserted: 0, reason: 'CONTROL_JSON abort requires a reason', directive: null };
+      }
+      mission.aborted = { at: new Date().toISOString(), agent: requestingAgent.name, reason };
+      mission.logs.push({ type: 'mission:abort-requested', ...mission.aborted });
+      return { ok: true, inserted: 0, directive };
+    }
+    if (action === 'skip_to') {
+      return this.#skipToAgent(mission, requestingAgent, directive);
+    }
+    if (action === 'spawn_agent') {
+      return this.#spawnAgent(mission, requestingAgent, directive, insertIndex);
+    }
     return {
       ok: false,
       inserted: 0,
@@ -736,6 +3335,127 @@ export class Orchestrator extends EventEmitter {
     };
   }
 
+  #skipToAgent(mission, requestingAgent, directive) {
+    const targetName = directive.target_agent ?? directive.targetAgent ?? directive.target ?? null;
+    if (!targetName) {
+      return { ok: false, inserted: 0, reason: 'CONTROL_JSON skip_to requires target_agent', directive: null };
+    }
+    const target = mission.agents.find(
+      (agent) =>
+        (agent.id === targetName || (agent.baseName ?? agent.name) === targetName)
+        && SCHEDULABLE_AGENT_STATUSES.has(agent.status),
+    );
+    if (!target) {
+      return {
+        ok: false,
+        inserted: 0,
+        reason: `CONTROL_JSON skip_to target ${targetName} has no pending run`,
+        directive: null,
+      };
+    }
+    // Skip only the pending agents that sit between the requester and the target;
+    // parallel branches that do not wait on the requester keep their work.
+    const byId = new Map(mission.agents.map((agent) => [agent.id, agent]));
+    const downstream = new Set([requestingAgent.id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      mission.agents.forEach((agent) => {
+        if (!downstream.has(agent.id) && (agent.dependsOn ?? []).some((id) => downstream.has(id))) {
+          downstream.add(agent.id);
+          grew = true;
+        }
+      });
+    }
+    const skipped = new Set();
+    const visit = (agent) => {
+      (agent.dependsOn ?? []).forEach((id) => {
+        const dependency = byId.get(id);
+        if (
+          dependency
+          && !skipped.has(id)
+          && downstream.has(id)
+          && SCHEDULABLE_AGENT_STATUSES.has(dependency.status)
+        ) {
+          skipped.add(id);
+          visit(dependency);
+        }
+      });
+    };
+    visit(target);
+    // Agents that waited on a skipped agent now wait on whatever it waited on.
+    const resolveDependencies = (ids) =>
+      ids.flatMap((id) => (skipped.has(id) ? resolveDependencies(byId.get(id).dependsOn ?? []) : [id]));
+    mission.agents.forEach((agent) => {
+      if (skipped.has(agent.id)) {
+        agent.status = 'skipped';
+        agent.skippedBy = requestingAgent.name;
+      } else if (SCHEDULABLE_AGENT_STATUSES.has(agent.status)) {
+        agent.dependsOn = Array.from(new Set(resolveDependencies(agent.dependsOn ?? [])));
+      }
+    });
+    this.#refreshGraph(mission);
+    mission.logs.push({
+      type: 'directive:skip_to',
+      at: new Date().toISOString(),
+      requestedBy: requestingAgent.name,
+      target: target.id,
+      skippedAgents: Array.from(skipped),
+      reason: directive.reason ?? null,
+    });
+    return { ok: true, inserted: 0, directive };
+  }
+
+  #spawnAgent(mission, requestingAgent, directive, insertIndex) {
+    const reject = (reason) => ({ ok: false, inserted: 0, reason, directive: null });
+    const validation = planAgentSchema.safeParse(directive.agent ?? directive.blueprint);
+    if (!validation.success) {
+      const details = describePlanViolations(validation.error)
+        .map((violation) => `${violation.path} ${violation.message}`)
+        .join('; ');
+      return reject(`CONTROL_JSON spawn_agent blueprint is invalid: ${details}`);
+    }
+    const spec = validation.data;
+    if (mission.agentBlueprints?.[spec.name]) {
+      return reject(`CONTROL_JSON spawn_agent name ${spec.name} is already used in this mission`);
+    }
+    const spawnedCount = Object.values(mission.agentBlueprints ?? {}).filter((blueprint) => blueprint.spawnedBy).length;
+    if (spawnedCount >= MAX_SPAWNED_AGENTS) {
+      return reject(`CONTROL_JSON spawn_agent refused: mission already spawned ${spawnedCount} of ${MAX_SPAWNED_AGENTS} agents`);
+    }
+    // Plans without edges run in listed order, where getPlan() already places the
+    // spawned agent after its requester; only a dependency plan needs the edge.
+    const usesDependencies = Object.values(mission.agentBlueprints ?? {}).some(
+      (existing) => normalizeDependencies(existing.depends_on).length > 0,
+    );
+    const blueprint = {
+      name: spec.name,
+      role: spec.role,
+      expertise: spec.expertise,
+      objective: spec.objective,
+      instructions: spec.instructions,
+      depends_on: usesDependencies ? [requestingAgent.baseName ?? requestingAgent.name] : [],
+      timeoutMinutes: spec.timeout_minutes ?? null,
+      codex: spec.codex ?? null,
+      spawnedBy: requestingAgent.name,
+    };
+    mission.agentBlueprints[spec.name] = blueprint;
+    const agent = this.#cloneAgentForIteration(blueprint, mission, {
+      triggeredBy: requestingAgent.name,
+      reason: directive.reason ?? 'spawned',
+    });
+    agent.spawnedBy = requestingAgent.name;
+    this.#insertAfterRequester(mission, requestingAgent, [agent], insertIndex);
+    mission.logs.push({
+      type: 'agent:spawned',
+      at: new Date().toISOString(),
+      requestedBy: requestingAgent.name,
+      agent: agent.id,
+      reason: directive.reason ?? null,
+    });
+    return { ok: true, inserted: 1, directive };
+  }
+
   #stripControlDirectiveFromMessage(message) {
     if (!message || typeof message !== 'string') {
       return '';
@@ -778,6 +3498,9 @@ export class Orchestrator extends EventEmitter {
     if (nextAgent) {
       parts.push(`next=${nextAgent}`);
     }
+    if (directive.agent?.name) {
+      parts.push(`spawn=${directive.agent.name}`);
+    }
     const reason = directive.reason ?? directive.summary ?? null;
     if (reason) {
       parts.push(`reason=${this.#truncateText(reason, 120)}`);
@@ -909,7 +3632,20 @@ export class Orchestrator extends EventEmitter {
     }
 
     if (newAgents.length) {
-      mission.agents.splice(insertIndex + 1, 0, ...newAgents);
+      const exceeded = this.#checkIterationLimits(mission, requestingAgent, newAgents, overrideInstructions);
+      if (exceeded) {
+        this.#recordIterationLimit(mission, exceeded, directive);
+        return 0;
+      }
+      mission.iterationHistory = mission.iterationHistory ?? [];
+      mission.iterationHistory.push({
+        at: new Date().toISOString(),
+        requester: requestingAgent.baseName ?? requestingAgent.name,
+        target: targetBlueprint.name,
+        instructions: this.#truncateText(overrideInstructions ?? '', 480),
+        insertedAgents: newAgents.map((agent) => agent.id),
+      });
+      this.#insertAfterRequester(mission, requestingAgent, newAgents, insertIndex);
       mission.logs.push({
         type: 'iteration:queued',
         at: new Date().toISOString(),
@@ -931,47 +3667,136 @@ export class Orchestrator extends EventEmitter {
     return newAgents.length;
   }
 
-  #generateDirectiveFromError(errorMessage, agent) {
-    const lower = (errorMessage ?? '').toLowerCase();
-    if (lower.includes('bash') && lower.includes('no such file or directory')) {
-      return {
-        action: 'request_iteration',
-        target_agent: agent.name,
-        instructions: 'Use PowerShell instead of bash.',
-        next_agent: agent.name,
-        reason: 'Missing bash binary',
-      };
-    }
-    if (lower.includes('permission denied')) {
+  #insertAfterRequester(mission, requestingAgent, newAgents, insertIndex) {
+    // Chain the new agents after their requester and make everything that was
+    // waiting on the requester wait for the end of the chain as well.
+    newAgents.forEach((agent, index) => {
+      agent.dependsOn = [index === 0 ? requestingAgent.id : newAgents[index - 1].id];
+    });
+    const tailId = newAgents[newAgents.length - 1].id;
+    mission.agents.forEach((agent) => {
+      if (
+        SCHEDULABLE_AGENT_STATUSES.has(agent.status)
+        && agent.dependsOn?.includes(requestingAgent.id)
+      ) {
+        agent.dependsOn.push(tailId);
+      }
+    });
+    mission.agents.splice(insertIndex + 1, 0, ...newAgents);
+    this.#refreshGraph(mission);
+  }
+
+  #iterationLimits(mission) {
+    return {
+      mission: mission.iterationLimits?.mission ?? MAX_MISSION_ITERATIONS,
+      agent: mission.iterationLimits?.agent ?? MAX_AGENT_ITERATIONS,
+    };
+  }
+
+  #checkIterationLimits(mission, requestingAgent, newAgents, instructions) {
+    const limits = this.#iterationLimits(mission);
+    const requester = requestingAgent.baseName ?? requestingAgent.name;
+    const target = newAgents[0].baseName;
+    const queued = mission.agents.filter((agent) => (agent.iteration ?? 0) > 0).length;
+    if (queued + newAgents.length > limits.mission) {
       return {
-        action: 'request_iteration',
-        target_agent: agent.name,
-        instructions: 'Add execute permission to the script or use sudo.',
-        next_agent: agent.name,
-        reason: 'Permission denied',
+        kind: 'mission_cap',
+        requester,
+        target,
+        message: `Iteration limit exceeded: mission already queued ${queued} of ${limits.mission} allowed iterations`,
       };
     }
-    if (lower.includes('command not found')) {
+    const overCap = newAgents.find((agent) => agent.iteration > limits.agent);
+    if (overCap) {
       return {
-        action: 'request_iteration',
-        target_agent: agent.name,
-        instructions: 'Ensure the command is installed or provide full path.',
-        next_agent: agent.name,
-        reason: 'Command not found',
+        kind: 'agent_cap',
+        requester,
+        target: overCap.baseName,
+        message: `Iteration limit exceeded: ${overCap.baseName} would run iteration ${overCap.iteration} (limit ${limits.agent})`,
       };
     }
-    if (lower.includes('execvpe')) {
+    // A loop is the same requester asking the same target for (nearly) the same fix again.
+    const repeats = (mission.iterationHistory ?? []).filter(
+      (entry) =>
+        entry.requester === requester
+        && entry.target === target
+        && instructionSimilarity(entry.instructions, instructions) >= LOOP_SIMILARITY_THRESHOLD,
+    );
+    if (repeats.length >= LOOP_REPEAT_LIMIT) {
       return {
-        action: 'request_iteration',
-        target_agent: agent.name,
-        instructions: 'Check that the shell binary exists and is in PATH.',
-        next_agent: agent.name,
-        reason: 'Execvpe error',
+        kind: 'loop',
+        requester,
+        target,
+        message: `Iteration limit exceeded: ${requester} keeps requesting the same fix from ${target} (${repeats.length + 1} times)`,
+        cycle: [
+          ...repeats.map((entry) => ({ at: entry.at, instructions: entry.instructions })),
+          { at: new Date().toISOString(), instructions: this.#truncateText(instructions ?? '', 480) },
+        ],
       };
     }
     return null;
   }
 
+  #recordIterationLimit(mission, exceeded, directive) {
+    if (!mission.iterationLimitExceeded) {
+      mission.iterationLimitExceeded = { ...exceeded, at: new Date().toISOString() };
+    }
+    mission.logs.push({
+      type: 'iteration:limit-exceeded',
+      at: new Date().toISOString(),
+      ...exceeded,
+      limits: this.#iterationLimits(mission),
+      directive,
+    });
+    debugLog('Iteration request refused', { missionId: mission.id, ...exceeded });
+  }
+
+  async #loadTriageRules(mission) {
+    try {
+      const { rules, errors } = await this.triageRules.load(mission.workingDirectory);
+      this.missionTriageRules.set(mission.id, rules);
+      errors.forEach(({ file, error }) => {
+        mission.logs.push({ type: 'auto-triage:rules-error', at: new Date().toISOString(), file, error });
+      });
+    } catch (error) {
+      debugLog('Triage rules unavailable, using built-in rules', { missionId: mission.id, error: error.message });
+      this.missionTriageRules.set(mission.id, BUILTIN_TRIAGE_RULES);
+    }
+  }
+
+  #matchTriageRule(mission, agent, { reason = '', result = null, failureClass = null } = {}) {
+    const rules = this.missionTriageRules.get(mission.id) ?? BUILTIN_TRIAGE_RULES;
+    const match = matchTriageRule(rules, {
+      reason,
+      stderr: result?.stderr ?? null,
+      stdout: result?.stdout ?? null,
+      events: Array.isArray(result?.events) ? result.events : [],
+      exitCode: result ? result.exitCode : undefined,
+      role: agent.role,
+      agent: agent.baseName ?? agent.name,
+      failureClass,
+    });
+    if (!match) return null;
+    mission.triageRuleHits = mission.triageRuleHits ?? {};
+    mission.triageRuleHits[match.rule.id] = (mission.triageRuleHits[match.rule.id] ?? 0) + 1;
+    return match;
+  }
+
+  #logTriageRule(mission, agent, { rule, directive }, { reason = null, failureClass = null, inserted = 0 } = {}) {
+    mission.logs.push({
+      type: 'auto-triage:rule',
+      at: new Date().toISOString(),
+      agent: agent.name,
+      reason,
+      failureClass,
+      rule: rule.id,
+      source: rule.source,
+      hits: mission.triageRuleHits[rule.id],
+      directive,
+      inserted,
+    });
+  }
+
   #resultHasExecutionErrors(result, controlDirective = null) {
     if (!result) return false;
     if (Array.isArray(result.events)) {
@@ -1025,6 +3850,8 @@ export class Orchestrator extends EventEmitter {
       expertise: blueprint.expertise,
       objective: blueprint.objective,
       instructions: combinedInstructions,
+      timeoutMinutes: blueprint.timeoutMinutes ?? null,
+      codex: blueprint.codex ?? null,
       status: 'pending',
       result: null,
       sessionId: (resumeFromAgent && resumeFromAgent.sessionId && (resumeFromAgent.baseName === blueprint.name || resumeFromAgent.name === blueprint.name)) ? resumeFromAgent.sessionId : null,
@@ -1035,23 +3862,29 @@ export class Orchestrator extends EventEmitter {
   }
 
   async #tryAutoTriage(mission, agent, insertIndex, context) {
-    // 1) Try simple rule-based directive first
-    const ruleDirective = this.#generateDirectiveFromError(context.reason ?? '', agent);
-    if (ruleDirective) {
-      const inserted = this.#enqueueIterationAgents(mission, agent, ruleDirective, insertIndex);
-      if (inserted > 0) {
-        mission.logs.push({
-          type: 'auto-triage:rule',
-          at: new Date().toISOString(),
-          agent: agent.name,
-          reason: context.reason,
-          directive: ruleDirective,
-        });
-        return inserted;
-      }
+    if (
+      mission.cancelRequested
+      || mission.iterationLimitExceeded
+      || mission.aborted
+      || mission.budgetExhausted
+      || this.#deadlinePassed(mission)
+    ) {
+      return 0;
+    }
+    // 1) Try the rule registry first; a matching rule that queues an iteration settles the failure.
+    const ruleMatch = this.#matchTriageRule(mission, agent, context);
+    if (ruleMatch) {
+      const inserted = this.#enqueueIterationAgents(mission, agent, ruleMatch.directive, insertIndex);
+      this.#logTriageRule(mission, agent, ruleMatch, {
+        reason: context.reason,
+        failureClass: context.failureClass ?? null,
+        inserted,
+      });
+      // A refused iteration (limit reached) would be refused for the sub-agent too.
+      if (inserted > 0 || mission.iterationLimitExceeded) return inserted;
     }
 
-    // 2) Ask a temporary error-analyst sub-agent to emit CONTROL_JSON
+    // 2) Unmatched failures, and rules that queued nothing, go to a temporary error-analyst sub-agent for a CONTROL_JSON
     const directive = await this.#resolveErrorWithSubagent(mission, agent, context);
     if (directive) {
       const inserted = this.#enqueueIterationAgents(mission, agent, directive, insertIndex);
@@ -1060,6 +3893,7 @@ export class Orchestrator extends EventEmitter {
         at: new Date().toISOString(),
         agent: agent.name,
         reason: context.reason,
+        failureClass: context.failureClass ?? null,
         directive,
       });
       return inserted;
@@ -1068,7 +3902,7 @@ export class Orchestrator extends EventEmitter {
     return 0;
   }
 
-  async #resolveErrorWithSubagent(mission, failedAgent, { reason, result }) {
+  async #resolveErrorWithSubagent(mission, failedAgent, { reason, result, failureClass = null }) {
     // Build a focused prompt that asks for a CONTROL_JSON line only
     const stdout = (result?.stdout ?? '').toString();
     const stderr = (result?.stderr ?? '').toString();
@@ -1090,6 +3924,7 @@ export class Orchestrator extends EventEmitter {
 
     const evidence = [
       `Reason: ${reason ?? '[none]'}`,
+      `Failure class: ${failureClass ?? 'unknown'}`,
       `Exit code: ${exitCode === null ? 'null' : exitCode}`,
      `STDERR:\n${compact(stderr, 800)}`,
       `STDOUT:\n${compact(stdout, 800)}`,
@@ -1118,6 +3953,7 @@ Task:
 
 Rules:
 - Do not apologize or add commentary.
+- For failure class "timeout", the work did not fit in the time limit: split it and ask for only the first self-contained part instead of retrying unchanged.
 - The FINAL line of your response MUST be exactly:
 CONTROL_JSON: {"action":"request_iteration","target_agent":"...","instructions":"...","next_agent":"..."}
 
@@ -1128,13 +3964,19 @@ Return nothing else.`
     );
 
     try {
-      const triageResult = await this.runner.runOnce({
-        prompt: triagePrompt,
-        extraArgs: [],
-        // Run triage in an isolated thread so it does NOT alter the failed agent’s context.
-        threadId: undefined,
-        sessionId: undefined,
-      });
+      const triageResult = await this.#runOnceAndCleanup(
+        mission,
+        {
+          prompt: triagePrompt,
+          extraArgs: [],
+          settings: mission.codex,
+          // Run triage in an isolated thread so it does NOT alter the failed agent’s context.
+          threadId: undefined,
+          sessionId: undefined,
+          timeoutMs: this.#runTimeoutMs(mission),
+        },
+        { kind: 'triage', agent: failedAgent },
+      );
       // We "kill" the temp sub-agent by not inserting it into mission.agents.
       const text =
         triageResult.lastAgentMessage ??
@@ -0,0 +1,315 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { afterEach, describe, test } from 'node:test';
+import { agent, control, createHarness } from './fixtures/harness.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+async function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+const PLAN = { mission_summary: 'Build it', agents: [agent('designer'), agent('implementer')] };
+
+let harness;
+afterEach(() => {
+  harness?.cleanup();
+  harness = null;
+});
+
+describe('templates', () => {
+  test('a template saved with verification checks can be used again', async () => {
+    harness = createHarness({ plan: PLAN });
+    const { orchestrator } = harness;
+    const source = await harness.run({ verification: [{ command: 'true', after: 'implementer' }] });
+    assert.equal(source.status, 'completed');
+
+    await orchestrator.saveTemplate('round-trip', { missionId: source.id });
+    const template = await orchestrator.getTemplate('round-trip');
+    assert.equal(template.verification[0].agent, null);
+
+    const mission = await harness.run({ template });
+    assert.equal(mission.status, 'completed');
+    assert.deepEqual(mission.agents.map((entry) => entry.id), ['designer__iter0', 'implementer__iter0']);
+    assert.deepEqual(
+      mission.verificationRuns.map((run) => [run.check, run.status]),
+      [['true', 'passed']],
+    );
+  });
+});
+
+describe('verification', () => {
+  const FIXED_ON_RETRY = {
+    plan: PLAN,
+    replies: [
+      { when: ['You are implementer'], unless: ['Reference instructions'], files: { 'app.js': 'broken\n' } },
+      { when: ['You are implementer'], files: { 'app.js': 'fixed\n' } },
+    ],
+  };
+  const CHECK = { name: 'app', command: 'echo checking; grep -q fixed app.js', after: 'implementer' };
+
+  test('a failing check sends its output back to the agent and runs again after the fix', async () => {
+    harness = createHarness(FIXED_ON_RETRY);
+    const mission = await harness.run({ verification: [CHECK] });
+    assert.equal(mission.status, 'completed');
+    assert.deepEqual(
+      mission.verificationRuns.map((run) => [run.check, run.agentId, run.status]),
+      [
+        ['app', 'implementer__iter0', 'failed'],
+        ['app', 'implementer__iter1', 'passed'],
+      ],
+    );
+    assert.equal(mission.verificationRuns[0].exitCode, 1);
+    const retry = harness.calls().find((call) => call.prompt.includes('You are implementer') && call.prompt.includes('Reference instructions'));
+    assert.match(retry.prompt, /checking/);
+  });
+
+  test('reads checks from the workspace when the mission declares none', async () => {
+    harness = createHarness(FIXED_ON_RETRY);
+    fs.mkdirSync(path.join(harness.workspace, '.codex-orchestrator'));
+    fs.writeFileSync(path.join(harness.workspace, '.codex-orchestrator', 'verification.json'), JSON.stringify({ checks: [CHECK] }));
+    const mission = await harness.run();
+    assert.equal(mission.status, 'completed');
+    assert.deepEqual(mission.verificationRuns.map((run) => run.status), ['failed', 'passed']);
+  });
+
+  test('fails the mission when a mission-end check fails and no iteration can be queued', async () => {
+    harness = createHarness({ plan: PLAN });
+    const mission = await harness.run({ verification: [{ command: 'exit 3' }], maxIterations: 0 });
+    assert.equal(mission.status, 'failed');
+    assert.match(mission.error, /exit 3/);
+    assert.deepEqual(mission.verificationRuns.map((run) => [run.status, run.exitCode]), [['failed', 3]]);
+  });
+
+  test('logs a check file that fails to load and runs without it', async () => {
+    harness = createHarness({ plan: PLAN });
+    fs.writeFileSync(path.join(harness.root, 'verification.json'), JSON.stringify([{ after: 'implementer' }]));
+    const mission = await harness.run();
+    assert.equal(mission.status, 'completed');
+    const log = mission.logs.find((entry) => entry.type === 'verification:config-error');
+    assert.match(log.error, /verification\.json\.0\.command Required/);
+    assert.deepEqual(mission.verificationRuns ?? [], []);
+  });
+});
+
+describe('checkpoints', () => {
+  const BROKEN_THEN_FIXED = {
+    plan: PLAN,
+    replies: [
+      { when: ['You are error_analyst'], text: control({ action: 'request_iteration', target_agent: 'implementer', instructions: 'Try again' }) },
+      { when: ['You are implementer'], unless: ['Reference instructions'], files: { 'app.js': 'BROKEN\n', 'junk.tmp': 'x' }, exitCode: 1 },
+      { when: ['You are implementer'], files: { 'app.js': 'fixed\n' } },
+    ],
+  };
+
+  test('restore the workspace before a triaged retry and are dropped when the mission ends', async () => {
+    harness = createHarness(BROKEN_THEN_FIXED);
+    fs.writeFileSync(path.join(harness.workspace, 'app.js'), 'original\n');
+    const mission = await harness.run({ rollbackPolicy: 'on_retry' });
+    assert.equal(mission.status, 'completed');
+    assert.deepEqual(
+      mission.rollbacks.map((rollback) => rollback.files.map((file) => `${file.path}=${file.status}`).sort()),
+      [['app.js=reverted', 'junk.tmp=removed']],
+    );
+    assert.equal(fs.readFileSync(path.join(harness.workspace, 'app.js'), 'utf8'), 'fixed\n');
+    assert.equal(fs.existsSync(path.join(harness.root, 'checkpoints', mission.id)), false);
+    assert.ok(mission.agents.every((entry) => !entry.checkpoint));
+    await assert.rejects(
+      harness.orchestrator.rollbackMission(mission.id, { to: 'designer__iter0' }),
+      /dropped once a mission has ended/,
+    );
+  });
+
+  test('leave no refs behind in a git checkout', async () => {
+    harness = createHarness(BROKEN_THEN_FIXED);
+    const { workspace } = harness;
+    fs.writeFileSync(path.join(workspace, 'app.js'), 'original\n');
+    git(workspace, 'init', '-q');
+    git(workspace, 'add', '.');
+    git(workspace, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+    const mission = await harness.run({ rollbackPolicy: 'on_retry' });
+    assert.equal(mission.status, 'completed');
+    assert.equal(mission.rollbacks.length, 1);
+    assert.equal(git(workspace, 'for-each-ref', 'refs/codex-orchestrator'), '');
+  });
+
+  test('roll a halted mission back to an agent\'s starting point on request', async () => {
+    harness = createHarness({ plan: PLAN, replies: [{ when: ['You are implementer'], files: { 'app.js': 'implemented\n' } }] });
+    const { orchestrator, workspace } = harness;
+    fs.writeFileSync(path.join(workspace, 'app.js'), 'original\n');
+    const mission = await harness.run({ mode: 'supervised', approvalPattern: 'implement' });
+    assert.equal(mission.status, 'awaiting_approval');
+    assert.equal(fs.readFileSync(path.join(workspace, 'app.js'), 'utf8'), 'implemented\n');
+
+    const rollback = await orchestrator.rollbackMission(mission.id, { to: 'implementer__iter0' });
+    assert.equal(rollback.trigger, 'manual');
+    assert.deepEqual(rollback.revertedAgents, ['implementer__iter0']);
+    assert.deepEqual(rollback.files, [{ path: 'app.js', status: 'reverted' }]);
+    assert.equal(fs.readFileSync(path.join(workspace, 'app.js'), 'utf8'), 'original\n');
+  });
+
+  test('are kept while a mission waits for approval and dropped once it is cancelled', async () => {
+    harness = createHarness(BROKEN_THEN_FIXED);
+    const mission = await harness.run({ mode: 'supervised', approvalPattern: 'implement' });
+    const store = path.join(harness.root, 'checkpoints', mission.id);
+    assert.equal(mission.status, 'awaiting_approval');
+    assert.ok(mission.agents.find((entry) => entry.id === 'designer__iter0').checkpoint);
+    assert.ok(fs.existsSync(store));
+    harness.orchestrator.cancelMission(mission.id);
+    await until(() => mission.logs.some((log) => log.type === 'checkpoints:dropped'));
+    assert.equal(fs.existsSync(store), false);
+  });
+});
+
+describe('queue', () => {
+  test('keeps a halted mission\'s checkout locked, including directories inside it', async () => {
+    harness = createHarness({ plan: PLAN });
+    const { orchestrator, workspace } = harness;
+    const halted = await harness.run({ mode: 'supervised', approvalPattern: 'implement' });
+    assert.equal(halted.status, 'awaiting_approval');
+
+    fs.mkdirSync(path.join(workspace, 'pkg'));
+    const nested = orchestrator.createMission({ goal: 'Nested', workingDirectory: path.join(workspace, 'pkg') });
+    assert.equal(nested.status, 'queued');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(orchestrator.getMission(nested.id).status, 'queued');
+
+    orchestrator.cancelMission(halted.id);
+    const finished = await orchestrator.waitForMission(nested.id);
+    assert.equal(finished.status, 'completed');
+  });
+
+  test('runs missions in sibling directories side by side', async () => {
+    harness = createHarness({ plan: PLAN, replies: [{ when: ['You are designer'], delayMs: 300 }] });
+    const { orchestrator, workspace } = harness;
+    const missions = ['a', 'b'].map((name) => {
+      fs.mkdirSync(path.join(workspace, name));
+      return orchestrator.createMission({ goal: name, workingDirectory: path.join(workspace, name) });
+    });
+    assert.deepEqual(missions.map((mission) => mission.status), ['planning', 'planning']);
+    const finished = await Promise.all(missions.map((mission) => orchestrator.waitForMission(mission.id)));
+    assert.deepEqual(finished.map((mission) => mission.status), ['completed', 'completed']);
+  });
+});
+
+describe('scheduler', () => {
+  const DAG_PLAN = {
+    mission_summary: 'Fan out and back in',
+    agents: [
+      agent('designer'),
+      agent('backend', { depends_on: ['designer'] }),
+      agent('frontend', { depends_on: ['designer'] }),
+      agent('integrator', { depends_on: ['backend', 'frontend'] }),
+    ],
+  };
+  const SLOW_BRANCHES = [
+    { when: ['You are backend'], delayMs: 300 },
+    { when: ['You are frontend'], delayMs: 300 },
+  ];
+  const overlaps = (a, b) => Date.parse(a.startedAt) < Date.parse(b.completedAt) && Date.parse(b.startedAt) < Date.parse(a.completedAt);
+  const byName = (mission) => Object.fromEntries(mission.agents.map((entry) => [entry.name, entry]));
+
+  test('runs independent agents in parallel and joins on every dependency', async () => {
+    harness = createHarness({ plan: DAG_PLAN, replies: SLOW_BRANCHES });
+    const mission = await harness.run({ maxParallelAgents: 2 });
+    assert.equal(mission.status, 'completed');
+    const { designer, backend, frontend, integrator } = byName(mission);
+    assert.ok(overlaps(backend, frontend));
+    assert.ok(Date.parse(backend.startedAt) >= Date.parse(designer.completedAt));
+    assert.ok(Date.parse(integrator.startedAt) >= Math.max(Date.parse(backend.completedAt), Date.parse(frontend.completedAt)));
+  });
+
+  test('honours maxParallelAgents', async () => {
+    harness = createHarness({ plan: DAG_PLAN, replies: SLOW_BRANCHES });
+    const mission = await harness.run({ maxParallelAgents: 1 });
+    assert.equal(mission.status, 'completed');
+    const { backend, frontend } = byName(mission);
+    assert.equal(overlaps(backend, frontend), false);
+  });
+
+  test('runs agents in listed order when the plan declares no dependencies', async () => {
+    harness = createHarness({ plan: PLAN });
+    const mission = await harness.run({ maxParallelAgents: 4 });
+    const { designer, implementer } = byName(mission);
+    assert.deepEqual(implementer.dependsOn, ['designer__iter0']);
+    assert.ok(Date.parse(implementer.startedAt) >= Date.parse(designer.completedAt));
+  });
+
+  test('treats a dependency on an unknown agent as unresolved', async () => {
+    harness = createHarness({ plan: PLAN });
+    const { orchestrator } = harness;
+    const halted = await harness.run({ mode: 'supervised', approvalPattern: 'design' });
+    assert.equal(halted.status, 'awaiting_approval');
+    const implementer = orchestrator.getMission(halted.id).agents.find((entry) => entry.name === 'implementer');
+    implementer.dependsOn = ['designer__iter0', 'ghost__iter0'];
+
+    orchestrator.resumeMission(halted.id);
+    const mission = await orchestrator.waitForMission(halted.id);
+    assert.equal(mission.status, 'failed');
+    assert.match(mission.error, /implementer__iter0 \(unknown ghost__iter0\)/);
+    assert.ok(!implementer.startedAt);
+  });
+});
+
+describe('iteration limits', () => {
+  const REVIEW_PLAN = { mission_summary: 'Build and review', agents: [agent('implementer'), agent('reviewer')] };
+  const request = (instructions) =>
+    control({ action: 'request_iteration', target_agent: 'implementer', next_agent: 'reviewer', instructions });
+  const run = async (reviewerText, missionOptions = {}) => {
+    harness = createHarness({ plan: REVIEW_PLAN, replies: [{ when: ['You are reviewer'], text: reviewerText }] });
+    return harness.run(missionOptions);
+  };
+
+  test('stops a reviewer that keeps asking for the same fix', async () => {
+    const mission = await run(request('Fix the off-by-one error in the pagination helper'));
+    assert.equal(mission.status, 'iteration_limit_exceeded');
+    assert.equal(mission.iterationLimitExceeded.kind, 'loop');
+    assert.equal(mission.iterationLimitExceeded.requester, 'reviewer');
+    assert.equal(mission.iterationLimitExceeded.target, 'implementer');
+    assert.equal(mission.iterationLimitExceeded.cycle.length, 3);
+    assert.deepEqual(
+      mission.agents.filter((entry) => entry.name === 'implementer').map((entry) => entry.status),
+      ['completed', 'completed', 'completed'],
+    );
+  });
+
+  test('caps the iterations of a single agent', async () => {
+    const mission = await run(request('Fix it'), { maxAgentIterations: 1 });
+    assert.equal(mission.status, 'iteration_limit_exceeded');
+    assert.equal(mission.iterationLimitExceeded.kind, 'agent_cap');
+    assert.match(mission.iterationLimitExceeded.message, /implementer would run iteration 2 \(limit 1\)/);
+    assert.ok(mission.logs.some((log) => log.type === 'iteration:limit-exceeded' && log.limits.agent === 1));
+  });
+
+  test('caps the iterations of a mission', async () => {
+    const mission = await run(request('Fix it'), { maxIterations: 3 });
+    assert.equal(mission.status, 'iteration_limit_exceeded');
+    assert.equal(mission.iterationLimitExceeded.kind, 'mission_cap');
+    assert.equal(mission.agents.filter((entry) => entry.iteration > 0).length, 2);
+  });
+
+  test('lets distinct requests through until the reviewer is satisfied', async () => {
+    harness = createHarness({
+      plan: REVIEW_PLAN,
+      replies: [
+        { when: ['You are reviewer', 'Fix the styling'], text: 'Looks good.\nCONTROL_JSON: {"action":"continue"}' },
+        { when: ['You are reviewer'], text: request('Fix the styling of the table header') },
+      ],
+    });
+    const mission = await harness.run();
+    assert.equal(mission.status, 'completed');
+    assert.equal(mission.iterationLimitExceeded, undefined);
+    assert.deepEqual(mission.agents.map((entry) => entry.id), [
+      'implementer__iter0',
+      'reviewer__iter0',
+      'implementer__iter1',
+      'reviewer__iter1',
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+// Deterministic plan scoring for best-of-N planning. Every criterion is scored out of its
+// weight; the total is out of 100. The heuristics only look at the plan text, so they favour
+// plans that read like a real team, not plans that are guaranteed to work.
+
+const PHASES = {
+  design: /\b(design|architect\w*|plan(ning|ner)?|spec\w*|research\w*|analy[sz]\w*)\b/,
+  implementation: /\b(implement\w*|build\w*|develop\w*|cod(e|ing|er)|engineer\w*|refactor\w*|integrat\w*)\b/,
+  testing: /\b(test\w*|qa|quality|verif\w*|validat\w*|review\w*)\b/,
+  docs: /\b(doc|docs|document\w*|readme|changelog|guide|writer)\b/,
+};
+
+const WEIGHTS = { phases: 40, duplicates: 20, specificity: 30, verification: 10 };
+const DUPLICATE_SIMILARITY = 0.6;
+const SPECIFIC_INSTRUCTION_WORDS = 40;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'all', 'any', 'are', 'its', 'our',
+  'your', 'will', 'each', 'agent', 'mission', 'ensure', 'make', 'sure',
+]);
+
+function words(value) {
+  return (`${value ?? ''}`.toLowerCase().match(/[a-z0-9]+/g) ?? []).filter(
+    (word) => word.length > 2 && !STOP_WORDS.has(word),
+  );
+}
+
+function similarity(a, b) {
+  const left = new Set(words(a));
+  const right = new Set(words(b));
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  left.forEach((word) => {
+    if (right.has(word)) shared += 1;
+  });
+  return shared / (left.size + right.size - shared);
+}
+
+function agentPhases(agent) {
+  const text = [agent.name?.replace(/_/g, ' '), agent.role, agent.expertise, agent.objective].join(' ').toLowerCase();
+  return Object.keys(PHASES).filter((phase) => PHASES[phase].test(text));
+}
+
+function scorePhases(agents) {
+  const covered = new Set(agents.flatMap(agentPhases));
+  const missing = Object.keys(PHASES).filter((phase) => !covered.has(phase));
+  return {
+    score: (WEIGHTS.phases * covered.size) / Object.keys(PHASES).length,
+    detail: missing.length ? `missing ${missing.join(', ')}` : 'design, implementation, testing and docs covered',
+  };
+}
+
+function scoreDuplicates(agents) {
+  const pairs = [];
+  agents.forEach((left, index) => {
+    agents.slice(index + 1).forEach((right) => {
+      if (similarity(left.objective, right.objective) >= DUPLICATE_SIMILARITY) pairs.push(`${left.name}/${right.name}`);
+    });
+  });
+  return {
+    score: Math.max(0, WEIGHTS.duplicates - (WEIGHTS.duplicates / 2) * pairs.length),
+    detail: pairs.length ? `overlapping objectives: ${pairs.join(', ')}` : 'no overlapping objectives',
+  };
+}
+
+// Long instructions that name files or commands and spell out steps score highest.
+function instructionSpecificity(instructions) {
+  const text = `${instructions ?? ''}`;
+  const length = Math.min(1, words(text).length / SPECIFIC_INSTRUCTION_WORDS);
+  const concrete = /`[^`]+`|\b[\w./-]+\.[a-z]{1,5}\b|(^|\s)(npm|npx|node|git|pytest|make|yarn|pnpm|cargo|go)\s/i.test(text) ? 1 : 0;
+  const steps = /(^|\s)(\d+[.)]|step \d|first\b.*\bthen\b)/i.test(text) ? 1 : 0;
+  return (length + concrete + steps) / 3;
+}
+
+function scoreSpecificity(agents) {
+  const perAgent = agents.map((agent) => instructionSpecificity(agent.instructions));
+  const average = perAgent.reduce((sum, value) => sum + value, 0) / Math.max(1, perAgent.length);
+  const vague = agents.filter((_, index) => perAgent[index] < 0.5).map((agent) => agent.name);
+  return {
+    score: WEIGHTS.specificity * average,
+    detail: vague.length ? `vague instructions: ${vague.join(', ')}` : 'every agent has concrete instructions',
+  };
+}
+
+// Dependencies as the orchestrator will run them: listed order unless some agent declares depends_on.
+function dependencyMap(agents) {
+  const explicit = agents.some((agent) => agent.depends_on?.length);
+  return new Map(
+    agents.map((agent, index) => [
+      agent.name,
+      explicit ? agent.depends_on ?? [] : index ? [agents[index - 1].name] : [],
+    ]),
+  );
+}
+
+function upstream(name, dependencies) {
+  const seen = new Set();
+  const pending = [...(dependencies.get(name) ?? [])];
+  while (pending.length) {
+    const next = pending.pop();
+    if (seen.has(next)) continue;
+    seen.add(next);
+    pending.push(...(dependencies.get(next) ?? []));
+  }
+  return seen;
+}
+
+// Share of implementation agents that a testing agent runs after. Agents that read as both
+// (e.g. "integration tests") count as testers.
+function scoreVerification(agents) {
+  const implementers = agents.filter((agent) => {
+    const phases = agentPhases(agent);
+    return phases.includes('implementation') && !phases.includes('testing');
+  });
+  if (!implementers.length) return { score: 0, detail: 'no implementation agent to verify' };
+  const dependencies = dependencyMap(agents);
+  const verified = new Set(
+    agents
+      .filter((agent) => agentPhases(agent).includes('testing'))
+      .flatMap((agent) => [...upstream(agent.name, dependencies)]),
+  );
+  const unchecked = implementers.filter((agent) => !verified.has(agent.name)).map((agent) => agent.name);
+  return {
+    score: (WEIGHTS.verification * (implementers.length - unchecked.length)) / implementers.length,
+    detail: unchecked.length ? `no tester runs after: ${unchecked.join(', ')}` : 'every implementation agent is tested downstream',
+  };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Returns `{ score, breakdown: [{ criterion, score, max, detail }] }` for a validated plan.
+export function scorePlan(plan) {
+  const agents = plan.agents ?? [];
+  const breakdown = [
+    ['phases', scorePhases(agents)],
+    ['duplicates', scoreDuplicates(agents)],
+    ['specificity', scoreSpecificity(agents)],
+    ['verification', scoreVerification(agents)],
+  ].map(([criterion, result]) => ({ criterion, score: round(result.score), max: WEIGHTS[criterion], detail: result.detail }));
+  return { score: round(breakdown.reduce((sum, entry) => sum + entry.score, 0)), breakdown };
+}
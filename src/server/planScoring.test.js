@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { scorePlan } from './planScoring.js';
+
+const agent = (name, role, objective, dependsOn = []) => ({
+  name,
+  role,
+  expertise: role,
+  objective,
+  instructions: `Work on \`src/app.js\`: 1. read the code 2. ${objective}`,
+  depends_on: dependsOn,
+});
+
+const criterion = (result, name) => result.breakdown.find((entry) => entry.criterion === name);
+
+test('scores a plan whose tester runs after the implementer above one that tests in parallel', () => {
+  const tested = scorePlan({
+    agents: [
+      agent('designer', 'Architect', 'design the API surface'),
+      agent('implementer', 'Developer', 'build the endpoint', ['designer']),
+      agent('tester', 'QA engineer', 'write integration tests', ['implementer']),
+      agent('writer', 'Technical writer', 'update the README guide', ['designer']),
+    ],
+  });
+  const parallel = scorePlan({
+    agents: [
+      agent('designer', 'Architect', 'design the API surface'),
+      agent('implementer', 'Developer', 'build the endpoint', ['designer']),
+      agent('tester', 'QA engineer', 'write integration tests', ['designer']),
+      agent('writer', 'Technical writer', 'update the README guide', ['designer']),
+    ],
+  });
+  assert.equal(criterion(tested, 'verification').score, 10);
+  assert.equal(criterion(parallel, 'verification').score, 0);
+  assert.match(criterion(parallel, 'verification').detail, /implementer/);
+  assert.ok(tested.score > parallel.score);
+});
+
+test('follows listed order when no agent declares depends_on', () => {
+  const testedLast = scorePlan({
+    agents: [
+      agent('implementer', 'Developer', 'build the endpoint'),
+      agent('tester', 'QA engineer', 'write integration tests'),
+    ],
+  });
+  const testedFirst = scorePlan({
+    agents: [
+      agent('tester', 'QA engineer', 'write integration tests'),
+      agent('implementer', 'Developer', 'build the endpoint'),
+    ],
+  });
+  assert.equal(criterion(testedLast, 'verification').score, 10);
+  assert.equal(criterion(testedFirst, 'verification').score, 0);
+});
@@ -0,0 +1,62 @@
+import { EventEmitter } from 'node:events';
+import { CodexRunner } from './codexRunner.js';
+import { config, debugLog } from './config.js';
+
+const FORWARDED_EVENTS = ['event', 'stderr', 'timeout', 'spawn', 'exit'];
+
+// Hands out dedicated CodexRunner instances so concurrent missions never share
+// (and therefore never kill) each other's child processes. The pool caps how
+// many Codex processes may run at once across every mission.
+export class RunnerPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { maxConcurrency, ...runnerOptions } = options;
+    this.runnerOptions = runnerOptions;
+    this.maxConcurrency = Math.max(1, maxConcurrency ?? config.orchestrator.maxConcurrentRuns);
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  get pending() {
+    return this.waiters.length;
+  }
+
+  async acquire({ workingDirectory } = {}) {
+    if (this.active < this.maxConcurrency) {
+      this.active += 1;
+    } else {
+      debugLog('Runner pool saturated, waiting for a slot', {
+        active: this.active,
+        waiting: this.waiters.length + 1,
+      });
+      // The releasing lease hands its slot over directly, so `active` is unchanged.
+      await new Promise((resolve) => {
+        this.waiters.push(resolve);
+      });
+    }
+
+    const runner = new CodexRunner({
+      ...this.runnerOptions,
+      workingDirectory: workingDirectory ?? this.runnerOptions.workingDirectory,
+    });
+    const listeners = FORWARDED_EVENTS.map((eventName) => {
+      const listener = (payload) => this.emit(eventName, payload);
+      runner.on(eventName, listener);
+      return [eventName, listener];
+    });
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      listeners.forEach(([eventName, listener]) => runner.off(eventName, listener));
+      const next = this.waiters.shift();
+      if (next) {
+        next();
+      } else {
+        this.active -= 1;
+      }
+    };
+    return { runner, release };
+  }
+}
@@ -0,0 +1,106 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { config, debugLog } from './config.js';
+
+export const TEMPLATE_FORMAT_VERSION = 1;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+export function isValidTemplateName(name) {
+  return typeof name === 'string' && TEMPLATE_NAME_PATTERN.test(name);
+}
+
+// Templates are plain `<name>.json` files in planner format (`mission_summary`,
+// `agents[]`) plus metadata. `version` increases on every save so changes are
+// easy to spot when the directory is checked into a repository.
+export class TemplateStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory ?? config.orchestrator.templatesDir);
+  }
+
+  #templatePath(name) {
+    if (!isValidTemplateName(name)) {
+      throw new Error(`Invalid template name: ${name}`);
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const templates = [];
+    for (const entry of entries.sort()) {
+      if (!entry.endsWith('.json')) continue;
+      const name = entry.slice(0, -'.json'.length);
+      if (!isValidTemplateName(name)) continue;
+      try {
+        const template = await this.get(name);
+        templates.push({
+          name: template.name,
+          version: template.version,
+          description: template.description ?? null,
+          agentCount: Array.isArray(template.agents) ? template.agents.length : 0,
+          updatedAt: template.updatedAt ?? null,
+        });
+      } catch (error) {
+        debugLog('Template store: skipping unreadable template', { name, error: error.message });
+      }
+    }
+    return templates;
+  }
+
+  async get(name) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.#templatePath(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const template = JSON.parse(raw);
+    const formatVersion = template.formatVersion ?? 1;
+    if (formatVersion > TEMPLATE_FORMAT_VERSION) {
+      throw new Error(
+        `Template ${name} uses format version ${formatVersion}; this server supports up to ${TEMPLATE_FORMAT_VERSION}`,
+      );
+    }
+    return { ...template, name, version: template.version ?? 1 };
+  }
+
+  async save({ name, description = null, mission_summary: summary, agents, verification = null, sourceMissionId = null }) {
+    const target = this.#templatePath(name);
+    const existing = await this.get(name);
+    const now = new Date().toISOString();
+    const template = {
+      formatVersion: TEMPLATE_FORMAT_VERSION,
+      name,
+      version: (existing?.version ?? 0) + 1,
+      description: description ?? existing?.description ?? null,
+      mission_summary: summary,
+      agents,
+      ...(verification?.length ? { verification } : {}),
+      sourceMissionId,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, `${JSON.stringify(template, null, 2)}\n`, 'utf8');
+    await fs.rename(tempFile, target);
+    return template;
+  }
+
+  async delete(name) {
+    try {
+      await fs.unlink(this.#templatePath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,236 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { z } from 'zod';
+import { config, debugLog } from './config.js';
+
+const TEXT_STDERR_TAIL = 4000;
+// Agents write to the workspace, so only data is read from it; JS rule modules are
+// accepted from the server-side config path alone.
+const WORKSPACE_RULE_FILE = 'triage-rules.json';
+
+function isValidPattern(value) {
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const patternSchema = z.string().min(1).refine(isValidPattern, 'must be a valid regular expression');
+const oneOrMany = (schema) => z.union([schema, z.array(schema).min(1)]).transform((value) => [value].flat());
+
+const triageRuleSchema = z.object({
+  id: z.string().trim().min(1),
+  description: z.string().optional(),
+  priority: z.number().default(0),
+  enabled: z.boolean().default(true),
+  match: z
+    .object({
+      // `text` searches the failure reason and the tail of stderr, for rules that opt into
+      // the wider net; `stdout` carries the whole JSON event stream, so it is only searched
+      // through its own matcher.
+      text: patternSchema.optional(),
+      reason: patternSchema.optional(),
+      stderr: patternSchema.optional(),
+      stdout: patternSchema.optional(),
+      role: patternSchema.optional(),
+      agent: patternSchema.optional(),
+      exitCode: oneOrMany(z.number().int().nullable()).optional(),
+      failureClass: oneOrMany(z.string().min(1)).optional(),
+      // Node platform names (`win32`, `linux`, `darwin`) the server runs on.
+      platform: oneOrMany(z.string().min(1)).optional(),
+      // Dotted event paths mapped to patterns; every entry must match within one event.
+      event: z.record(patternSchema).optional(),
+    })
+    .strict()
+    .refine((match) => Object.keys(match).length > 0, 'must contain at least one matcher'),
+  directive: z
+    .object({
+      action: z.literal('request_iteration').default('request_iteration'),
+      target_agent: z.string().optional(),
+      instructions: z.string().min(1),
+      next_agent: z.string().optional(),
+      reason: z.string().optional(),
+    })
+    .passthrough(),
+});
+
+const triageRuleFileSchema = z
+  .union([z.array(triageRuleSchema), z.object({ rules: z.array(triageRuleSchema) })])
+  .transform((value) => (Array.isArray(value) ? value : value.rules));
+
+// Shipped defaults. A rule file can replace one by reusing its id (or disable it
+// with `"enabled": false`). They match the failure reason only, which already carries
+// the head of stderr, so a stray word deep in a long log does not trigger them.
+export const BUILTIN_TRIAGE_RULES = triageRuleFileSchema.parse([
+  {
+    id: 'timeout',
+    match: { failureClass: 'timeout' },
+    directive: {
+      instructions:
+        'The previous run hit its time limit before finishing. Split the work: complete and report only the next self-contained part, then request another iteration for the rest. Put explicit timeouts on long-running commands.',
+      reason: 'Agent timed out',
+    },
+  },
+  {
+    id: 'missing-bash',
+    match: {
+      reason: 'bash[\\s\\S]*no such file or directory|no such file or directory[\\s\\S]*bash',
+      platform: 'win32',
+    },
+    directive: { instructions: 'Use PowerShell instead of bash.', reason: 'Missing bash binary' },
+  },
+  {
+    id: 'permission-denied',
+    match: { reason: 'permission denied' },
+    directive: { instructions: 'Add execute permission to the script or use sudo.', reason: 'Permission denied' },
+  },
+  {
+    id: 'command-not-found',
+    match: { reason: 'command not found' },
+    directive: { instructions: 'Ensure the command is installed or provide full path.', reason: 'Command not found' },
+  },
+  {
+    id: 'execvpe',
+    match: { reason: 'execvpe' },
+    directive: { instructions: 'Check that the shell binary exists and is in PATH.', reason: 'Execvpe error' },
+  },
+]).map((rule) => ({ ...rule, source: 'builtin' }));
+
+function readPath(value, dotted) {
+  return dotted.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function testPattern(pattern, value) {
+  return value !== undefined && value !== null && new RegExp(pattern, 'i').test(String(value));
+}
+
+function ruleMatches(rule, context) {
+  const { match } = rule;
+  const text = [context.reason, context.stderr && String(context.stderr).slice(-TEXT_STDERR_TAIL)]
+    .filter(Boolean)
+    .join('\n');
+  const checks = [
+    ['text', () => testPattern(match.text, text)],
+    ['reason', () => testPattern(match.reason, context.reason)],
+    ['stderr', () => testPattern(match.stderr, context.stderr)],
+    ['stdout', () => testPattern(match.stdout, context.stdout)],
+    ['role', () => testPattern(match.role, context.role)],
+    ['agent', () => testPattern(match.agent, context.agent)],
+    ['exitCode', () => match.exitCode.includes(context.exitCode ?? null)],
+    ['failureClass', () => match.failureClass.includes(context.failureClass)],
+    ['platform', () => match.platform.includes(context.platform ?? process.platform)],
+    [
+      'event',
+      () =>
+        (context.events ?? []).some((event) =>
+          Object.entries(match.event).every(([field, pattern]) => testPattern(pattern, readPath(event, field))),
+        ),
+    ],
+  ];
+  return checks.every(([key, check]) => match[key] === undefined || check());
+}
+
+function renderTemplate(value, variables) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, name) => (name in variables ? String(variables[name] ?? '') : token));
+}
+
+// Returns the first rule (in priority order) that matches the failure, with its
+// directive rendered for the failing agent.
+export function matchTriageRule(rules, context) {
+  const rule = rules.find((candidate) => ruleMatches(candidate, context));
+  if (!rule) return null;
+  const variables = {
+    agent: context.agent,
+    role: context.role,
+    exitCode: context.exitCode,
+    failureClass: context.failureClass,
+  };
+  const directive = Object.fromEntries(
+    Object.entries(rule.directive).map(([key, value]) => [key, renderTemplate(value, variables)]),
+  );
+  directive.target_agent = directive.target_agent || context.agent;
+  directive.next_agent = directive.next_agent || context.agent;
+  return { rule, directive };
+}
+
+// Loads triage rules from the mission's workspace (`.codex-orchestrator/triage-rules.json`)
+// and the config file (JSON, or a JS module), on top of the built-in rules. JSON files are
+// re-read when they change.
+export class TriageRuleRegistry {
+  constructor(options = {}) {
+    this.configFile = options.configFile ?? config.orchestrator.triageRulesFile;
+    this.cache = new Map();
+  }
+
+  async #readFile(file) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const isJson = file.endsWith('.json');
+    const cached = this.cache.get(file);
+    // Modules stay cached by the loader anyway, so a JS rule file is imported once and
+    // edits to it need a restart.
+    if (cached && (cached.mtimeMs === stat.mtimeMs || !isJson)) {
+      return cached;
+    }
+    let entry;
+    try {
+      let raw;
+      if (isJson) {
+        raw = JSON.parse(await fs.readFile(file, 'utf8'));
+      } else {
+        const module = await import(pathToFileURL(file).href);
+        raw = module.default ?? module.rules;
+      }
+      const validation = triageRuleFileSchema.safeParse(raw);
+      if (!validation.success) {
+        const details = validation.error.issues
+          .map((issue) => `${issue.path.join('.') || '(file)'} ${issue.message}`)
+          .join('; ');
+        throw new Error(`invalid triage rules: ${details}`);
+      }
+      entry = { mtimeMs: stat.mtimeMs, rules: validation.data.map((rule) => ({ ...rule, source: file })), error: null };
+    } catch (error) {
+      debugLog('Triage rules: failed to load file', { file, error: error.message });
+      entry = { mtimeMs: stat.mtimeMs, rules: [], error: error.message };
+    }
+    this.cache.set(file, entry);
+    return entry;
+  }
+
+  async load(workingDirectory) {
+    const files = [];
+    if (workingDirectory) {
+      files.push(path.join(workingDirectory, '.codex-orchestrator', WORKSPACE_RULE_FILE));
+    }
+    if (this.configFile && !files.includes(path.resolve(this.configFile))) {
+      files.push(path.resolve(this.configFile));
+    }
+    const errors = [];
+    const byId = new Map();
+    // Workspace rules win over config rules, which win over the built-ins.
+    for (const file of files) {
+      const entry = await this.#readFile(file);
+      if (!entry) continue;
+      if (entry.error) errors.push({ file, error: entry.error });
+      entry.rules.forEach((rule) => {
+        if (!byId.has(rule.id)) byId.set(rule.id, rule);
+      });
+    }
+    BUILTIN_TRIAGE_RULES.forEach((rule) => {
+      if (!byId.has(rule.id)) byId.set(rule.id, rule);
+    });
+    const rules = Array.from(byId.values())
+      .filter((rule) => rule.enabled)
+      .sort((a, b) => b.priority - a.priority);
+    return { rules, errors };
+  }
+}
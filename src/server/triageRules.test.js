@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { BUILTIN_TRIAGE_RULES, TriageRuleRegistry, matchTriageRule } from './triageRules.js';
+
+const rule = (id, match, extra = {}) => ({ id, match, directive: { instructions: `${id} fix`, reason: id }, ...extra });
+
+let root;
+let workspace;
+let configFile;
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-orchestrator-triage-'));
+  workspace = path.join(root, 'workspace');
+  fs.mkdirSync(path.join(workspace, '.codex-orchestrator'), { recursive: true });
+  configFile = path.join(root, 'triage-rules.json');
+});
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const writeRules = (file, rules) => fs.writeFileSync(file, JSON.stringify({ rules }));
+const workspaceRules = (rules) => writeRules(path.join(workspace, '.codex-orchestrator', 'triage-rules.json'), rules);
+
+test('workspace rules replace config rules, which replace built-ins, by id', async () => {
+  workspaceRules([rule('port', { stderr: 'EADDRINUSE' }, { directive: { instructions: 'workspace' } })]);
+  writeRules(configFile, [
+    rule('port', { stderr: 'EADDRINUSE' }, { directive: { instructions: 'config' } }),
+    rule('permission-denied', { reason: 'permission denied' }, { directive: { instructions: 'config chmod' } }),
+    rule('execvpe', { reason: 'execvpe' }, { enabled: false }),
+  ]);
+  const { rules, errors } = await new TriageRuleRegistry({ configFile }).load(workspace);
+  assert.deepEqual(errors, []);
+  const byId = Object.fromEntries(rules.map((entry) => [entry.id, entry]));
+  assert.equal(byId.port.directive.instructions, 'workspace');
+  assert.equal(byId['permission-denied'].directive.instructions, 'config chmod');
+  assert.equal(byId['permission-denied'].source, configFile);
+  assert.equal(byId.timeout.source, 'builtin');
+  assert.equal(byId.execvpe, undefined);
+});
+
+test('the highest priority matching rule wins whatever its source', async () => {
+  workspaceRules([rule('low', { reason: 'boom' })]);
+  writeRules(configFile, [rule('high', { reason: 'boom' }, { priority: 5 })]);
+  const { rules } = await new TriageRuleRegistry({ configFile }).load(workspace);
+  assert.equal(matchTriageRule(rules, { reason: 'boom', agent: 'implementer' }).rule.id, 'high');
+});
+
+test('renders the directive for the failing agent', () => {
+  const rules = [rule('port', { stderr: 'EADDRINUSE', exitCode: [1] }, { directive: { instructions: '{{agent}} exited {{exitCode}}' } })];
+  const { directive } = matchTriageRule(rules, { stderr: 'Error: EADDRINUSE', exitCode: 1, agent: 'implementer' });
+  assert.equal(directive.instructions, 'implementer exited 1');
+  assert.equal(directive.target_agent, 'implementer');
+  assert.equal(directive.next_agent, 'implementer');
+  assert.equal(matchTriageRule(rules, { stderr: 'Error: EADDRINUSE', exitCode: 2, agent: 'implementer' }), null);
+});
+
+test('built-in rules look at the reason, not the rest of stderr or stdout', () => {
+  const noise = `${'compiling...\n'.repeat(50)}warning: permission denied reading cache, continuing`;
+  const context = { reason: 'Codex exited with code 1 • exit=1 • stderr=compiling...', stderr: noise, stdout: 'command not found', exitCode: 1 };
+  assert.equal(matchTriageRule(BUILTIN_TRIAGE_RULES, context), null);
+  assert.equal(
+    matchTriageRule(BUILTIN_TRIAGE_RULES, { ...context, reason: 'exit=126 • stderr=sh: ./run.sh: Permission denied' }).rule.id,
+    'permission-denied',
+  );
+});
+
+test('a rule can opt into the stderr tail through text', () => {
+  const rules = [rule('cache', { text: 'permission denied reading cache' })];
+  const stderr = `${'x'.repeat(5000)}\npermission denied reading cache`;
+  assert.equal(matchTriageRule(rules, { reason: 'exit=1', stderr }).rule.id, 'cache');
+  assert.equal(matchTriageRule(rules, { reason: 'exit=1', stdout: stderr }), null);
+});
+
+test('the missing-bash rule only applies on Windows', () => {
+  const context = { reason: 'Codex runner error: spawn bash ENOENT: no such file or directory' };
+  assert.equal(matchTriageRule(BUILTIN_TRIAGE_RULES, { ...context, platform: 'linux' }), null);
+  assert.equal(matchTriageRule(BUILTIN_TRIAGE_RULES, { ...context, platform: 'win32' }).rule.id, 'missing-bash');
+});
+
+test('reports a rule file that fails validation and keeps the others', async () => {
+  workspaceRules([{ id: 'broken', match: {}, directive: { instructions: 'x' } }]);
+  const { rules, errors } = await new TriageRuleRegistry({ configFile }).load(workspace);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].error, /must contain at least one matcher/);
+  assert.ok(rules.some((entry) => entry.id === 'timeout'));
+});
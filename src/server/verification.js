@@ -0,0 +1,156 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { z } from 'zod';
+import { config, debugLog } from './config.js';
+
+const DEFAULT_TIMEOUT_SECONDS = Number(process.env.CODEX_ORCHESTRATOR_VERIFY_TIMEOUT_SECONDS ?? 300);
+const OUTPUT_TAIL_CHARS = Number(process.env.CODEX_ORCHESTRATOR_VERIFY_OUTPUT_TAIL ?? 4000);
+const KILL_GRACE_MS = 5000;
+const WORKSPACE_VERIFICATION_FILE = 'verification.json';
+
+// `after` value for checks that run once every agent has finished.
+export const MISSION_END = 'mission_end';
+
+const oneOrMany = (schema) => z.union([schema, z.array(schema).min(1)]).transform((value) => [value].flat());
+
+const verificationCheckSchema = z
+  .object({
+    name: z.string().trim().min(1).optional(),
+    command: z.string().trim().min(1),
+    // Agent names (base names, without `__iterN`) or `mission_end`.
+    after: oneOrMany(z.string().trim().min(1)).default([MISSION_END]),
+    // The agent that has to fix a failure; defaults to the agent the check ran after. Null is
+    // accepted because normalised checks (as stored in templates) carry it.
+    agent: z.string().trim().min(1).nullish(),
+    timeoutSeconds: z.number().positive().optional(),
+  })
+  .strict()
+  .transform((check) => ({
+    name: check.name ?? check.command,
+    command: check.command,
+    after: check.after,
+    agent: check.agent ?? null,
+    timeoutSeconds: check.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS,
+  }));
+
+// Validates check declarations (an array, or `{ checks: [...] }`) and fills in defaults.
+export function parseVerificationChecks(value, subject = 'verification') {
+  const validation = z
+    .array(verificationCheckSchema, { required_error: 'must be an array of checks', invalid_type_error: 'must be an array of checks' })
+    .safeParse(Array.isArray(value) ? value : value?.checks);
+  if (!validation.success) {
+    const details = validation.error.issues
+      .map((issue) => `${[subject, ...issue.path].join('.')} ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid verification checks: ${details}`);
+  }
+  return validation.data;
+}
+
+// Checks declared in files: the workspace's `.codex-orchestrator/verification.json`
+// wins over the machine-wide config file. Only the first file found is used.
+export async function loadVerificationChecks(workingDirectory, { configFile = config.orchestrator.verificationFile } = {}) {
+  const candidates = [
+    workingDirectory ? path.join(workingDirectory, '.codex-orchestrator', WORKSPACE_VERIFICATION_FILE) : null,
+    configFile ? path.resolve(configFile) : null,
+  ].filter(Boolean);
+  for (const file of candidates) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      return { checks: [], source: file, error: error.message };
+    }
+    try {
+      return { checks: parseVerificationChecks(JSON.parse(raw), path.basename(file)), source: file, error: null };
+    } catch (error) {
+      debugLog('Verification checks: failed to load file', { file, error: error.message });
+      return { checks: [], source: file, error: error.message };
+    }
+  }
+  return { checks: [], source: null, error: null };
+}
+
+function stopProcessTree(child, signal) {
+  try {
+    // Checks run in their own process group so test runners' children go down with them.
+    if (process.platform !== 'win32') process.kill(-child.pid, signal);
+    else child.kill(signal);
+  } catch {
+    // Already gone.
+  }
+}
+
+// Runs one check through the shell in `cwd`. Resolves (never rejects) with the outcome:
+// `passed`, `failed`, `timed_out`, `cancelled` or `error`, plus the tail of the combined output.
+export function runVerificationCheck(check, { cwd, timeoutMs = check.timeoutSeconds * 1000, signal = null } = {}) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let output = '';
+    let outputTruncated = false;
+    let stoppedBy = null;
+    let settled = false;
+    let timer = null;
+    let killTimer = null;
+    const onAbort = () => stop('cancelled');
+
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (output.length > OUTPUT_TAIL_CHARS) {
+        output = output.slice(-OUTPUT_TAIL_CHARS);
+        outputTruncated = true;
+      }
+      resolve({ ...outcome, durationMs: Date.now() - startedAt, output, outputTruncated });
+    };
+
+    let child;
+    try {
+      child = spawn(check.command, {
+        cwd,
+        shell: true,
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true,
+      });
+    } catch (error) {
+      finish({ status: 'error', exitCode: null, signal: null, error: error.message });
+      return;
+    }
+
+    const stop = (reason) => {
+      if (stoppedBy || settled) return;
+      stoppedBy = reason;
+      stopProcessTree(child, 'SIGTERM');
+      killTimer = setTimeout(() => stopProcessTree(child, 'SIGKILL'), KILL_GRACE_MS);
+    };
+    timer = setTimeout(() => stop('timeout'), Math.max(1, timeoutMs));
+    if (signal?.aborted) stop('cancelled');
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    const append = (chunk) => {
+      output += chunk.toString('utf8');
+      // Trim as we go so a chatty test run cannot grow the buffer without bound.
+      if (output.length > OUTPUT_TAIL_CHARS * 2) {
+        output = output.slice(-OUTPUT_TAIL_CHARS);
+        outputTruncated = true;
+      }
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+    child.on('error', (error) => {
+      finish({ status: 'error', exitCode: null, signal: null, error: error.message });
+    });
+    child.on('close', (exitCode, exitSignal) => {
+      let status = exitCode === 0 ? 'passed' : 'failed';
+      if (stoppedBy === 'timeout') status = 'timed_out';
+      if (stoppedBy === 'cancelled') status = 'cancelled';
+      finish({ status, exitCode, signal: exitSignal ?? null, error: null });
+    });
+  });
+}
@@ -0,0 +1,298 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { debugLog } from './config.js';
+import { runGit as git } from './git.js';
+
+const MAX_DIFF_BYTES = Number(process.env.CODEX_ORCHESTRATOR_MAX_DIFF_BYTES ?? 200_000);
+const MAX_SNAPSHOT_FILES = Number(process.env.CODEX_ORCHESTRATOR_MAX_SNAPSHOT_FILES ?? 5000);
+// Larger files (and files with NUL bytes) are reported as binary instead of diffed.
+const MAX_TEXT_FILE_BYTES = 256 * 1024;
+const MAX_DIFF_CELLS = 4_000_000;
+const DIFF_CONTEXT_LINES = 3;
+const IGNORED_DIRECTORIES = new Set(['.git', '.hg', '.svn', 'node_modules']);
+
+// ----- git-aware snapshots -----
+
+async function gitSnapshot(workingDirectory) {
+  let inside;
+  try {
+    inside = (await git(workingDirectory, ['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+  } catch {
+    return null;
+  }
+  if (!inside) return null;
+  // Stage the working tree into a throwaway index so the user's own index is never touched.
+  // Seeding it from the real index lets git skip rehashing unchanged files.
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codex-snapshot-'));
+  const indexFile = path.join(tempDir, 'index');
+  try {
+    const realIndex = path.resolve(workingDirectory, (await git(workingDirectory, ['rev-parse', '--git-path', 'index'])).trim());
+    await fs.copyFile(realIndex, indexFile).catch(() => {});
+    const env = { GIT_INDEX_FILE: indexFile };
+    await git(workingDirectory, ['add', '--all', '--', '.'], { env });
+    const tree = (await git(workingDirectory, ['write-tree'], { env })).trim();
+    return { mode: 'git', workingDirectory, tree };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+const GIT_STATUS = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+async function gitChanges(before, after) {
+  const { workingDirectory } = before;
+  const range = [before.tree, after.tree];
+  const nameStatus = await git(workingDirectory, ['diff', '--relative', '--name-status', '-z', ...range]);
+  const fields = nameStatus.split('\0').filter(Boolean);
+  const files = [];
+  for (let index = 0; index < fields.length;) {
+    const code = fields[index++];
+    const status = GIT_STATUS[code[0]] ?? 'modified';
+    if (code[0] === 'R' || code[0] === 'C') {
+      const previousPath = fields[index++];
+      files.push({ path: fields[index++], status, previousPath });
+    } else {
+      files.push({ path: fields[index++], status });
+    }
+  }
+  const diff = files.length
+    ? await git(workingDirectory, ['diff', '--relative', '--no-color', '--no-ext-diff', ...range])
+    : '';
+  return { files, diff };
+}
+
+// ----- hash-based fallback -----
+
+async function storeBlob(blobDir, hash, content) {
+  try {
+    await fs.writeFile(path.join(blobDir, hash), content, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+}
+
+async function walk(root, relative, files, state) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+  } catch {
+    return;
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    if (files.size >= MAX_SNAPSHOT_FILES) {
+      state.truncated = true;
+      return;
+    }
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        await walk(root, entryPath, files, state);
+      }
+    } else if (entry.isFile()) {
+      let stat;
+      let content;
+      try {
+        stat = await fs.stat(path.join(root, entryPath));
+        // Same size and mtime as in the previous snapshot: reuse its digest (and stored blob).
+        const known = state.previous?.get(entryPath);
+        if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+          files.set(entryPath, known);
+          continue;
+        }
+        content = await fs.readFile(path.join(root, entryPath));
+      } catch {
+        continue;
+      }
+      const hash = crypto.createHash('sha1').update(content).digest('hex');
+      if (state.blobDir) await storeBlob(state.blobDir, hash, content);
+      const binary = content.length > MAX_TEXT_FILE_BYTES || content.subarray(0, 8000).includes(0);
+      files.set(entryPath, { hash, binary, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+}
+
+async function hashSnapshot(workingDirectory, blobDir, previous) {
+  const files = new Map();
+  const state = { truncated: false, blobDir, previous: previous?.mode === 'hash' ? previous.files : null };
+  if (blobDir) await fs.mkdir(blobDir, { recursive: true });
+  await walk(workingDirectory, '', files, state);
+  return { mode: 'hash', workingDirectory, files, blobDir, truncated: state.truncated };
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line-level edit script (' ', '-', '+') via LCS over the region between the
+// common prefix and suffix. Oversized regions degrade to delete-all/add-all.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const head = a.slice(0, start).map((line) => [' ', line]);
+  const tail = a.slice(endA).map((line) => [' ', line]);
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [...head, ...midA.map((line) => ['-', line]), ...midB.map((line) => ['+', line]), ...tail];
+  }
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i][j] = midA[i] === midB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      middle.push([' ', midA[i]]);
+      i += 1;
+      j += 1;
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      middle.push(['-', midA[i]]);
+      i += 1;
+    } else {
+      middle.push(['+', midB[j]]);
+      j += 1;
+    }
+  }
+  return [...head, ...middle, ...tail];
+}
+
+function formatHunks(ops) {
+  // Line numbers in the old and new file at the start of every op.
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(([op]) => {
+    positions.push([oldLine, newLine]);
+    if (op !== '+') oldLine += 1;
+    if (op !== '-') newLine += 1;
+  });
+  positions.push([oldLine, newLine]);
+  // Changes closer than two context windows share a hunk.
+  const groups = [];
+  ops.forEach(([op], index) => {
+    if (op === ' ') return;
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT_LINES * 2 + 1) last.end = index;
+    else groups.push({ start: index, end: index });
+  });
+  return groups
+    .map(({ start, end }) => {
+      const from = Math.max(0, start - DIFF_CONTEXT_LINES);
+      const to = Math.min(ops.length, end + DIFF_CONTEXT_LINES + 1);
+      const slice = ops.slice(from, to);
+      const oldCount = slice.filter(([op]) => op !== '+').length;
+      const newCount = slice.filter(([op]) => op !== '-').length;
+      const [oldStart, newStart] = positions[from];
+      const range = (lineStart, count) => `${count ? lineStart : lineStart - 1},${count}`;
+      return [
+        `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`,
+        ...slice.map(([op, line]) => `${op}${line}`),
+      ].join('\n');
+    })
+    .join('\n');
+}
+
+// Snapshots hold no file contents; the text is read back from the snapshot's blob store.
+// Returns undefined for a binary file or one whose blob was not stored.
+async function readText(snapshot, entry) {
+  if (!entry) return null;
+  if (entry.binary || !snapshot.blobDir) return undefined;
+  try {
+    return await fs.readFile(path.join(snapshot.blobDir, entry.hash), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+function fileDiff(filePath, before, after, beforeText, afterText) {
+  const header = [`diff --git a/${filePath} b/${filePath}`];
+  if (!before) header.push('new file mode 100644');
+  if (!after) header.push('deleted file mode 100644');
+  if (beforeText === undefined || afterText === undefined) {
+    const kind = before?.binary || after?.binary ? 'Binary files' : 'Files';
+    return [...header, `${kind} ${before ? `a/${filePath}` : '/dev/null'} and ${after ? `b/${filePath}` : '/dev/null'} differ`].join('\n');
+  }
+  const hunks = formatHunks(diffLines(splitLines(beforeText), splitLines(afterText)));
+  return [
+    ...header,
+    `--- ${before ? `a/${filePath}` : '/dev/null'}`,
+    `+++ ${after ? `b/${filePath}` : '/dev/null'}`,
+    hunks,
+  ].join('\n');
+}
+
+async function hashChanges(before, after) {
+  const paths = new Set([...before.files.keys(), ...after.files.keys()]);
+  const files = [];
+  const diffs = [];
+  let diffBytes = 0;
+  for (const filePath of Array.from(paths).sort()) {
+    const previous = before.files.get(filePath);
+    const current = after.files.get(filePath);
+    if (previous && current && previous.hash === current.hash) continue;
+    files.push({ path: filePath, status: !previous ? 'added' : !current ? 'deleted' : 'modified' });
+    // Past the cap the diff is cut anyway, so the remaining blobs are not read.
+    if (diffBytes > MAX_DIFF_BYTES) continue;
+    const diff = fileDiff(filePath, previous, current, await readText(before, previous), await readText(after, current));
+    diffBytes += diff.length + 1;
+    diffs.push(diff);
+  }
+  return { files, diff: diffs.length ? `${diffs.join('\n')}\n` : '' };
+}
+
+// ----- public API -----
+
+// Captures the state of a workspace: a git tree object when the directory is inside a
+// work tree (untracked files included, ignored files excluded), otherwise a content hash
+// per file. With `blobDir`, hash snapshots also store every file there by hash so the
+// snapshot can be restored and diffed; without it a hash diff lists the changed files but
+// cannot show their lines. A `previous` hash snapshot (taken with the same `blobDir`) lets
+// files whose size and mtime did not change skip reading and storing. Returns null when
+// the workspace cannot be read.
+export async function snapshotWorkspace(workingDirectory, { blobDir = null, previous = null } = {}) {
+  try {
+    return (await gitSnapshot(workingDirectory)) ?? (await hashSnapshot(workingDirectory, blobDir, previous));
+  } catch (error) {
+    debugLog('Workspace snapshot failed', { workingDirectory, error: error.message });
+    return null;
+  }
+}
+
+// Compares two snapshots of the same workspace and returns the touched files and a
+// unified diff (capped at MAX_DIFF_BYTES).
+export async function diffSnapshots(before, after) {
+  if (!before || !after || before.mode !== after.mode) return null;
+  try {
+    const { files, diff } = before.mode === 'git' ? await gitChanges(before, after) : await hashChanges(before, after);
+    const truncated = diff.length > MAX_DIFF_BYTES;
+    return {
+      mode: before.mode,
+      files,
+      diff: truncated ? diff.slice(0, MAX_DIFF_BYTES) : diff,
+      truncated: truncated || Boolean(before.truncated || after.truncated),
+      capturedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    debugLog('Workspace diff failed', { workingDirectory: before.workingDirectory, error: error.message });
+    return null;
+  }
+}
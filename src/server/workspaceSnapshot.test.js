@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { diffSnapshots, snapshotWorkspace } from './workspaceSnapshot.js';
+
+let root;
+let workspace;
+let blobDir;
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-orchestrator-snapshot-'));
+  workspace = path.join(root, 'workspace');
+  blobDir = path.join(root, 'objects');
+  fs.mkdirSync(workspace);
+});
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+  fs.writeFileSync(path.join(workspace, file), content);
+};
+
+test('hash snapshots keep digests only and diff from the stored blobs', async () => {
+  write('app.js', 'one\ntwo\nthree\n');
+  write('old.txt', 'gone\n');
+  write('node_modules/dep/index.js', 'ignored\n');
+  const before = await snapshotWorkspace(workspace, { blobDir });
+  assert.equal(before.mode, 'hash');
+  assert.deepEqual(Array.from(before.files.keys()), ['app.js', 'old.txt']);
+  assert.ok(Array.from(before.files.values()).every((entry) => !('text' in entry)));
+
+  write('app.js', 'one\n2\nthree\n');
+  fs.rmSync(path.join(workspace, 'old.txt'));
+  write('src/new.js', 'hello\n');
+  const after = await snapshotWorkspace(workspace, { blobDir, previous: before });
+  // The diff must not depend on the workspace any more.
+  fs.rmSync(workspace, { recursive: true });
+
+  const changes = await diffSnapshots(before, after);
+  assert.deepEqual(changes.files, [
+    { path: 'app.js', status: 'modified' },
+    { path: 'old.txt', status: 'deleted' },
+    { path: 'src/new.js', status: 'added' },
+  ]);
+  assert.equal(
+    changes.diff,
+    [
+      'diff --git a/app.js b/app.js',
+      '--- a/app.js',
+      '+++ b/app.js',
+      '@@ -1,3 +1,3 @@',
+      ' one',
+      '-two',
+      '+2',
+      ' three',
+      'diff --git a/old.txt b/old.txt',
+      'deleted file mode 100644',
+      '--- a/old.txt',
+      '+++ /dev/null',
+      '@@ -1,1 +0,0 @@',
+      '-gone',
+      'diff --git a/src/new.js b/src/new.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/src/new.js',
+      '@@ -0,0 +1,1 @@',
+      '+hello',
+      '',
+    ].join('\n'),
+  );
+  assert.equal(changes.truncated, false);
+});
+
+test('reports binary files and files without stored contents without their lines', async () => {
+  write('image.bin', Buffer.from([1, 0, 2]));
+  write('notes.txt', 'a\n');
+  const before = await snapshotWorkspace(workspace);
+  write('image.bin', Buffer.from([1, 0, 3]));
+  write('notes.txt', 'b\n');
+  const after = await snapshotWorkspace(workspace);
+
+  const { diff } = await diffSnapshots(before, after);
+  assert.match(diff, /^Binary files a\/image\.bin and b\/image\.bin differ$/m);
+  assert.match(diff, /^Files a\/notes\.txt and b\/notes\.txt differ$/m);
+});
+
+test('reuses the digest of files whose size and mtime are unchanged', async () => {
+  write('app.js', 'one\n');
+  const before = await snapshotWorkspace(workspace, { blobDir });
+  fs.rmSync(blobDir, { recursive: true });
+  const after = await snapshotWorkspace(workspace, { blobDir, previous: before });
+  assert.equal(after.files.get('app.js'), before.files.get('app.js'));
+  assert.deepEqual(fs.readdirSync(blobDir), []);
+});
@@ -0,0 +1,111 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { debugLog } from './config.js';
+import { runGit } from './git.js';
+
+// Used for orchestrator commits when the repository has no identity configured.
+const FALLBACK_IDENTITY = ['-c', 'user.name=Codex Orchestrator', '-c', 'user.email=codex-orchestrator@localhost'];
+
+export function missionBranchName(missionId) {
+  return `mission/${missionId}`;
+}
+
+async function identityArgs(cwd) {
+  try {
+    await runGit(cwd, ['config', 'user.email']);
+    return [];
+  } catch {
+    return FALLBACK_IDENTITY;
+  }
+}
+
+// Creates `<worktreesDir>/<missionId>` on a new `mission/<id>` branch. When `directory`
+// is a subdirectory of the repository, the mission works in the same subdirectory of
+// the worktree.
+export async function createMissionWorktree({ directory, worktreesDir, missionId, baseRef = 'HEAD' }) {
+  let repository;
+  let prefix;
+  try {
+    repository = (await runGit(directory, ['rev-parse', '--show-toplevel'])).trim();
+    prefix = (await runGit(directory, ['rev-parse', '--show-prefix'])).trim();
+  } catch {
+    throw new Error(`Worktree isolation needs a git repository; ${directory} is not inside one`);
+  }
+  let baseCommit;
+  try {
+    baseCommit = (await runGit(repository, ['rev-parse', '--verify', `${baseRef}^{commit}`])).trim();
+  } catch {
+    throw new Error(`Worktree isolation needs a commit to branch from; ${baseRef} does not resolve in ${repository}`);
+  }
+  const worktreePath = path.join(worktreesDir, missionId);
+  const branch = missionBranchName(missionId);
+  await fs.mkdir(worktreesDir, { recursive: true });
+  await runGit(repository, ['worktree', 'add', '-b', branch, worktreePath, baseCommit]);
+  debugLog('Mission worktree created', { missionId, worktreePath, branch, baseCommit });
+  return {
+    repository,
+    sourceDirectory: directory,
+    path: worktreePath,
+    workingDirectory: path.resolve(worktreePath, prefix),
+    branch,
+    baseCommit,
+    finalCommit: null,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export async function worktreeExists(worktree) {
+  try {
+    return (await fs.stat(worktree.path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Commits everything in the worktree (tracked or not, minus ignored files). Returns the
+// branch head afterwards, which is the base commit when nothing changed.
+export async function commitWorktree(worktree, message) {
+  await runGit(worktree.path, ['add', '--all']);
+  const staged = (await runGit(worktree.path, ['diff', '--cached', '--name-only'])).trim();
+  if (staged) {
+    await runGit(worktree.path, [...(await identityArgs(worktree.path)), 'commit', '-m', message]);
+  }
+  return {
+    commit: (await runGit(worktree.path, ['rev-parse', 'HEAD'])).trim(),
+    committed: Boolean(staged),
+    files: staged ? staged.split('\n') : [],
+  };
+}
+
+// Merges the mission branch into whatever the main checkout has checked out. A merge
+// that does not apply cleanly is aborted so the checkout is left as it was.
+export async function mergeMissionBranch(worktree, message) {
+  const { repository, branch } = worktree;
+  const target = (await runGit(repository, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  try {
+    await runGit(repository, [...(await identityArgs(repository)), 'merge', '--no-ff', '--no-edit', '-m', message, branch]);
+  } catch (error) {
+    await runGit(repository, ['merge', '--abort']).catch(() => {});
+    throw new Error(`Could not merge ${branch} into ${target}: ${error.message}`);
+  }
+  return {
+    target,
+    commit: (await runGit(repository, ['rev-parse', 'HEAD'])).trim(),
+  };
+}
+
+export async function removeMissionWorktree(worktree, { deleteBranch = false } = {}) {
+  const { repository, branch } = worktree;
+  if (await worktreeExists(worktree)) {
+    await runGit(repository, ['worktree', 'remove', '--force', worktree.path]);
+  } else {
+    await runGit(repository, ['worktree', 'prune']);
+  }
+  let branchDeleted = false;
+  if (deleteBranch) {
+    await runGit(repository, ['branch', '-D', branch]);
+    branchDeleted = true;
+  }
+  debugLog('Mission worktree removed', { path: worktree.path, branch, branchDeleted });
+  return { branchDeleted };
+}